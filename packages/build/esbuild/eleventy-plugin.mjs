@@ -0,0 +1,88 @@
+/**
+ * Eleventy plugin that bundles theme assets with esbuild
+ *
+ * The bundle is built before Eleventy renders, so the asset helpers in core
+ * see this build's manifest (hashed URLs). Plugins that work on the rendered
+ * pages run after Eleventy writes them.
+ */
+
+import path from 'path';
+import * as esbuild from 'esbuild';
+
+/**
+ * esbuild plugins that need the rendered pages
+ */
+export const PAGE_PLUGINS = ['theme-pages', 'eleventy-themes-optimization'];
+
+/**
+ * Bundle with esbuild for each Eleventy build
+ *
+ * During `--serve` file names are not hashed, bundles are not minified
+ * (unless esbuildOptions.minify is set) and production optimizations are
+ * skipped.
+ *
+ * @param {Object} eleventyConfig - Eleventy configuration object
+ * @param {Object} options - Plugin options
+ * @param {Object} options.esbuildOptions - esbuild options, usually createThemeEsbuildConfig()
+ *   (outdir defaults to Eleventy's output directory)
+ *
+ * @example
+ * eleventyConfig.addPlugin(EleventyEsbuildPlugin, {
+ *   esbuildOptions: createThemeEsbuildConfig(metadata, { projectRoot: __dirname }),
+ * });
+ */
+export function EleventyEsbuildPlugin(eleventyConfig, options = {}) {
+	const { esbuildOptions = {} } = options;
+	const plugins = esbuildOptions.plugins || [];
+	const isPagePlugin = (plugin) => PAGE_PLUGINS.includes(plugin.name);
+
+	let buildOptions = null;
+
+	eleventyConfig.on('eleventy.before', async ({ directories, runMode }) => {
+		const serving = runMode === 'serve';
+
+		buildOptions = {
+			...esbuildOptions,
+			outdir: esbuildOptions.outdir || path.resolve(directories.output),
+			minify: esbuildOptions.minify ?? !serving,
+			...(serving ? { entryNames: '[dir]/[name]' } : {}),
+		};
+
+		await esbuild.build({
+			...buildOptions,
+			plugins: plugins.filter((plugin) => !isPagePlugin(plugin)),
+		});
+	});
+
+	eleventyConfig.on('eleventy.after', async ({ runMode }) => {
+		if (!buildOptions) return;
+
+		const pagePlugins = plugins
+			.filter(isPagePlugin)
+			.filter((plugin) => !(runMode === 'serve' && plugin.name === 'eleventy-themes-optimization'));
+
+		await runPagePlugins(pagePlugins, buildOptions);
+	});
+}
+
+/**
+ * Helper: Run the onEnd callbacks of page plugins outside an esbuild build
+ *
+ * Page plugins only read build.initialOptions and register onEnd.
+ *
+ * @private
+ */
+async function runPagePlugins(plugins, initialOptions) {
+	const callbacks = [];
+
+	for (const plugin of plugins) {
+		await plugin.setup({
+			initialOptions: { ...initialOptions },
+			onEnd: (callback) => callbacks.push(callback),
+		});
+	}
+
+	for (const callback of callbacks) {
+		await callback({ errors: [], warnings: [] });
+	}
+}
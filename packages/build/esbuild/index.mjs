@@ -0,0 +1,33 @@
+/**
+ * @eleventy-plugin-themer/build-esbuild
+ *
+ * esbuild integration with production optimizations.
+ * The same theme features as build-vite, for projects without Vite.
+ */
+
+// Theme-aware esbuild configuration with auto-import and optimizations
+export { createThemeEsbuildConfig } from './theme-config.mjs';
+
+// Runs the build with Eleventy
+export { EleventyEsbuildPlugin, PAGE_PLUGINS } from './eleventy-plugin.mjs';
+
+// Individual plugins (for cherry-picking)
+export {
+	themeAutoImportPlugin,
+	themeStylesPlugin,
+	themeOutputPlugin,
+	themePagesPlugin,
+	purgeCSSFiles,
+	generateCriticalCSS,
+	minifyHTML,
+	validateLinks,
+	validateLinksOrThrow,
+	checkBudgets,
+	preserveNonHtmlFiles,
+} from './plugins/index.mjs';
+
+// Custom optimizations, shared with build-vite (see build-optimize)
+export { registerOptimization } from '@eleventy-plugin-themer/build-optimize';
+
+// Utilities
+export { getFeatureEntries, getAvailableFeatures, MAIN_ENTRY } from './utils/page-features.mjs';
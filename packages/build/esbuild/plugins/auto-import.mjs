@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * esbuild plugin that auto-imports theme assets into user entry points
+ *
+ * This eliminates the need for users to manually import theme styles/scripts.
+ * The plugin prepends theme imports to the user's main entry file.
+ *
+ * @param {Object} options - Plugin options
+ * @param {string} options.themeName - Theme package name
+ * @param {string} options.stylesEntry - Theme styles entry path (e.g., 'styles/main.scss')
+ * @param {string} options.scriptsEntry - Theme scripts entry path (e.g., 'scripts/main.js')
+ * @param {string} options.userScriptsPath - User scripts path (default: 'overrides/scripts')
+ * @returns {Object} esbuild plugin
+ *
+ * @example
+ * import { themeAutoImportPlugin } from '@eleventy-plugin-themer/build-esbuild/plugins/auto-import';
+ *
+ * await esbuild.build({
+ *   plugins: [
+ *     themeAutoImportPlugin({
+ *       themeName: '@eleventy-plugin-themer/theme-base',
+ *       stylesEntry: 'styles/main.scss',
+ *       scriptsEntry: 'scripts/main.js',
+ *     }),
+ *   ],
+ * });
+ */
+export function themeAutoImportPlugin(options = {}) {
+	const {
+		themeName,
+		stylesEntry = 'styles/main.scss',
+		scriptsEntry = 'scripts/main.js',
+		userScriptsPath = 'overrides/scripts',
+	} = options;
+
+	if (!themeName) {
+		throw new Error('themeAutoImportPlugin: themeName is required');
+	}
+
+	// Only the user's main entry point, wherever the project lives
+	const mainEntry = new RegExp(
+		`[\\\\/]${userScriptsPath.split(/[\\/]/).map(escapeRegExp).join('[\\\\/]')}[\\\\/]main\\.(js|ts)$`,
+	);
+
+	return {
+		name: 'theme-auto-import',
+
+		setup(build) {
+			build.onLoad({ filter: mainEntry }, async (args) => {
+				const code = await fs.promises.readFile(args.path, 'utf-8');
+
+				// Prepend theme imports
+				const themeImports = `// Auto-imported by theme (${themeName})
+import '${themeName}/${stylesEntry}';
+import '${themeName}/${scriptsEntry}';
+
+`;
+				return {
+					contents: themeImports + code,
+					loader: path.extname(args.path).slice(1),
+					resolveDir: path.dirname(args.path),
+				};
+			});
+		},
+	};
+}
+
+/**
+ * Helper: Escape a string for use in a regular expression
+ *
+ * @private
+ */
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
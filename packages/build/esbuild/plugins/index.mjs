@@ -0,0 +1,21 @@
+/**
+ * esbuild plugins for Eleventy themes
+ *
+ * The production optimization plugins are shared with
+ * @eleventy-plugin-themer/build-optimize: they work on the output directory,
+ * whichever tool bundled it.
+ */
+
+export { themeAutoImportPlugin } from './auto-import.mjs';
+export { themeStylesPlugin } from './styles.mjs';
+export { themeOutputPlugin } from './output.mjs';
+export { themePagesPlugin } from './pages.mjs';
+export {
+	purgeCSSFiles,
+	generateCriticalCSS,
+	minifyHTML,
+	validateLinks,
+	validateLinksOrThrow,
+	checkBudgets,
+	preserveNonHtmlFiles,
+} from '@eleventy-plugin-themer/build-optimize/plugins';
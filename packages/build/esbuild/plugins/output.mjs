@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { writeAssetManifest } from '@eleventy-plugin-themer/core';
+
+/**
+ * esbuild plugin that writes theme bundles and the asset manifest
+ *
+ * esbuild puts an entry's CSS next to its script (`assets/scripts/main.css`).
+ * This plugin takes over writing the output so that:
+ * - Entry CSS bundles go to one directory (`assets/css/main.css`), where the
+ *   optimization plugins look for them
+ * - The asset manifest maps each entry (`main.js`, `code-highlighting.js`) to
+ *   its script, stylesheets and imported chunks, for the asset helpers in core
+ *   and themePagesPlugin
+ *
+ * @param {Object} options - Plugin options
+ * @param {string} options.cssDir - CSS directory, relative to outdir (default: 'assets/css')
+ * @param {string} options.projectRoot - Project root; the manifest is written to
+ *   its `.themer/build/assets.json` (no manifest without it)
+ * @returns {Object} esbuild plugin
+ *
+ * @example
+ * import { themeOutputPlugin } from '@eleventy-plugin-themer/build-esbuild/plugins/output';
+ *
+ * await esbuild.build({
+ *   entryPoints: { 'assets/scripts/main': 'overrides/scripts/main.js' },
+ *   outdir: '_site',
+ *   bundle: true,
+ *   plugins: [themeOutputPlugin({ projectRoot: process.cwd() })],
+ * });
+ */
+export function themeOutputPlugin(options = {}) {
+	const { cssDir = 'assets/css', projectRoot } = options;
+
+	return {
+		name: 'theme-output',
+
+		setup(build) {
+			const { outdir, absWorkingDir = process.cwd(), entryPoints = {} } = build.initialOptions;
+
+			if (!outdir) {
+				throw new Error(
+					'themeOutputPlugin: outdir is required\n' +
+						'  Set outdir to the Eleventy output directory (e.g. "_site")',
+				);
+			}
+
+			// Output is written in onEnd, with stylesheets moved
+			build.initialOptions.write = false;
+			build.initialOptions.metafile = true;
+
+			build.onEnd(async (result) => {
+				if (result.errors.length > 0 || !result.outputFiles) return;
+
+				const outputDir = path.resolve(absWorkingDir, outdir);
+				const stylesDir = path.join(outputDir, cssDir);
+				const outputs = result.metafile.outputs;
+				const moved = new Map();
+
+				// Entry CSS bundles → assets/css/
+				Object.values(outputs).forEach((output) => {
+					if (!output.entryPoint || !output.cssBundle) return;
+
+					const cssPath = path.resolve(absWorkingDir, output.cssBundle);
+					moved.set(cssPath, path.join(stylesDir, path.basename(cssPath)));
+				});
+
+				await Promise.all(
+					result.outputFiles.map(async (file) => {
+						const target = moved.get(file.path) || file.path;
+						await fs.promises.mkdir(path.dirname(target), { recursive: true });
+						await fs.promises.writeFile(target, file.contents);
+					}),
+				);
+
+				if (!projectRoot) return;
+
+				const entryNames = getEntryNames(entryPoints, absWorkingDir);
+				const toOutputUrl = (file) => {
+					const filePath = path.resolve(absWorkingDir, file);
+					return toUrl(outputDir, moved.get(filePath) || filePath);
+				};
+
+				const manifest = {};
+				Object.entries(outputs).forEach(([file, output]) => {
+					const name = output.entryPoint && entryNames.get(toRealPath(absWorkingDir, output.entryPoint));
+					if (!name || !file.endsWith('.js')) return;
+
+					manifest[`${path.posix.basename(name)}.js`] = {
+						file: toOutputUrl(file),
+						css: output.cssBundle ? [toOutputUrl(output.cssBundle)] : [],
+						imports: getChunkImports(outputs, file).map(toOutputUrl),
+					};
+				});
+
+				writeAssetManifest(projectRoot, manifest);
+			});
+		},
+	};
+}
+
+/**
+ * Helper: Entry name by real path of the entry file
+ *
+ * @private
+ */
+function getEntryNames(entryPoints, absWorkingDir) {
+	const entries = Array.isArray(entryPoints)
+		? entryPoints.map((entry) =>
+				typeof entry === 'string'
+					? [path.basename(entry, path.extname(entry)), entry]
+					: [entry.out, entry.in],
+			)
+		: Object.entries(entryPoints);
+
+	return new Map(entries.map(([name, file]) => [toRealPath(absWorkingDir, file), name]));
+}
+
+/**
+ * Helper: Chunks an output imports, directly or through other chunks
+ *
+ * @private
+ */
+function getChunkImports(outputs, file, seen = new Set()) {
+	(outputs[file]?.imports || [])
+		.filter((item) => item.kind === 'import-statement' && !item.external && !seen.has(item.path))
+		.forEach((item) => {
+			seen.add(item.path);
+			getChunkImports(outputs, item.path, seen);
+		});
+
+	return [...seen];
+}
+
+/**
+ * Helper: Real path of a file (esbuild reports entry points with symlinks resolved)
+ *
+ * @private
+ */
+function toRealPath(absWorkingDir, file) {
+	const filePath = path.resolve(absWorkingDir, file);
+	try {
+		return fs.realpathSync(filePath);
+	} catch {
+		return filePath;
+	}
+}
+
+/**
+ * Helper: Site URL of a file in the output directory
+ *
+ * @private
+ */
+function toUrl(outputDir, filePath) {
+	return `/${path.relative(outputDir, filePath).split(path.sep).join('/')}`;
+}
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import { readAssetManifest, applyAssetManifest } from '@eleventy-plugin-themer/core';
+
+/**
+ * esbuild plugin that points Eleventy pages at the built assets
+ *
+ * Applies the asset manifest written by themeOutputPlugin to every HTML page
+ * in outdir: script tags with development URLs (`/assets/scripts/main.js`)
+ * get the hashed file, and pages get the stylesheets and modulepreload links
+ * of the scripts they load. Pages that used the asset helpers are already
+ * up to date and are left alone.
+ *
+ * Needs the pages: run the build after Eleventy (EleventyEsbuildPlugin runs
+ * this plugin after Eleventy writes them).
+ *
+ * @param {Object} options - Plugin options
+ * @param {string} options.projectRoot - Project root path (required)
+ * @returns {Object} esbuild plugin
+ *
+ * @example
+ * plugins: [themeOutputPlugin({ projectRoot }), themePagesPlugin({ projectRoot })],
+ */
+export function themePagesPlugin(options = {}) {
+	const { projectRoot } = options;
+
+	if (!projectRoot) {
+		throw new Error('themePagesPlugin: projectRoot is required');
+	}
+
+	return {
+		name: 'theme-pages',
+
+		setup(build) {
+			const { outdir, absWorkingDir = process.cwd() } = build.initialOptions;
+
+			build.onEnd(async (result) => {
+				if (result.errors.length > 0) return;
+
+				const manifest = readAssetManifest(projectRoot);
+				if (!manifest) return;
+
+				const outputDir = path.resolve(absWorkingDir, outdir);
+				const pages = fs
+					.readdirSync(outputDir, { recursive: true })
+					.filter((file) => file.endsWith('.html'))
+					.map((file) => path.join(outputDir, file));
+
+				await Promise.all(
+					pages.map(async (page) => {
+						const html = await fs.promises.readFile(page, 'utf-8');
+						const updated = applyAssetManifest(html, manifest);
+						if (updated !== html) {
+							await fs.promises.writeFile(page, updated);
+						}
+					}),
+				);
+			});
+		},
+	};
+}
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import * as sass from 'sass';
+
+/**
+ * esbuild plugin that compiles imported SCSS with theme paths
+ *
+ * esbuild has no Sass support of its own. Imported `.scss`/`.sass` files are
+ * compiled with Sass and handed back as CSS, so they end up in the entry's
+ * CSS bundle.
+ *
+ * @param {Object} options - Plugin options
+ * @param {Object} [options.importer] - Sass importer (see createStylesImporter in core),
+ *   also used for relative loads from the entry file so partials resolve user-first
+ * @param {string} [options.additionalData] - SCSS prepended to every imported `.scss` file
+ * @param {Object} [options.sassOptions] - Additional Sass compile options
+ * @returns {Object} esbuild plugin
+ *
+ * @example
+ * import { themeStylesPlugin } from '@eleventy-plugin-themer/build-esbuild/plugins/styles';
+ *
+ * await esbuild.build({
+ *   plugins: [themeStylesPlugin({ additionalData: "$theme-name: 'my-theme';" })],
+ * });
+ */
+export function themeStylesPlugin(options = {}) {
+	const { importer, additionalData = '', sassOptions = {} } = options;
+
+	return {
+		name: 'theme-styles',
+
+		setup(build) {
+			build.onLoad({ filter: /\.s[ac]ss$/ }, async (args) => {
+				const source = await fs.promises.readFile(args.path, 'utf-8');
+				const syntax = path.extname(args.path) === '.sass' ? 'indented' : 'scss';
+
+				try {
+					const result = await sass.compileStringAsync(
+						syntax === 'scss' ? additionalData + source : source,
+						{
+							url: pathToFileURL(args.path),
+							syntax,
+							...(importer ? { importer, importers: [importer] } : {}),
+							...sassOptions,
+						},
+					);
+
+					return {
+						contents: result.css,
+						loader: 'css',
+						resolveDir: path.dirname(args.path),
+						watchFiles: result.loadedUrls
+							.filter((url) => url.protocol === 'file:')
+							.map((url) => fileURLToPath(url)),
+					};
+				} catch (error) {
+					return {
+						errors: [{ text: error.message }],
+					};
+				}
+			});
+		},
+	};
+}
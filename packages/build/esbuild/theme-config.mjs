@@ -0,0 +1,252 @@
+/**
+ * esbuild configuration helper for Eleventy themes
+ *
+ * Provides theme-agnostic esbuild configuration with auto-import support
+ */
+
+import path from 'path';
+import {
+	resolveOverridePaths,
+	DEFAULT_ASSET_ENTRIES,
+	getThemeChain,
+	getSettingsSchema,
+	resolveThemeSettings,
+	settingsToScss,
+	loadThemeTokens,
+	compileTokens,
+	writeThemeTokens,
+	createStylesImporter,
+} from '@eleventy-plugin-themer/core';
+import {
+	runOptimizations,
+	resolveOptimizations,
+	resolveLogger,
+	PIPELINE_CACHE_DIR,
+} from '@eleventy-plugin-themer/build-optimize';
+import { themeAutoImportPlugin } from './plugins/auto-import.mjs';
+import { themeStylesPlugin } from './plugins/styles.mjs';
+import { themeOutputPlugin } from './plugins/output.mjs';
+import { themePagesPlugin } from './plugins/pages.mjs';
+import { getFeatureEntries } from './utils/page-features.mjs';
+
+/**
+ * Files referenced from stylesheets and scripts, copied with a content hash
+ */
+const ASSET_EXTENSIONS = [
+	'.woff',
+	'.woff2',
+	'.ttf',
+	'.otf',
+	'.eot',
+	'.svg',
+	'.png',
+	'.jpg',
+	'.jpeg',
+	'.gif',
+	'.webp',
+	'.avif',
+];
+
+/**
+ * Create esbuild configuration for any Eleventy theme
+ *
+ * The esbuild counterpart of createThemeViteConfig, with the same theme features:
+ * - Auto-imports theme CSS and JS into the user's main.js
+ * - @theme alias for imports
+ * - SCSS compiled with theme paths and partial-level overrides
+ *   (overrides/styles/_posts.scss replaces the theme's)
+ * - Theme settings as SCSS variables ($setting-*, $theme-settings)
+ * - Design tokens compiled to CSS custom properties (@use 'tokens'), SCSS maps
+ *   and a JS module (import tokens from '@theme-tokens')
+ * - Entry points for the global script and every feature (/feature-name.js)
+ * - Content-hashed file names and an asset manifest for the asset helpers in core
+ * - Entry CSS written to assets/css/ and linked in the pages that need it
+ * - Production optimizations after the bundle is written
+ *
+ * Works with any theme that exports metadata following the theme.json schema.
+ *
+ * @param {Object} themeMetadata - Theme metadata from theme.json
+ * @param {Object} options - Configuration options
+ * @param {string} options.projectRoot - Project root path (required)
+ * @param {Object} options.overridePaths - Override paths configuration
+ * @param {Object} options.settings - Theme settings (same values as the theme plugin)
+ * @param {Array} options.plugins - Additional esbuild plugins
+ * @param {Object} options.optimizations - Optimization settings (key: true|false|function|options)
+ * @param {Object} options.dirs - Directory configuration (output: outdir, default: the build's outdir)
+ * @param {Object} options.pipeline - Page optimization pass options (concurrency, cache)
+ * @param {Object|false} options.report - Report files (json, junit), false to write none
+ * @param {Object|false} options.logger - Logger for the optimizations, false for no output (default: console)
+ * @param {Object} ...esbuildOptions - Additional esbuild options to merge
+ * @returns {Object} esbuild build options
+ *
+ * @example
+ * import { EleventyEsbuildPlugin, createThemeEsbuildConfig } from '@eleventy-plugin-themer/build-esbuild';
+ * import { metadata } from '@eleventy-plugin-themer/theme-base';
+ *
+ * const __dirname = fileURLToPath(new URL('.', import.meta.url));
+ *
+ * eleventyConfig.addPlugin(EleventyEsbuildPlugin, {
+ *   esbuildOptions: createThemeEsbuildConfig(metadata, {
+ *     projectRoot: __dirname,
+ *     settings: { linkColor: '#b5006a' },
+ *     optimizations: {
+ *       purgeCSS: true,
+ *       criticalCSS: true,
+ *     },
+ *   }),
+ * });
+ */
+export function createThemeEsbuildConfig(themeMetadata, options = {}) {
+	const {
+		projectRoot,
+		overridePaths,
+		settings: settingValues,
+		plugins = [],
+		optimizations,
+		dirs,
+		pipeline = {},
+		report = {},
+		logger,
+		...esbuildOptions
+	} = options;
+
+	if (!projectRoot) {
+		throw new Error('createThemeEsbuildConfig: projectRoot is required');
+	}
+
+	if (!themeMetadata || !themeMetadata.name) {
+		throw new Error('createThemeEsbuildConfig: themeMetadata with name is required');
+	}
+
+	const themeName = themeMetadata.name;
+	const resolvedOverridePaths = resolveOverridePaths(themeMetadata, overridePaths);
+
+	// Child theme first, then parents declared via theme.json "extends"
+	const themeChain = getThemeChain(projectRoot, themeMetadata);
+	const themeRoot = themeChain[0].root;
+
+	// Validated settings with theme.json defaults, for SCSS
+	const settingsSchema = getSettingsSchema(themeChain);
+	const settings = resolveThemeSettings(settingsSchema, settingValues, { themeName });
+
+	// Design tokens (theme data/tokens.json + user overrides) compiled into the project
+	const tokensDir = writeThemeTokens(
+		projectRoot,
+		compileTokens(loadThemeTokens(projectRoot, themeMetadata, overridePaths), { settings }),
+	);
+
+	// Resolves SCSS partials user-first, plus @theme/styles/... for the theme version
+	const stylesImporter = createStylesImporter(projectRoot, themeMetadata, overridePaths, {
+		loadPaths: [tokensDir],
+	});
+
+	// Get theme assets entry points from metadata (or use framework defaults)
+	const stylesEntry = themeMetadata.assets?.styles?.entry || DEFAULT_ASSET_ENTRIES.styles;
+	const scriptsEntry = themeMetadata.assets?.scripts?.entry || DEFAULT_ASSET_ENTRIES.scripts;
+
+	// Theme-specific plugins
+	const themePlugins = [
+		// Auto-import theme assets
+		themeAutoImportPlugin({
+			themeName,
+			stylesEntry,
+			scriptsEntry,
+			userScriptsPath: resolvedOverridePaths.scripts,
+		}),
+
+		// SCSS with theme name and settings as variables
+		themeStylesPlugin({
+			importer: stylesImporter,
+			additionalData: `$theme-name: '${themeName}';\n${settingsToScss(settings, settingsSchema)}`,
+		}),
+
+		// User's additional plugins
+		...plugins,
+
+		// Write bundles (CSS to assets/css/) and the asset manifest
+		themeOutputPlugin({ projectRoot }),
+
+		// Hashed URLs, stylesheets and modulepreload links in the pages
+		themePagesPlugin({ projectRoot }),
+	];
+
+	// Page optimizations are cached in the project, unless a directory or false is given
+	const pipelineOptions = {
+		...pipeline,
+		cache: (pipeline.cache ?? true) === true ? path.join(projectRoot, PIPELINE_CACHE_DIR) : pipeline.cache,
+	};
+	const log = resolveLogger(logger);
+
+	// Add optimization plugin if optimizations are configured
+	if (optimizations && Object.keys(optimizations).length > 0) {
+		// Unknown keys and invalid options fail now rather than after the build
+		resolveOptimizations(optimizations);
+
+		themePlugins.push({
+			name: 'eleventy-themes-optimization',
+			setup(build) {
+				const { outdir, absWorkingDir = process.cwd() } = build.initialOptions;
+				const output = path.relative(process.cwd(), path.resolve(absWorkingDir, outdir)) || '.';
+
+				build.onEnd(async (result) => {
+					if (result.errors.length > 0) return;
+
+					try {
+						await runOptimizations(optimizations, dirs || { output }, {
+							...pipelineOptions,
+							report,
+							logger: log,
+						});
+						log.log('✅ Build optimization complete!\n');
+					} catch (error) {
+						log.error('\n❌ Build optimization failed!');
+						log.error(`   ${error.message}\n`);
+						throw error;
+					}
+				});
+			},
+		});
+	}
+
+	// Theme-specific configuration
+	const themeConfig = {
+		// Global script and /feature-name.js entries, user features and overrides included
+		entryPoints: getFeatureEntries(projectRoot, themeMetadata, overridePaths),
+		...(dirs?.output ? { outdir: dirs.output } : {}),
+		bundle: true,
+		format: 'esm',
+		logLevel: 'warning',
+
+		// Cache-busting names; shared code goes to chunks the manifest lists for modulepreload
+		entryNames: '[dir]/[name]-[hash]',
+		chunkNames: 'assets/chunks/[name]-[hash]',
+		splitting: true,
+
+		alias: {
+			// @theme alias for JS/TS imports
+			'@theme': themeRoot,
+			// Compiled design tokens for JS/TS imports
+			'@theme-tokens': path.join(tokensDir, 'tokens.mjs'),
+		},
+
+		// Fonts and images from url() or imports, served from the site root
+		loader: Object.fromEntries(ASSET_EXTENSIONS.map((extension) => [extension, 'file'])),
+		assetNames: 'assets/media/[name]-[hash]',
+		publicPath: '/',
+	};
+
+	// Merge with user's esbuild options
+	return {
+		...themeConfig,
+		...esbuildOptions,
+		alias: {
+			...themeConfig.alias,
+			...(esbuildOptions.alias || {}),
+		},
+		loader: {
+			...themeConfig.loader,
+			...(esbuildOptions.loader || {}),
+		},
+		plugins: themePlugins,
+	};
+}
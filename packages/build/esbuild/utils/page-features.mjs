@@ -0,0 +1,95 @@
+/**
+ * Utilities for resolving page-specific features for esbuild builds
+ *
+ * Provides entry point discovery for features referenced in page front matter.
+ * Works with any theme that follows the @eleventy-plugin-themer conventions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+	getAvailableFeatures,
+	checkFeatureDependencies,
+	writeFeatureEntries,
+	resolveOverridePaths,
+	getThemeChain,
+	DEFAULT_ASSET_ENTRIES,
+} from '@eleventy-plugin-themer/core';
+
+// Re-export for convenience
+export { getAvailableFeatures } from '@eleventy-plugin-themer/core';
+
+/**
+ * Entry name of the global script, loaded by layouts as /assets/scripts/main.js
+ */
+export const MAIN_ENTRY = 'assets/scripts/main';
+
+/**
+ * Get esbuild entry points for all features
+ *
+ * Returns entry points for:
+ * - assets/scripts/main (the user's main.js or main.ts, else the theme's scripts entry)
+ * - All available features (theme + user, with user overrides taking precedence),
+ *   dependencies before the features that need them
+ *
+ * Entry names are output paths without extension, so each feature is written
+ * to `<outdir>/<name>.js`, matching the `<script src="/name.js">` in pages
+ * (`<name>-<hash>.js` with hashed entryNames; the asset manifest maps them).
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Object} themeMetadata - Theme metadata object from theme.json
+ * @param {Object} [overridePaths] - Optional override paths (only for edge cases)
+ * @returns {Object} Entry points object for esbuild entryPoints
+ *
+ * @example
+ * import { getFeatureEntries } from '@eleventy-plugin-themer/build-esbuild';
+ * import { metadata } from '@eleventy-plugin-themer/theme-base';
+ *
+ * getFeatureEntries(__dirname, metadata);
+ * // {
+ * //   'assets/scripts/main': '/site/overrides/scripts/main.js',
+ * //   'code-highlighting': '/site/.themer/features/code-highlighting.js',
+ * // }
+ */
+export function getFeatureEntries(projectRoot, themeMetadata, overridePaths) {
+	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
+	const scriptsDir = path.join(projectRoot, resolved.scripts);
+
+	// Without a user entry, the theme's scripts are the global entry
+	const userMain = ['main.js', 'main.ts']
+		.map((file) => path.join(scriptsDir, file))
+		.find((file) => fs.existsSync(file));
+	const scriptsEntry = themeMetadata.assets?.scripts?.entry || DEFAULT_ASSET_ENTRIES.scripts;
+
+	const entries = {
+		[MAIN_ENTRY]:
+			userMain || path.join(getThemeChain(projectRoot, themeMetadata)[0].root, scriptsEntry),
+	};
+
+	// Discover all available features - core handles override resolution
+	const features = getAvailableFeatures(projectRoot, themeMetadata, overridePaths);
+
+	// Auto-init features use the entry generated from their feature.json
+	writeFeatureEntries(projectRoot, features).forEach((entry, name) => {
+		entries[name] = entry;
+	});
+
+	// The Eleventy plugin refuses to start on these; warn so builds show them too
+	checkFeatureDependencies(features).forEach((problem) => {
+		console.warn(`⚠️  ${problem.message}`);
+	});
+
+	if (features.size > 0) {
+		const featureList = Array.from(features.entries())
+			.map(([name, info]) =>
+				info.dependsOn.length > 0
+					? `${name} (${info.source}, needs ${info.dependsOn.join(', ')})`
+					: `${name} (${info.source})`,
+			)
+			.join(', ');
+		console.log(`✨ Discovered features: ${featureList}`);
+		console.log(`✅ Added ${features.size} feature(s) as esbuild entry points`);
+	}
+
+	return entries;
+}
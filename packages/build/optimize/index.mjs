@@ -0,0 +1,41 @@
+/**
+ * @eleventy-plugin-themer/build-optimize
+ *
+ * Production optimizations for Eleventy output, shared by the build adapters
+ * (build-vite, build-esbuild): the optimization registry, the page pipeline,
+ * the plugins and the build report.
+ */
+
+// Individual plugins (for cherry-picking)
+export {
+	purgeCSSFiles,
+	generateCriticalCSS,
+	minifyHTML,
+	validateLinks,
+	validateLinksOrThrow,
+	checkBudgets,
+	preserveNonHtmlFiles,
+	DEFAULT_PURGECSS_SAFELIST,
+} from './plugins/index.mjs';
+
+// Utilities
+export { runOptimizations } from './utils/plugin-orchestrator.mjs';
+export { runPagePipeline, getDefaultConcurrency, PIPELINE_CACHE_DIR } from './utils/pipeline.mjs';
+export {
+	registerOptimization,
+	getOptimization,
+	getOptimizationNames,
+	orderOptimizations,
+	resolveOptimizations,
+	PAGE_FILTER_OPTIONS,
+} from './utils/optimization-registry.mjs';
+export {
+	createOptimizationReport,
+	writeOptimizationReport,
+	renderLinksJUnit,
+	createParseError,
+	reportCheckErrors,
+	REPORT_FILE,
+	LINKS_JUNIT_FILE,
+} from './utils/report.mjs';
+export { resolveLogger, silentLogger } from './utils/logger.mjs';
@@ -0,0 +1,376 @@
+/**
+ * Performance Budgets
+ * Checks page weight against per-route limits after optimization
+ * Catches page weight regressions before deployment
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+
+import { glob } from 'glob';
+import { parse } from 'node-html-parser';
+import { createParseError, reportCheckErrors } from '../utils/report.mjs';
+
+/**
+ * Size limit: bytes, or a string like "100 KB" (KB and MB are 1024-based)
+ */
+const SIZE = {
+	anyOf: [
+		{ type: 'number' },
+		{ type: 'string', pattern: '^\\d+(\\.\\d+)?\\s*([kKmM]?[bB])$' },
+	],
+};
+
+/**
+ * What is measured on each page, with the labels used in the output
+ */
+const METRICS = {
+	html: 'HTML',
+	css: 'Inlined CSS',
+	js: 'JavaScript',
+	images: 'Images',
+};
+
+/**
+ * Budget options, as JSON Schema properties (see the optimization registry)
+ */
+export const BUDGET_OPTIONS = {
+	budgets: {
+		type: 'array',
+		items: {
+			type: 'object',
+			required: ['path'],
+			properties: {
+				path: {
+					anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+					description: 'Globs of the pages, relative to the output directory',
+				},
+				html: { ...SIZE, description: 'Page HTML' },
+				css: { ...SIZE, description: 'CSS in <style> tags' },
+				js: { ...SIZE, description: 'Inline scripts and the script and modulepreload files' },
+				images: { ...SIZE, description: 'Files of the <img> tags' },
+			},
+			additionalProperties: false,
+		},
+		default: [],
+		description: 'Limits per route, checked in order; a page gets every budget its path matches',
+	},
+	throwOnError: {
+		type: 'boolean',
+		default: false,
+		description: 'Fail the build when a budget is exceeded',
+	},
+};
+
+/**
+ * Page stage for the optimization pipeline (see utils/page-stages.mjs)
+ *
+ * Inlined CSS, inline scripts and the URLs of scripts and images are
+ * collected from each page (cacheable, the page is parsed once). File sizes
+ * are read when all pages are done, since a script can change without the
+ * page changing.
+ *
+ * @param {Object} [options] - Budget options
+ * @param {Array<Object>} [options.budgets] - Limits as `{ path, html, css, js, images }`
+ * @param {boolean} [options.throwOnError] - Throw error if a budget is exceeded
+ * @param {Object} context - Pipeline context
+ * @param {string} context.outputDir - Output directory
+ * @param {Object} [context.logger] - Logger (default: console)
+ * @returns {Object} Page stage
+ */
+export function createBudgetStage(options = {}, { outputDir = '_site', logger = console } = {}) {
+	return {
+		name: 'budget',
+		taskName: 'Performance Budgets',
+
+		collect(html) {
+			try {
+				return measurePage(html);
+			} catch (error) {
+				return { parseError: error.message };
+			}
+		},
+
+		async finish(pages) {
+			return evaluateBudgets(outputDir, pages, options, logger);
+		},
+	};
+}
+
+/**
+ * Check the pages in the output directory against performance budgets
+ *
+ * Run it after the pages are optimized: the sizes are those of the files
+ * as they are.
+ *
+ * @param {string} outputDir - Output directory to check
+ * @param {Object} options - Budget options
+ * @param {Array<Object>} options.budgets - Limits as `{ path, html, css, js, images }`
+ * @param {boolean} [options.throwOnError] - Throw error if a budget is exceeded
+ * @param {Object} [options.logger] - Logger (default: console)
+ * @returns {Promise<{valid: boolean, errors: Array, pages: Array, duration: number}>}
+ *   Sizes of every page and an error per exceeded limit, with the files that
+ *   count towards it. The error thrown with throwOnError has the same object
+ *   as `result`.
+ *
+ * @example
+ * await checkBudgets('_site', {
+ *   budgets: [
+ *     { path: 'index.html', html: '50 KB', js: '100 KB' },
+ *     { path: 'posts/**', images: '500 KB' },
+ *   ],
+ * });
+ */
+export async function checkBudgets(outputDir = '_site', options = {}) {
+	const { logger, ...stageOptions } = options;
+	const stage = createBudgetStage(stageOptions, { outputDir, logger });
+	const htmlFiles = await glob(`${outputDir}/**/*.html`);
+
+	const pages = [];
+	for (const htmlFile of htmlFiles) {
+		const html = await fs.readFile(htmlFile, 'utf-8');
+		pages.push({ file: htmlFile, data: stage.collect(html, htmlFile) });
+	}
+
+	return stage.finish(pages);
+}
+
+/**
+ * Helper: Sizes and references of one page
+ *
+ * @private
+ */
+function measurePage(html) {
+	const root = parse(html);
+
+	const inlineScripts = root
+		.querySelectorAll('script')
+		.filter((script) => !script.getAttribute('src'))
+		.filter((script) =>
+			['', 'module', 'text/javascript'].includes(script.getAttribute('type') || ''),
+		);
+
+	const scripts = [
+		...root.querySelectorAll('script[src]').map((script) => script.getAttribute('src')),
+		...root
+			.querySelectorAll('link[rel="modulepreload"]')
+			.map((link) => link.getAttribute('href')),
+	];
+
+	return {
+		html: Buffer.byteLength(html, 'utf8'),
+		css: sum(root.querySelectorAll('style').map((style) => Buffer.byteLength(style.rawText, 'utf8'))),
+		inlineJs: sum(inlineScripts.map((script) => Buffer.byteLength(script.rawText, 'utf8'))),
+		// Skip external files and data URIs (they are part of the HTML)
+		scripts: [...new Set(scripts.filter(isLocalUrl))],
+		images: [
+			...new Set(
+				root
+					.querySelectorAll('img[src]')
+					.map((img) => img.getAttribute('src'))
+					.filter(isLocalUrl),
+			),
+		],
+	};
+}
+
+/**
+ * Helper: Measure the collected pages, check the budgets and report the result
+ *
+ * @private
+ */
+async function evaluateBudgets(outputDir, pages, options, logger) {
+	const start = performance.now();
+	logger.log('\n📏 Checking performance budgets...\n');
+
+	const budgets = (options.budgets || []).map((budget) => ({
+		path: [budget.path].flat(),
+		limits: Object.fromEntries(
+			Object.keys(METRICS)
+				.filter((metric) => budget[metric] !== undefined)
+				.map((metric) => [metric, parseSize(budget[metric])]),
+		),
+	}));
+
+	// Pages each budget applies to
+	for (const budget of budgets) {
+		const matches = await glob(budget.path, { cwd: outputDir });
+		budget.pages = new Set(matches.map((match) => path.normalize(match)));
+	}
+
+	const fileSizes = new Map();
+	const measured = [];
+	const errors = [];
+
+	for (const { file: htmlFile, data } of pages) {
+		const relativePath = path.relative(outputDir, htmlFile);
+
+		if (data.parseError) {
+			errors.push(createParseError(relativePath, data.parseError));
+			continue;
+		}
+
+		// Files that count towards JavaScript and images
+		const resources = {
+			js: [
+				...(data.inlineJs > 0 ? [{ url: '(inline scripts)', size: data.inlineJs }] : []),
+				...(await resolveFiles(outputDir, htmlFile, data.scripts, fileSizes)),
+			],
+			images: await resolveFiles(outputDir, htmlFile, data.images, fileSizes),
+		};
+		const sizes = {
+			html: data.html,
+			css: data.css,
+			js: sum(resources.js.map(({ size }) => size)),
+			images: sum(resources.images.map(({ size }) => size)),
+		};
+
+		measured.push({ file: relativePath, ...sizes });
+
+		for (const budget of budgets.filter(({ pages }) => pages.has(relativePath))) {
+			for (const [metric, limit] of Object.entries(budget.limits)) {
+				if (sizes[metric] <= limit) continue;
+
+				errors.push({
+					file: relativePath,
+					type: 'over-budget',
+					target: budget.path.join(', '),
+					metric,
+					size: sizes[metric],
+					limit,
+					resources: resources[metric] || [],
+					message: `${METRICS[metric]} ${formatSize(sizes[metric])} exceeds budget of ${formatSize(limit)} (+${formatSize(sizes[metric] - limit)})`,
+				});
+			}
+		}
+	}
+
+	const result = {
+		valid: errors.length === 0,
+		errors,
+		budgets: budgets.length,
+		pages: measured.sort((a, b) => a.file.localeCompare(b.file)),
+		duration: Math.round(performance.now() - start),
+	};
+
+	// Report results
+	if (budgets.length === 0) {
+		logger.log('⚠️  Performance budgets: No budgets configured\n');
+		return result;
+	}
+
+	if (errors.length === 0) {
+		logger.log(
+			`✅ Performance budgets passed: ${measured.length} pages, ${budgets.length} budget(s)\n`,
+		);
+		return result;
+	}
+
+	return reportCheckErrors(result, {
+		details: (report) => {
+			const overBudget = errors.filter((e) => e.type === 'over-budget');
+			if (overBudget.length === 0) return;
+
+			const files = [...new Set(overBudget.map(({ file }) => file))];
+			report(`${options.throwOnError ? '❌' : '⚠️ '} Performance budgets exceeded on ${files.length} page(s):`);
+
+			files.forEach((file) => {
+				report(`\n   ${file}`);
+				overBudget
+					.filter((error) => error.file === file)
+					.forEach(({ metric, size, limit, target, resources }) => {
+						report(
+							`     ${METRICS[metric]}: ${formatSize(size)} / ${formatSize(limit)} (+${formatSize(size - limit)}) [${target}]`,
+						);
+						resources.forEach(({ url, size: resourceSize }) => {
+							report(`       ${formatSize(resourceSize).padStart(9)}  ${url}`);
+						});
+					});
+			});
+		},
+		tip: 'Trim the largest files listed above, or raise the budget if the growth is intended',
+		failure: 'Performance budgets exceeded',
+		throwOnError: options.throwOnError,
+		logger,
+	});
+}
+
+/**
+ * Helper: Sizes of the local files a page references, largest first
+ *
+ * Missing files are left out; validateLinks reports missing images.
+ *
+ * @private
+ */
+async function resolveFiles(outputDir, htmlFile, urls, fileSizes) {
+	const files = [];
+
+	for (const url of urls) {
+		// Remove hash/query for file check
+		const cleanUrl = url.split('#')[0].split('?')[0];
+
+		// Absolute path from site root, or relative to the page
+		const filePath = cleanUrl.startsWith('/')
+			? path.join(outputDir, cleanUrl)
+			: path.join(path.dirname(htmlFile), cleanUrl);
+
+		if (!fileSizes.has(filePath)) {
+			const stat = await fs.stat(filePath).catch(() => null);
+			fileSizes.set(filePath, stat && stat.isFile() ? stat.size : null);
+		}
+
+		const size = fileSizes.get(filePath);
+		if (size !== null) {
+			files.push({ url, size });
+		}
+	}
+
+	return files.sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Helper: Bytes from a size limit (number of bytes or "100 KB")
+ *
+ * @private
+ */
+function parseSize(value) {
+	if (typeof value === 'number') return value;
+
+	const [, amount, unit] = value.match(/^(\d+(?:\.\d+)?)\s*([km]?b)$/i);
+	const factor = { b: 1, kb: 1024, mb: 1024 * 1024 }[unit.toLowerCase()];
+
+	return Math.round(Number(amount) * factor);
+}
+
+/**
+ * Helper: Format bytes as KB
+ *
+ * @private
+ */
+function formatSize(bytes) {
+	return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Helper: Total of the sizes
+ *
+ * @private
+ */
+function sum(values) {
+	return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Helper: Whether a URL points to a file in the output directory
+ *
+ * @private
+ */
+function isLocalUrl(url) {
+	return (
+		url &&
+		!url.startsWith('http://') &&
+		!url.startsWith('https://') &&
+		!url.startsWith('//') &&
+		!url.startsWith('data:')
+	);
+}
@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import Critters from 'critters';
+import { processFiles } from '../utils/file-processor.mjs';
+
+/**
+ * Critters options, as JSON Schema properties (see the optimization registry)
+ */
+export const CRITICAL_CSS_OPTIONS = {
+	path: { type: 'string', description: 'Directory the stylesheets are read from (default: the output directory)' },
+	publicPath: { type: 'string', description: 'URL prefix of the stylesheets' },
+	external: { type: 'boolean', description: 'Inline styles from external stylesheets' },
+	inlineThreshold: { type: 'number', description: 'Inline stylesheets smaller than this (bytes)' },
+	minimumExternalSize: { type: 'number', description: 'Inline all of stylesheets whose rest is smaller than this (bytes)' },
+	pruneSource: { type: 'boolean', description: 'Remove inlined rules from the stylesheets' },
+	mergeStylesheets: { type: 'boolean', description: 'Merge inlined styles into one <style> tag' },
+	additionalStylesheets: { type: 'array', items: { type: 'string' }, description: 'Extra stylesheets to inline from' },
+	preload: { enum: ['body', 'media', 'swap', 'js', 'js-lazy'], description: 'How the rest of the stylesheet is loaded' },
+	noscriptFallback: { type: 'boolean', description: 'Add a <noscript> stylesheet link' },
+	inlineFonts: { type: 'boolean', description: 'Inline critical font rules' },
+	preloadFonts: { type: 'boolean', description: 'Preload critical fonts' },
+	fonts: { type: 'boolean', description: 'Shorthand for inlineFonts and preloadFonts' },
+	keyframes: { enum: ['critical', 'all', 'none'], description: 'Which keyframes to inline' },
+	compress: { type: 'boolean', description: 'Compress the inlined CSS' },
+	logLevel: { enum: ['info', 'warn', 'error', 'trace', 'debug', 'silent'], description: 'Critters log level' },
+	reduceInlineStyles: { type: 'boolean', description: 'Also process existing <style> tags' },
+};
+
+/**
+ * Page stage for the optimization pipeline (see utils/page-stages.mjs)
+ *
+ * @param {Object} [options] - Critters options, over the defaults below
+ * @param {Object} context - Pipeline context
+ * @param {string} context.outputDir - Output directory (Critters reads the stylesheets from it)
+ * @returns {Object} Page stage
+ */
+export function createCriticalCSSStage(options = {}, { outputDir = '_site' } = {}) {
+	const critters = new Critters({
+		path: outputDir,
+		publicPath: '/',
+		preload: 'swap',
+		inlineFonts: true,
+		pruneSource: true,
+		mergeStylesheets: true,
+		compress: true,
+		logLevel: 'warn', // Only show warnings/errors from Critters
+		...options,
+	});
+
+	return {
+		name: 'criticalCSS',
+		taskName: 'Critical CSS',
+		errorTip: 'Check if CSS files exist and are properly linked in HTML',
+
+		// Inlined CSS depends on the stylesheets, not only on the page
+		dependsOn: ['css'],
+
+		async transform(html) {
+			const inlined = await critters.process(html);
+
+			// Remove leftover stylesheet links and their noscript fallbacks
+			const tidy_link = inlined.replace(
+				/<link[^>]+rel=["']stylesheet["'][^>]*>/gi,
+				'',
+			);
+			const tidy_noscript = tidy_link.replace(
+				/<noscript>\s*<link[^>]+rel=["']stylesheet["'][^>]*>\s*<\/noscript>/gi,
+				'',
+			);
+			// Remove any remaining empty noscript tags
+			const tidy_final = tidy_noscript.replace(
+				/<noscript>\s*<\/noscript>/gi,
+				'',
+			);
+
+			return {
+				html: tidy_final,
+				stats: {
+					originalSize: Buffer.byteLength(html, 'utf8'),
+					size: Buffer.byteLength(tidy_final, 'utf8'),
+				},
+			};
+		},
+	};
+}
+
+export async function generateCriticalCSS(outputDir = '_site', options = {}) {
+	const { logger, ...crittersOptions } = options;
+	const stage = createCriticalCSSStage(crittersOptions, { outputDir });
+
+	return processFiles({
+		logger,
+		pattern: `${outputDir}/**/*.html`,
+		outputDir,
+		taskName: stage.taskName,
+		errorTip: stage.errorTip,
+		processor: async (file) => {
+			const html = await fs.readFile(file, 'utf-8');
+			const { html: inlined, ...result } = await stage.transform(html, file);
+
+			await fs.writeFile(file, inlined);
+
+			return result;
+		},
+	});
+}
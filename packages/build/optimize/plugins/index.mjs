@@ -0,0 +1,12 @@
+/**
+ * Production optimization plugins for Eleventy output
+ *
+ * They work on the output directory, whichever tool bundled it.
+ */
+
+export { purgeCSSFiles, DEFAULT_PURGECSS_SAFELIST } from './purge-css.mjs';
+export { generateCriticalCSS } from './critical-css.mjs';
+export { minifyHTML } from './minify-html.mjs';
+export { validateLinks, validateLinksOrThrow } from './validate-links.mjs';
+export { checkBudgets } from './budget.mjs';
+export { preserveNonHtmlFiles } from './preserve-non-html.mjs';
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import { minify } from 'html-minifier-terser';
+import { processFiles } from '../utils/file-processor.mjs';
+
+const defaultOptions = {
+	collapseBooleanAttributes: true,
+	collapseWhitespace: true,
+	conservativeCollapse: false,
+	decodeEntities: true,
+	html5: true,
+	includeAutoGeneratedTags: false,
+	minifyCSS: true,
+	minifyJS: true,
+	preserveLineBreaks: false,
+	preventAttributesEscaping: true,
+	removeAttributeQuotes: true,
+	removeComments: true,
+	removeEmptyAttributes: true,
+	removeOptionalTags: false,
+	removeRedundantAttributes: true,
+	removeScriptTypeAttributes: true,
+	removeStyleLinkTypeAttributes: true,
+	sortAttributes: true,
+	sortClassName: true,
+	useShortDoctype: true,
+};
+
+// Options taking a value rather than a flag
+const valueOptions = {
+	customAttrAssign: { type: 'array' },
+	customAttrCollapse: { type: 'object' },
+	customAttrSurround: { type: 'array' },
+	customEventAttributes: { type: 'array' },
+	ignoreCustomComments: { type: 'array' },
+	ignoreCustomFragments: { type: 'array' },
+	maxLineLength: { type: 'number' },
+	minifyCSS: { anyOf: [{ type: 'boolean' }, { type: 'object' }, { type: 'function' }] },
+	minifyJS: { anyOf: [{ type: 'boolean' }, { type: 'object' }, { type: 'function' }] },
+	minifyURLs: { anyOf: [{ type: 'boolean' }, { type: 'string' }, { type: 'object' }, { type: 'function' }] },
+	processScripts: { type: 'array', items: { type: 'string' } },
+	quoteCharacter: { type: 'string' },
+};
+
+/**
+ * html-minifier-terser options, as JSON Schema properties (see the optimization registry)
+ */
+export const MINIFY_HTML_OPTIONS = {
+	...Object.fromEntries(
+		[
+			'caseSensitive',
+			'collapseBooleanAttributes',
+			'collapseInlineTagWhitespace',
+			'collapseWhitespace',
+			'conservativeCollapse',
+			'continueOnParseError',
+			'decodeEntities',
+			'html5',
+			'includeAutoGeneratedTags',
+			'keepClosingSlash',
+			'noNewlinesBeforeTagClose',
+			'preserveLineBreaks',
+			'preventAttributesEscaping',
+			'processConditionalComments',
+			'removeAttributeQuotes',
+			'removeComments',
+			'removeEmptyAttributes',
+			'removeEmptyElements',
+			'removeOptionalTags',
+			'removeRedundantAttributes',
+			'removeScriptTypeAttributes',
+			'removeStyleLinkTypeAttributes',
+			'removeTagWhitespace',
+			'sortAttributes',
+			'sortClassName',
+			'trimCustomFragments',
+			'useShortDoctype',
+		].map((name) => [name, { type: 'boolean' }]),
+	),
+	...valueOptions,
+};
+
+/**
+ * Page stage for the optimization pipeline (see utils/page-stages.mjs)
+ *
+ * @param {Object} [userOptions] - html-minifier-terser options
+ * @returns {Object} Page stage
+ */
+export function createMinifyHTMLStage(userOptions = {}) {
+	const options = { ...defaultOptions, ...userOptions };
+
+	return {
+		name: 'minifyHTML',
+		taskName: 'HTML Minification',
+		errorTip: 'Check if HTML is valid and properly formed. Invalid HTML can cause minification to fail.',
+
+		async transform(html) {
+			const originalSize = Buffer.byteLength(html, 'utf8');
+			const minified = await minify(html, options);
+			const minifiedSize = Buffer.byteLength(minified, 'utf8');
+
+			const savings = ((1 - minifiedSize / originalSize) * 100).toFixed(1);
+
+			return {
+				html: minified,
+				message: ` (${savings}% smaller)`,
+				stats: { originalSize, size: minifiedSize },
+			};
+		},
+
+		calculateStats(results) {
+			const totalOriginal = results.reduce((sum, r) => sum + r.stats.originalSize, 0);
+			const totalMinified = results.reduce((sum, r) => sum + r.stats.size, 0);
+			const totalSavings = ((1 - totalMinified / totalOriginal) * 100).toFixed(1);
+
+			return {
+				'total reduction': `${totalSavings}% (${(totalOriginal / 1024).toFixed(1)} KB → ${(totalMinified / 1024).toFixed(1)} KB)`,
+			};
+		},
+	};
+}
+
+export async function minifyHTML(outputDir = '_site', userOptions = {}) {
+	const { logger, ...minifyOptions } = userOptions;
+	const stage = createMinifyHTMLStage(minifyOptions);
+
+	return processFiles({
+		logger,
+		pattern: `${outputDir}/**/*.html`,
+		outputDir,
+		taskName: stage.taskName,
+		errorTip: stage.errorTip,
+		processor: async (file) => {
+			const html = await fs.readFile(file, 'utf-8');
+			const { html: minified, ...result } = await stage.transform(html, file);
+
+			await fs.writeFile(file, minified);
+
+			return result;
+		},
+		calculateStats: stage.calculateStats,
+	});
+}
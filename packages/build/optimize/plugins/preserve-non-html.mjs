@@ -0,0 +1,63 @@
+/**
+ * Preserve Non-HTML Files
+ * Copies non-HTML files (XML, TXT, XSL) from Vite temp folder to output
+ * Ensures feed files and other static assets are included in build
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { glob } from 'glob';
+import { createFileResult } from '../utils/report.mjs';
+
+/**
+ * Copy non-HTML files from .11ty-vite to _site
+ * @param {string} tempDir - Vite temp directory (default: '.11ty-vite')
+ * @param {string} outputDir - Output directory (default: '_site')
+ * @param {string[]} extensions - File extensions to preserve (default: ['xml', 'txt', 'xsl'])
+ * @param {Object} [options] - Options
+ * @param {Object} [options.logger] - Logger (default: console)
+ * @returns {Promise<Object>} Step result (see utils/report.mjs)
+ */
+export async function preserveNonHtmlFiles(
+	tempDir = '.11ty-vite',
+	outputDir = '_site',
+	extensions = ['xml', 'txt', 'xsl'],
+	{ logger = console } = {},
+) {
+	const start = performance.now();
+	logger.log('\n📋 Preserving non-HTML files...\n');
+
+	const pattern = `${tempDir}/**/*.{${extensions.join(',')}}`;
+	const files = await glob(pattern);
+	const copied = [];
+
+	if (files.length === 0) {
+		logger.log('   No non-HTML files to preserve\n');
+	}
+
+	for (const file of files) {
+		const dest = file.replace(tempDir, outputDir);
+		await fs.mkdir(path.dirname(dest), { recursive: true });
+		await fs.copyFile(file, dest);
+
+		const relativePath = path.relative(outputDir, dest);
+		copied.push(createFileResult(relativePath));
+		logger.log(`   ✓ ${relativePath}`);
+	}
+
+	if (copied.length > 0) {
+		logger.log(`\n✅ Preserved ${copied.length} non-HTML file(s)\n`);
+	}
+
+	return {
+		taskName: 'Preserve Non-HTML Files',
+		success: true,
+		duration: Math.round(performance.now() - start),
+		processed: copied.length,
+		failed: 0,
+		stats: {},
+		files: copied,
+		errors: [],
+	};
+}
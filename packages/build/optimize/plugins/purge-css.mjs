@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { PurgeCSS } from 'purgecss';
+import { processFiles } from '../utils/file-processor.mjs';
+
+/**
+ * Selectors kept even when no page uses them (state classes set by scripts,
+ * code highlighting). Passing `safelist` replaces it.
+ */
+export const DEFAULT_PURGECSS_SAFELIST = {
+	standard: [/^is-/, /^has-/, /^js-/, /^page-/],
+	deep: [/data-component/, /language-/, /code/, /pre/],
+	greedy: [/language-/],
+};
+
+/**
+ * Options of purgeCSSFiles, as JSON Schema properties (see the optimization registry)
+ */
+export const PURGE_CSS_OPTIONS = {
+	content: {
+		type: 'array',
+		items: { type: 'string' },
+		description: 'Globs of the files to scan for selectors, relative to the output directory',
+	},
+	css: {
+		type: 'array',
+		items: { type: 'string' },
+		description: 'Globs of the stylesheets to purge, relative to the output directory',
+	},
+	safelist: {
+		anyOf: [{ type: 'array' }, { type: 'object' }],
+		description: 'PurgeCSS safelist, replaces DEFAULT_PURGECSS_SAFELIST',
+	},
+	extractor: {
+		type: 'function',
+		description: 'Extracts selectors from the content: (content) => string[]',
+	},
+	keyframes: { type: 'boolean', description: 'Remove unused keyframes' },
+	fontFace: { type: 'boolean', description: 'Remove unused font faces' },
+	variables: { type: 'boolean', description: 'Remove unused custom properties' },
+};
+
+/**
+ * Default extractor: anything between quotes, brackets and whitespace
+ *
+ * @private
+ */
+function defaultExtractor(content) {
+	const matches = content.match(/[^<>"'`\s]*[^<>"'`\s:]/g) || [];
+	return matches;
+}
+
+/**
+ * Remove unused CSS from the stylesheets in the output directory
+ *
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Options (see PURGE_CSS_OPTIONS)
+ * @param {string[]} [options.content] - Content globs (default: all HTML pages)
+ * @param {string[]} [options.css] - Stylesheet globs (default: assets/css/*.css)
+ * @param {Array|Object} [options.safelist] - Safelist (default: DEFAULT_PURGECSS_SAFELIST)
+ * @param {Function} [options.extractor] - Selector extractor
+ * @param {Object} [options.logger] - Logger (default: console)
+ * @returns {Promise<Object>} Step result (see processFiles)
+ */
+export async function purgeCSSFiles(outputDir = '_site', options = {}) {
+	const {
+		content = ['**/*.html'],
+		css = ['assets/css/*.css'],
+		safelist = DEFAULT_PURGECSS_SAFELIST,
+		extractor = defaultExtractor,
+		keyframes = true,
+		fontFace = true,
+		variables = true,
+		logger,
+	} = options;
+
+	return processFiles({
+		logger,
+		pattern: css.map((pattern) => `./${path.posix.join(outputDir, pattern)}`),
+		outputDir,
+		taskName: 'PurgeCSS',
+		processor: async (file) => {
+			const originalSize = fs.statSync(file).size;
+
+			const results = await new PurgeCSS().purge({
+				content: content.map((pattern) => `./${path.posix.join(outputDir, pattern)}`),
+				css: [file],
+				safelist,
+				defaultExtractor: extractor,
+				keyframes,
+				fontFace,
+				variables,
+				rejected: false,
+				rejectedCss: false,
+			});
+
+			fs.writeFileSync(file, results[0].css);
+
+			const size = fs.statSync(file).size;
+			const reduction = ((1 - size / originalSize) * 100).toFixed(1);
+
+			return {
+				message: ` (${reduction}% smaller)`,
+				stats: { originalSize, size },
+			};
+		},
+	});
+}
@@ -0,0 +1,229 @@
+/**
+ * Link Validation
+ * Validates internal links and images after build
+ * Catches broken links before deployment
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+
+import { glob } from 'glob';
+import { parse } from 'node-html-parser';
+import { createParseError, reportCheckErrors } from '../utils/report.mjs';
+
+/**
+ * Page stage for the optimization pipeline (see utils/page-stages.mjs)
+ *
+ * Links and images are collected from each page (cacheable, the page is
+ * parsed once) and checked against the output directory when all pages are
+ * done, since link targets change without the page changing.
+ *
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.throwOnError] - Throw error if validation fails
+ * @param {Object} context - Pipeline context
+ * @param {string} context.outputDir - Output directory to validate
+ * @param {Object} [context.logger] - Logger (default: console)
+ * @returns {Object} Page stage
+ */
+export function createValidateLinksStage(options = {}, { outputDir = '_site', logger = console } = {}) {
+	return {
+		name: 'validateLinks',
+		taskName: 'Link Validation',
+
+		collect(html) {
+			try {
+				const root = parse(html);
+
+				return {
+					// Skip external links, anchors, mailto, tel, etc
+					links: root
+						.querySelectorAll('a[href]')
+						.map((link) => link.getAttribute('href'))
+						.filter(
+							(href) =>
+								href &&
+								!href.startsWith('http://') &&
+								!href.startsWith('https://') &&
+								!href.startsWith('mailto:') &&
+								!href.startsWith('tel:') &&
+								!href.startsWith('#'),
+						),
+					// Skip external images, data URIs
+					images: root
+						.querySelectorAll('img[src]')
+						.map((img) => img.getAttribute('src'))
+						.filter(
+							(src) =>
+								src &&
+								!src.startsWith('http://') &&
+								!src.startsWith('https://') &&
+								!src.startsWith('data:'),
+						),
+				};
+			} catch (error) {
+				return { parseError: error.message };
+			}
+		},
+
+		async finish(pages) {
+			return checkLinks(outputDir, pages, options, logger);
+		},
+	};
+}
+
+/**
+ * Validate links and images in built HTML
+ * @param {string} outputDir - Output directory to validate
+ * @param {Object} options - Validation options
+ * @param {boolean} options.throwOnError - Throw error if validation fails
+ * @param {Object} [options.logger] - Logger (default: console)
+ * @returns {Promise<{valid: boolean, errors: Array, links: number, images: number, pages: string[], duration: number}>}
+ *   Checked pages are relative to the output directory. The error thrown
+ *   with throwOnError has the same object as `result`.
+ */
+export async function validateLinks(outputDir = '_site', options = {}) {
+	const { logger, ...stageOptions } = options;
+	const stage = createValidateLinksStage(stageOptions, { outputDir, logger });
+	const htmlFiles = await glob(`${outputDir}/**/*.html`);
+
+	const pages = [];
+	for (const htmlFile of htmlFiles) {
+		const html = await fs.readFile(htmlFile, 'utf-8');
+		pages.push({ file: htmlFile, data: stage.collect(html, htmlFile) });
+	}
+
+	return stage.finish(pages);
+}
+
+/**
+ * Helper: Check collected links and images, and report the result
+ *
+ * @private
+ */
+async function checkLinks(outputDir, pages, options, logger) {
+	const start = performance.now();
+	logger.log('\n🔗 Validating links and images...\n');
+
+	const errors = [];
+	let totalLinks = 0;
+	let totalImages = 0;
+
+	for (const { file: htmlFile, data } of pages) {
+		const relativePath = path.relative(outputDir, htmlFile);
+		const baseDir = path.dirname(htmlFile);
+
+		if (data.parseError) {
+			errors.push(createParseError(relativePath, data.parseError));
+			continue;
+		}
+
+		// Check internal links
+		for (const href of data.links) {
+			totalLinks++;
+
+			// Remove hash/query for file check
+			const cleanHref = href.split('#')[0].split('?')[0];
+
+			// Resolve to filesystem path
+			let targetPath;
+			if (cleanHref.startsWith('/')) {
+				// Absolute path from site root
+				targetPath = path.join(outputDir, cleanHref);
+			} else {
+				// Relative path from current file
+				targetPath = path.join(baseDir, cleanHref);
+			}
+
+			// Check if target exists (file or directory with index.html)
+			const fileExists = existsSync(targetPath);
+			const indexExists = existsSync(path.join(targetPath, 'index.html'));
+
+			if (!fileExists && !indexExists) {
+				errors.push({
+					file: relativePath,
+					type: 'broken-link',
+					target: href,
+					message: `Broken internal link: ${href}`,
+				});
+			}
+		}
+
+		// Check images
+		for (const src of data.images) {
+			totalImages++;
+
+			// Resolve to filesystem path
+			let imagePath;
+			if (src.startsWith('/')) {
+				// Absolute path from site root
+				imagePath = path.join(outputDir, src);
+			} else {
+				// Relative path from current file
+				imagePath = path.join(baseDir, src);
+			}
+
+			if (!existsSync(imagePath)) {
+				errors.push({
+					file: relativePath,
+					type: 'missing-image',
+					target: src,
+					message: `Missing image: ${src}`,
+				});
+			}
+		}
+	}
+
+	const result = {
+		valid: errors.length === 0,
+		errors,
+		links: totalLinks,
+		images: totalImages,
+		pages: pages.map(({ file }) => path.relative(outputDir, file)).sort(),
+		duration: Math.round(performance.now() - start),
+	};
+
+	// Report results
+	if (errors.length === 0) {
+		logger.log(
+			`✅ Link validation passed: ${totalLinks} links, ${totalImages} images\n`,
+		);
+		return result;
+	}
+
+	return reportCheckErrors(result, {
+		details: (report) => {
+			report(`${options.throwOnError ? '❌' : '⚠️ '} Link validation failed: ${errors.length} errors found\n`);
+
+			// Group errors by type
+			const brokenLinks = errors.filter((e) => e.type === 'broken-link');
+			const missingImages = errors.filter((e) => e.type === 'missing-image');
+
+			if (brokenLinks.length > 0) {
+				report(`\n🔗 Broken Links (${brokenLinks.length}):`);
+				brokenLinks.forEach(({ file, target }) => {
+					report(`   ${file} → ${target}`);
+				});
+			}
+
+			if (missingImages.length > 0) {
+				report(`\n🖼️  Missing Images (${missingImages.length}):`);
+				missingImages.forEach(({ file, target }) => {
+					report(`   ${file} → ${target}`);
+				});
+			}
+		},
+		tip: 'Fix broken links and missing images before deployment',
+		failure: 'Link validation failed',
+		throwOnError: options.throwOnError,
+		logger,
+	});
+}
+
+/**
+ * Validate links and throw if invalid
+ * Use this in build pipeline to fail fast
+ */
+export async function validateLinksOrThrow(outputDir = '_site', options = {}) {
+	return validateLinks(outputDir, { ...options, throwOnError: true });
+}
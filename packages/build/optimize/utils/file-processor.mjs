@@ -7,6 +7,7 @@
 
 import path from 'path';
 import { glob } from 'glob';
+import { createFileResult } from './report.mjs';
 
 /**
  * Process files with consistent error handling and logging
@@ -15,12 +16,16 @@ import { glob } from 'glob';
  * @param {string|string[]} options.pattern - Glob pattern(s) for files to process
  * @param {string} options.outputDir - Output directory (for relative path logging)
  * @param {Function} options.processor - Async function to process each file
- *   Signature: async (file) => { message?: string, stats?: object }
+ *   Signature: async (file) => { message?: string, stats?: object }.
+ *   `stats.originalSize` and `stats.size` (bytes) go into the report.
  * @param {string} options.taskName - Name of the task (for logging)
  * @param {Function} [options.calculateStats] - Optional function to calculate summary stats
  *   Signature: (results) => { metricName: value, ... }
  * @param {string} [options.errorTip] - Optional tip to show when errors occur
- * @returns {Promise<{success: boolean, processed: number, errors: Array}>}
+ * @param {Object} [options.logger] - Logger (default: console)
+ * @returns {Promise<Object>} Step result: `{ taskName, success, duration, processed, failed,
+ *   stats, files, errors }` (see utils/report.mjs). When files fail, the thrown
+ *   error has it as `result`.
  *
  * @example
  * await processFiles({
@@ -43,8 +48,10 @@ export async function processFiles({
 	taskName = 'Processing',
 	calculateStats,
 	errorTip,
+	logger = console,
 }) {
-	console.log(`\n📦 ${taskName}...\n`);
+	const start = performance.now();
+	logger.log(`\n📦 ${taskName}...\n`);
 
 	// Find files to process
 	const patterns = Array.isArray(pattern) ? pattern : [pattern];
@@ -58,8 +65,17 @@ export async function processFiles({
 	files = [...new Set(files)];
 
 	if (files.length === 0) {
-		console.log(`⚠️  ${taskName}: No files found to process`);
-		return { success: true, processed: 0, errors: [] };
+		logger.log(`⚠️  ${taskName}: No files found to process`);
+		return {
+			taskName,
+			success: true,
+			duration: Math.round(performance.now() - start),
+			processed: 0,
+			failed: 0,
+			stats: {},
+			files: [],
+			errors: [],
+		};
 	}
 
 	const results = [];
@@ -67,56 +83,73 @@ export async function processFiles({
 
 	// Process each file
 	for (const file of files) {
+		const relativePath = path.relative(outputDir, file);
+		const fileStart = performance.now();
+
 		try {
 			const result = await processor(file);
-			results.push({ file, ...(result || {}) });
+			results.push({ file, ...(result || {}), duration: performance.now() - fileStart });
 
-			const relativePath = path.relative(outputDir, file);
 			const message = result?.message || '';
-			console.log(`✓ ${relativePath}${message}`);
+			logger.log(`✓ ${relativePath}${message}`);
 		} catch (error) {
-			const relativePath = path.relative(outputDir, file);
 			errors.push({
 				file: relativePath,
-				error: error.message,
+				message: error.message,
 			});
-			console.error(`✗ ${relativePath}: ${error.message}`);
+			logger.error(`✗ ${relativePath}: ${error.message}`);
 		}
 	}
 
 	// Calculate summary statistics
+	let stats = {};
 	let statsStr = '';
 	if (calculateStats && results.length > 0) {
-		const stats = calculateStats(results);
-		if (stats && Object.keys(stats).length > 0) {
+		stats = calculateStats(results) || {};
+		if (Object.keys(stats).length > 0) {
 			statsStr = ', ' + Object.entries(stats)
 				.map(([k, v]) => `${k}: ${v}`)
 				.join(', ');
 		}
 	}
 
+	const stepResult = {
+		taskName,
+		success: errors.length === 0,
+		duration: Math.round(performance.now() - start),
+		processed: results.length,
+		failed: errors.length,
+		stats,
+		files: results.map((result) =>
+			createFileResult(path.relative(outputDir, result.file), result),
+		),
+		errors,
+	};
+
 	// Log summary
-	console.log(
+	logger.log(
 		`\n✓ ${taskName} completed: ${results.length}/${files.length} files${statsStr}${errors.length > 0 ? `, ${errors.length} failed` : ''}\n`,
 	);
 
 	// Report errors
 	if (errors.length > 0) {
-		console.error(`\n❌ ${taskName} Errors:`);
-		errors.forEach(({ file, error }) => {
-			console.error(`   ${file}: ${error}`);
+		logger.error(`\n❌ ${taskName} Errors:`);
+		errors.forEach(({ file, message }) => {
+			logger.error(`   ${file}: ${message}`);
 		});
 
 		if (errorTip) {
-			console.error(`\n💡 Tip: ${errorTip}\n`);
+			logger.error(`\n💡 Tip: ${errorTip}\n`);
 		}
 
-		throw new Error(
+		const error = new Error(
 			`${taskName} failed for ${errors.length} file(s). See errors above.`,
 		);
+		error.result = stepResult;
+		throw error;
 	}
 
-	return { success: true, processed: results.length, errors: [] };
+	return stepResult;
 }
 
 /**
@@ -126,19 +159,17 @@ export async function processFiles({
  * Useful for validation tasks that should report but not fail the build.
  *
  * @param {Object} options - Same as processFiles
- * @returns {Promise<{success: boolean, processed: number, errors: Array}>}
+ * @returns {Promise<Object>} Step result, with `success: false` and the
+ *   failed files in `errors` when files fail
  */
 export async function processFilesWithoutThrow(options) {
 	try {
 		return await processFiles(options);
 	} catch (error) {
-		// Extract error count from message
-		const match = error.message.match(/failed for (\d+) file/);
-		const errorCount = match ? parseInt(match[1]) : 0;
-		return {
-			success: false,
-			processed: 0,
-			errors: new Array(errorCount).fill({ error: error.message }),
-		};
+		// Errors other than failed files (e.g. an invalid pattern) still throw
+		if (!error.result) {
+			throw error;
+		}
+		return error.result;
 	}
 }
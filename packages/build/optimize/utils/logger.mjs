@@ -0,0 +1,31 @@
+/**
+ * Loggers for the optimization plugins
+ *
+ * A logger has the console methods the plugins use: log, warn and error.
+ * `console` is the default; pass silentLogger (or `logger: false` in the
+ * configs) to keep the build quiet, or your own object to route the lines
+ * elsewhere.
+ */
+
+/**
+ * Logger that drops everything
+ */
+export const silentLogger = Object.freeze({
+	log() {},
+	warn() {},
+	error() {},
+});
+
+/**
+ * Resolve a logger option
+ *
+ * @param {Object|false} [logger] - Logger, false for none (default: console)
+ * @returns {Object} Logger with log, warn and error
+ */
+export function resolveLogger(logger) {
+	if (logger === false) {
+		return silentLogger;
+	}
+
+	return logger || console;
+}
@@ -0,0 +1,347 @@
+/**
+ * Optimization registry
+ *
+ * Each optimization declares its name (the key in `optimizations`), the
+ * JSON Schema of its options and which optimizations it must run before or
+ * after. runOptimizations orders the enabled ones by those constraints, so
+ * the order of the keys in the configuration doesn't matter.
+ *
+ * An optimization is either a site step (`run`) or a page stage (`stage`,
+ * see utils/page-stages.mjs) that runs in the single pass over the pages.
+ * Built-ins are registered here; other packages call registerOptimization().
+ */
+
+import { checkSchema, didYouMean } from '@eleventy-plugin-themer/core';
+import { purgeCSSFiles, PURGE_CSS_OPTIONS } from '../plugins/purge-css.mjs';
+import { createCriticalCSSStage, CRITICAL_CSS_OPTIONS } from '../plugins/critical-css.mjs';
+import { createMinifyHTMLStage, MINIFY_HTML_OPTIONS } from '../plugins/minify-html.mjs';
+import { createValidateLinksStage } from '../plugins/validate-links.mjs';
+import { createBudgetStage, BUDGET_OPTIONS } from '../plugins/budget.mjs';
+import { preserveNonHtmlFiles } from '../plugins/preserve-non-html.mjs';
+
+const registry = new Map();
+
+/**
+ * Options every page stage takes: which pages it runs on
+ */
+export const PAGE_FILTER_OPTIONS = {
+	include: {
+		type: 'array',
+		items: { type: 'string' },
+		default: ['**/*.html'],
+		description: 'Globs of the pages to process, relative to the output directory',
+	},
+	exclude: {
+		type: 'array',
+		items: { type: 'string' },
+		default: [],
+		description: 'Globs of the pages to skip, relative to the output directory',
+	},
+};
+
+/**
+ * Register an optimization
+ *
+ * @param {Object} definition - Optimization definition
+ * @param {string} definition.name - Key in `optimizations`
+ * @param {string} [definition.description] - Short description
+ * @param {Object} [definition.options] - JSON Schema properties of the options
+ *   object, with defaults (see checkSchema in core). Page stages also take
+ *   `include` and `exclude` (PAGE_FILTER_OPTIONS).
+ * @param {string[]} [definition.before] - Optimizations this one runs before
+ * @param {string[]} [definition.after] - Optimizations this one runs after
+ * @param {Function} [definition.run] - Site step: async ({ dirs, options, logger }) => result.
+ *   A returned object goes into the report (see utils/report.mjs).
+ * @param {Function} [definition.stage] - Page stage factory: (options, { outputDir, logger }) => stage
+ * @param {string} [definition.module] - URL of the registering module
+ *   (`import.meta.url`). Worker threads import it to get the page stage;
+ *   without it, the stage runs on the main thread.
+ * @returns {Object} Registered definition
+ * @throws {Error} If the definition is invalid or the name is taken
+ *
+ * @example
+ * registerOptimization({
+ *   name: 'addBanner',
+ *   options: { text: { type: 'string', default: 'Preview' } },
+ *   after: ['minifyHTML'],
+ *   module: import.meta.url,
+ *   stage: (options) => ({
+ *     name: 'addBanner',
+ *     taskName: 'Preview Banner',
+ *     async transform(html) {
+ *       return { html: html.replace('</body>', `<p>${options.text}</p></body>`) };
+ *     },
+ *   }),
+ * });
+ */
+export function registerOptimization(definition) {
+	const { name, run, stage } = definition || {};
+
+	if (!name || typeof name !== 'string') {
+		throw new Error('registerOptimization: name is required');
+	}
+
+	const hasRun = typeof run === 'function';
+	const hasStage = typeof stage === 'function';
+
+	if (hasRun === hasStage) {
+		throw new Error(
+			`registerOptimization: "${name}" needs either run() or stage()\n` +
+				'  Site steps use run({ dirs, options, logger }), page stages use stage(options, { outputDir, logger })',
+		);
+	}
+
+	if (registry.has(name)) {
+		throw new Error(
+			`registerOptimization: "${name}" is already registered\n` +
+				`  Pick another name, or pass a function for "${name}" in optimizations to replace it`,
+		);
+	}
+
+	const registered = Object.freeze({
+		before: [],
+		after: [],
+		...definition,
+		options: hasStage
+			? { ...PAGE_FILTER_OPTIONS, ...definition.options }
+			: { ...definition.options },
+	});
+	registry.set(name, registered);
+
+	return registered;
+}
+
+/**
+ * Get a registered optimization
+ *
+ * @param {string} name - Optimization name
+ * @returns {Object|null} Definition, or null when not registered
+ */
+export function getOptimization(name) {
+	return registry.get(name) || null;
+}
+
+/**
+ * Names of the registered optimizations, in registration order
+ *
+ * @returns {string[]} Names
+ */
+export function getOptimizationNames() {
+	return [...registry.keys()];
+}
+
+/**
+ * Validate an options object and merge it over the declared defaults
+ *
+ * @param {string} name - Optimization name
+ * @param {Object} [values] - Options
+ * @returns {Object} Options with defaults
+ * @throws {Error} If an option is unknown or does not match its declaration
+ */
+export function resolveOptimizationOptions(name, values = {}) {
+	const { options: properties } = registry.get(name);
+
+	const issues = checkSchema(values, {
+		type: 'object',
+		properties,
+		additionalProperties: false,
+	});
+
+	if (issues.length > 0) {
+		const available = Object.keys(properties);
+
+		throw new Error(
+			`Invalid options for optimization "${name}":\n` +
+				issues
+					.map(
+						({ pointer, message, suggestion }) =>
+							`  - ${pointer.slice(1)}: ${message.replace(/^Unknown property ".*"$/, 'Unknown option')}` +
+							(suggestion ? `. Did you mean "${suggestion}"?` : ''),
+					)
+					.join('\n') +
+				(available.length > 0 ? `\n  Available options: ${available.join(', ')}` : ''),
+		);
+	}
+
+	const defaults = Object.fromEntries(
+		Object.entries(properties)
+			.filter(([, property]) => property.default !== undefined)
+			.map(([key, property]) => [key, property.default]),
+	);
+
+	return { ...defaults, ...values };
+}
+
+/**
+ * Check optimization keys and order the enabled optimizations
+ *
+ * Optimizations run after everything they declare in `after` and before
+ * everything in `before`; constraints on optimizations that are not enabled
+ * are ignored. Otherwise the configuration order is kept.
+ *
+ * @param {Object} optimizations - Optimization configuration (key: true|false|function|options)
+ * @returns {Array<{name: string, config: *, definition: Object}>} Enabled optimizations in run order
+ * @throws {Error} On unknown keys or circular constraints
+ *
+ * @example
+ * orderOptimizations({ minifyHTML: true, criticalCSS: true }).map((step) => step.name);
+ * // ['criticalCSS', 'minifyHTML']
+ */
+export function orderOptimizations(optimizations = {}) {
+	const names = getOptimizationNames();
+	const problems = [];
+
+	Object.keys(optimizations).forEach((key) => {
+		if (!registry.has(key)) {
+			const suggestion = didYouMean(key, names);
+			problems.push(
+				`${key}: Unknown optimization` + (suggestion ? `. Did you mean "${suggestion}"?` : ''),
+			);
+		}
+	});
+
+	if (problems.length > 0) {
+		throw new Error(
+			'Invalid optimizations:\n' +
+				problems.map((problem) => `  - ${problem}`).join('\n') +
+				`\n  Available optimizations: ${names.join(', ')}` +
+				'\n  Custom steps are added with registerOptimization()',
+		);
+	}
+
+	const enabled = Object.keys(optimizations).filter((key) => optimizations[key]);
+
+	// Edges from each optimization to the ones that must run after it
+	const successors = new Map(enabled.map((name) => [name, new Set()]));
+	enabled.forEach((name) => {
+		const { before, after } = registry.get(name);
+		before.filter((other) => successors.has(other)).forEach((other) => successors.get(name).add(other));
+		after.filter((other) => successors.has(other)).forEach((other) => successors.get(other).add(name));
+	});
+
+	const pending = new Map(enabled.map((name) => [name, 0]));
+	successors.forEach((next) => next.forEach((name) => pending.set(name, pending.get(name) + 1)));
+
+	// Kahn's algorithm, taking the earliest configured optimization that is ready
+	const ordered = [];
+	while (pending.size > 0) {
+		const ready = enabled.find((name) => pending.get(name) === 0);
+
+		if (!ready) {
+			throw new Error(
+				`Optimization order has a cycle between: ${[...pending.keys()].join(', ')}\n` +
+					'  Check the before and after constraints of these optimizations',
+			);
+		}
+
+		pending.delete(ready);
+		successors.get(ready).forEach((name) => pending.set(name, pending.get(name) - 1));
+		ordered.push({ name: ready, config: optimizations[ready], definition: registry.get(ready) });
+	}
+
+	return ordered;
+}
+
+/**
+ * Check an optimization configuration and resolve it to run order with options
+ *
+ * @param {Object} optimizations - Optimization configuration (key: true|false|function|options)
+ * @returns {Array<{name: string, config: *, definition: Object, options: Object|null}>}
+ *   Enabled optimizations in run order, with validated options (null for functions)
+ * @throws {Error} On unknown keys, invalid values or options, or circular constraints
+ */
+export function resolveOptimizations(optimizations = {}) {
+	return orderOptimizations(optimizations).map((step) => {
+		const { name, config } = step;
+
+		if (typeof config === 'function') {
+			return { ...step, options: null };
+		}
+
+		if (config !== true && (typeof config !== 'object' || Array.isArray(config))) {
+			throw new Error(
+				`Invalid optimizations:\n  - ${name}: Expected true, false, a function or an options object, got ${JSON.stringify(config)}`,
+			);
+		}
+
+		return { ...step, options: resolveOptimizationOptions(name, config === true ? {} : config) };
+	});
+}
+
+// Built-in optimizations
+
+registerOptimization({
+	name: 'preserveNonHtml',
+	description: 'Copy feeds and other non-HTML files from the Vite temp directory',
+	options: {
+		extensions: {
+			type: 'array',
+			items: { type: 'string' },
+			default: ['xml', 'txt', 'xsl'],
+			description: 'File extensions to copy',
+		},
+	},
+	// Links to feeds are only valid once the feeds are copied
+	before: ['validateLinks'],
+	async run({ dirs, options, logger }) {
+		if (!dirs.temp) {
+			throw new Error('preserveNonHtml optimization requires dirs.temp to be specified');
+		}
+		return preserveNonHtmlFiles(dirs.temp, dirs.output, options.extensions, { logger });
+	},
+});
+
+registerOptimization({
+	name: 'purgeCSS',
+	description: 'Remove unused CSS from the stylesheets',
+	options: PURGE_CSS_OPTIONS,
+	// Critical CSS is taken from the purged stylesheets
+	before: ['criticalCSS'],
+	async run({ dirs, options, logger }) {
+		return purgeCSSFiles(dirs.output, { ...options, logger });
+	},
+});
+
+registerOptimization({
+	name: 'criticalCSS',
+	description: 'Inline critical CSS and load the rest asynchronously',
+	options: CRITICAL_CSS_OPTIONS,
+	// Inlined styles are minified with the page
+	before: ['minifyHTML'],
+	module: import.meta.url,
+	stage: (options, context) => createCriticalCSSStage(options, context),
+});
+
+registerOptimization({
+	name: 'minifyHTML',
+	description: 'Minify the pages',
+	options: MINIFY_HTML_OPTIONS,
+	module: import.meta.url,
+	stage: (options) => createMinifyHTMLStage(options),
+});
+
+registerOptimization({
+	name: 'validateLinks',
+	description: 'Check internal links and images',
+	options: {
+		throwOnError: {
+			type: 'boolean',
+			default: false,
+			description: 'Fail the build on broken links',
+		},
+	},
+	// Checks the final pages
+	after: ['criticalCSS', 'minifyHTML'],
+	module: import.meta.url,
+	stage: (options, context) => createValidateLinksStage(options, context),
+});
+
+registerOptimization({
+	name: 'budget',
+	description: 'Check page weight against performance budgets',
+	options: BUDGET_OPTIONS,
+	// Measures the pages as they are deployed
+	after: ['criticalCSS', 'minifyHTML'],
+	module: import.meta.url,
+	stage: (options, context) => createBudgetStage(options, context),
+});
@@ -0,0 +1,109 @@
+/**
+ * Page stages for the optimization pipeline
+ *
+ * A page stage works on one HTML page at a time, so the pipeline can read
+ * each page once, run every enabled stage over it and write it once.
+ *
+ * Stage shape:
+ * - `name`, `taskName`, `errorTip` - Identification and logging
+ * - `transform(html, file)` - Returns `{ html, message?, stats? }`
+ * - `collect(html, file)` - Returns cacheable page data, for site-level checks
+ * - `finish(pages)` - Runs once with `[{ file, data }]` from `collect`
+ * - `calculateStats(results)` - Summary statistics, as in processFiles
+ * - `dependsOn` - `['css']` when the output depends on the stylesheets
+ */
+
+import {
+	getOptimization,
+	orderOptimizations,
+	resolveOptimizationOptions,
+} from './optimization-registry.mjs';
+
+/**
+ * Create page stages in run order
+ *
+ * @param {Array<{name: string, options?: Object}>} stages - Enabled stages,
+ *   page stages from the optimization registry
+ * @param {Object} context - Pipeline context
+ * @param {string} context.outputDir - Output directory
+ * @returns {Array<Object>} Page stages, with the `include` and `exclude` globs from their options
+ * @throws {Error} On unknown names, invalid options or optimizations that are not page stages
+ */
+export function createPageStages(stages, context) {
+	const options = new Map(stages.map(({ name, options }) => [name, options || {}]));
+
+	return orderOptimizations(Object.fromEntries(stages.map(({ name }) => [name, true]))).map(
+		({ name, definition }) => {
+			if (!definition.stage) {
+				throw new Error(
+					`${name} is not a page stage\n` +
+						'  Run it with runOptimizations(), which runs site steps around the page pass',
+				);
+			}
+			const { include, exclude, ...stageOptions } = resolveOptimizationOptions(
+				name,
+				options.get(name),
+			);
+
+			return { ...definition.stage(stageOptions, context), include, exclude };
+		},
+	);
+}
+
+/**
+ * Modules that worker threads import to get the page stages
+ *
+ * @param {Array<{name: string}>} stages - Enabled stages
+ * @returns {string[]|null} Module URLs, or null when a stage has no module
+ */
+export function getPageStageModules(stages) {
+	const modules = stages.map(({ name }) => getOptimization(name)?.module);
+
+	return modules.every(Boolean) ? [...new Set(modules)] : null;
+}
+
+/**
+ * Run page stages over one page
+ *
+ * A failing transform keeps the page as it was before that stage, so the
+ * other stages still run; the error is returned for the stage summary.
+ *
+ * @param {Array<Object>} stages - Page stages from createPageStages
+ * @param {string} html - Page HTML
+ * @param {string} file - Page path
+ * @param {Set<string>} [names] - Stages that apply to the page (default: all)
+ * @returns {Promise<{html: string, results: Object, errors: Object}>}
+ *   Transformed HTML, per-stage results (`message`, `stats`, `data`, `duration`)
+ *   and per-stage error messages
+ */
+export async function runPageStages(stages, html, file, names) {
+	const results = {};
+	const errors = {};
+
+	for (const stage of stages) {
+		if (names && !names.has(stage.name)) continue;
+
+		const start = performance.now();
+
+		try {
+			const result = {};
+
+			if (stage.transform) {
+				const { html: transformed, ...rest } = await stage.transform(html, file);
+				html = transformed;
+				Object.assign(result, rest);
+			}
+
+			if (stage.collect) {
+				result.data = await stage.collect(html, file);
+			}
+
+			result.duration = performance.now() - start;
+			results[stage.name] = result;
+		} catch (error) {
+			errors[stage.name] = error.message;
+		}
+	}
+
+	return { html, results, errors };
+}
@@ -0,0 +1,23 @@
+/**
+ * Worker thread for the optimization pipeline
+ *
+ * Loads the modules that register the page stages, creates the stages
+ * once, then runs them over each page it is sent.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { createPageStages, runPageStages } from './page-stages.mjs';
+
+for (const module of workerData.modules) {
+	await import(module);
+}
+
+const stages = createPageStages(workerData.stages, { outputDir: workerData.outputDir });
+
+parentPort.on('message', async ({ file, html, names }) => {
+	try {
+		parentPort.postMessage(await runPageStages(stages, html, file, names));
+	} catch (error) {
+		parentPort.postMessage({ error: error.message });
+	}
+});
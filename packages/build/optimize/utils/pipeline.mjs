@@ -0,0 +1,490 @@
+/**
+ * Single-pass optimization pipeline for HTML pages
+ *
+ * Each page is read once, every enabled page stage runs over it (in worker
+ * threads when there are several cores) and it is written once. Results are
+ * cached by content hash between builds: a page that comes out of the build
+ * the same as last time gets the cached optimized page instead of being
+ * processed again.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { glob } from 'glob';
+import { PROVENANCE_DIR, ensureGeneratedDir } from '@eleventy-plugin-themer/core';
+import { createPageStages, getPageStageModules, runPageStages } from './page-stages.mjs';
+import { createFileResult } from './report.mjs';
+
+/**
+ * Default cache directory, relative to the project root
+ */
+export const PIPELINE_CACHE_DIR = path.join(PROVENANCE_DIR, 'build', 'optimize');
+
+// Bump when stage output changes for the same input and options
+const PIPELINE_VERSION = 1;
+
+const CACHE_FILE = 'pages.json';
+const BLOBS_DIR = 'pages';
+
+/**
+ * Default worker count: one core is left for the main thread
+ *
+ * @returns {number} Worker count
+ */
+export function getDefaultConcurrency() {
+	return Math.max(1, os.availableParallelism() - 1);
+}
+
+/**
+ * Run page stages over every HTML page in the output directory
+ *
+ * @param {Object} options - Pipeline options
+ * @param {string} options.outputDir - Output directory
+ * @param {Array<{name: string, options?: Object}>} options.stages - Enabled page stages
+ *   (see utils/optimization-registry.mjs). `include` and `exclude` globs in
+ *   their options pick the pages they run on.
+ * @param {number} [options.concurrency] - Worker threads (default: cores - 1).
+ *   With 1, stage options that can't be sent to a worker (functions) or a
+ *   stage registered without `module`, pages are processed on the main thread.
+ * @param {string|null} [options.cacheDir] - Cache directory, or null to disable the cache
+ * @param {Object} [options.logger] - Logger (default: console)
+ * @returns {Promise<{success: boolean, duration: number, processed: number, cached: number, steps: Array}>}
+ *   A step result per stage (see utils/report.mjs); the validateLinks step has
+ *   the link check result too. Errors thrown for failed pages have it as `result`.
+ *
+ * @example
+ * await runPagePipeline({
+ *   outputDir: '_site',
+ *   stages: [{ name: 'criticalCSS' }, { name: 'minifyHTML' }],
+ *   cacheDir: '.themer/build/optimize',
+ * });
+ */
+export async function runPagePipeline({
+	outputDir = '_site',
+	stages,
+	concurrency = getDefaultConcurrency(),
+	cacheDir = null,
+	logger = console,
+}) {
+	const start = performance.now();
+	const pageStages = createPageStages(stages, { outputDir, logger });
+	const taskNames = pageStages.map((stage) => stage.taskName).join(', ');
+
+	logger.log(`\n📦 Page optimizations (${taskNames})...\n`);
+
+	const files = (await glob(`${outputDir}/**/*.html`)).sort();
+
+	if (files.length === 0) {
+		logger.log('⚠️  Page optimizations: No files found to process');
+		return {
+			success: true,
+			duration: Math.round(performance.now() - start),
+			processed: 0,
+			cached: 0,
+			steps: pageStages.map((stage) => createStageResult(stage, [], [], new Set())),
+		};
+	}
+
+	// Pages each stage runs on, from its include and exclude globs
+	const stagePages = new Map();
+	for (const stage of pageStages) {
+		const matches = await glob(stage.include, { cwd: outputDir, ignore: stage.exclude });
+		stagePages.set(stage.name, new Set(matches.map((match) => path.normalize(match))));
+	}
+
+	const key = await getCacheKey(stages, pageStages, outputDir);
+	const cache = readCache(cacheDir, key);
+	const nextCache = { key, pages: {} };
+
+	// Pages the cache can't answer for are processed; the rest are restored
+	const queue = [];
+	const cachedPages = new Set();
+
+	for (const file of files) {
+		const rel = path.relative(outputDir, file);
+		const html = await fs.promises.readFile(file, 'utf-8');
+		const hash = hashContent(html);
+		const entry = cache.pages[rel];
+
+		if (entry && hash === entry.output) {
+			// Already optimized (output directory not cleaned between builds)
+			nextCache.pages[rel] = entry;
+			cachedPages.add(rel);
+		} else if (entry && hash === entry.input && hasBlob(cacheDir, entry)) {
+			if (entry.output !== entry.input) {
+				await fs.promises.copyFile(getBlobPath(cacheDir, entry.output), file);
+			}
+			nextCache.pages[rel] = entry;
+			cachedPages.add(rel);
+		} else {
+			const names = new Set(
+				pageStages
+					.filter((stage) => stagePages.get(stage.name).has(rel))
+					.map((stage) => stage.name),
+			);
+			queue.push({ file, rel, html, hash, names });
+		}
+	}
+
+	const errors = [];
+
+	await processPages(queue, { stages, pageStages, outputDir, concurrency }, async (page, result) => {
+		const output = result.html === page.html ? page.hash : hashContent(result.html);
+
+		if (output !== page.hash) {
+			await fs.promises.writeFile(page.file, result.html);
+		}
+
+		const failed = Object.entries(result.errors);
+		failed.forEach(([stage, message]) => errors.push({ stage, file: page.rel, message }));
+
+		if (failed.length > 0) {
+			logger.error(`✗ ${page.rel}: ${failed.map(([, message]) => message).join('; ')}`);
+			return;
+		}
+
+		const message = Object.values(result.results)
+			.map((stageResult) => stageResult.message || '')
+			.join('');
+		logger.log(`✓ ${page.rel}${message}`);
+
+		// Only pages that went through every stage are cached
+		if (cacheDir && output !== page.hash) {
+			await writeBlob(cacheDir, output, result.html);
+		}
+		nextCache.pages[page.rel] = { input: page.hash, output, stages: result.results };
+	});
+
+	// Summary per stage, cached pages included
+	const steps = [];
+	for (const stage of pageStages) {
+		const results = Object.entries(nextCache.pages)
+			.filter(([, entry]) => entry.stages[stage.name])
+			.map(([rel, entry]) => ({ file: rel, ...entry.stages[stage.name] }));
+		const stageErrors = errors
+			.filter((error) => error.stage === stage.name)
+			.map(({ file, message }) => ({ file, message }));
+		const total = files.filter((file) =>
+			stagePages.get(stage.name).has(path.relative(outputDir, file)),
+		).length;
+
+		const step = createStageResult(stage, results, stageErrors, cachedPages);
+		steps.push(step);
+
+		if (!stage.transform && stageErrors.length === 0) continue;
+
+		const statsStr = Object.keys(step.stats).length > 0
+			? ', ' + Object.entries(step.stats)
+				.map(([k, v]) => `${k}: ${v}`)
+				.join(', ')
+			: '';
+
+		logger.log(
+			`\n✓ ${stage.taskName} completed: ${results.length}/${total} files${statsStr}${stageErrors.length > 0 ? `, ${stageErrors.length} failed` : ''}`,
+		);
+	}
+
+	logger.log(`\n✓ Page optimizations: ${queue.length} processed, ${cachedPages.size} unchanged (cached)\n`);
+
+	if (cacheDir) {
+		writeCache(cacheDir, nextCache);
+	}
+
+	const result = {
+		success: errors.length === 0,
+		duration: 0,
+		processed: queue.length,
+		cached: cachedPages.size,
+		steps,
+	};
+
+	// Report errors
+	for (const step of steps.filter((pageStep) => pageStep.failed > 0)) {
+		const stage = pageStages.find((pageStage) => pageStage.name === step.name);
+
+		logger.error(`\n❌ ${step.taskName} Errors:`);
+		step.errors.forEach(({ file, message }) => {
+			logger.error(`   ${file}: ${message}`);
+		});
+
+		if (stage.errorTip) {
+			logger.error(`\n💡 Tip: ${stage.errorTip}\n`);
+		}
+
+		result.duration = Math.round(performance.now() - start);
+		const error = new Error(
+			`${step.taskName} failed for ${step.failed} file(s). See errors above.`,
+		);
+		error.result = result;
+		throw error;
+	}
+
+	// Site-level checks over every page, cached ones included
+	for (const stage of pageStages.filter((pageStage) => pageStage.finish)) {
+		const step = steps.find((pageStep) => pageStep.name === stage.name);
+		const pages = Object.entries(nextCache.pages)
+			.filter(([, entry]) => entry.stages[stage.name])
+			.map(([rel, entry]) => ({
+				file: path.join(outputDir, rel),
+				data: entry.stages[stage.name].data,
+			}));
+
+		try {
+			Object.assign(step, mergeFinishResult(step, await stage.finish(pages)));
+		} catch (error) {
+			if (error.result) {
+				Object.assign(step, mergeFinishResult(step, error.result));
+			}
+			result.success = false;
+			result.duration = Math.round(performance.now() - start);
+			error.result = result;
+			throw error;
+		}
+	}
+
+	result.success = steps.every((step) => step.success);
+	result.duration = Math.round(performance.now() - start);
+
+	return result;
+}
+
+/**
+ * Helper: Step result of one page stage (see utils/report.mjs)
+ *
+ * @private
+ */
+function createStageResult(stage, results, errors, cachedPages) {
+	const processed = results.filter((result) => !cachedPages.has(result.file));
+
+	let stats = {};
+	if (stage.calculateStats && results.length > 0) {
+		stats = stage.calculateStats(results) || {};
+	}
+
+	return {
+		name: stage.name,
+		taskName: stage.taskName,
+		success: errors.length === 0,
+		duration: Math.round(processed.reduce((sum, result) => sum + (result.duration || 0), 0)),
+		processed: processed.length,
+		cached: results.length - processed.length,
+		failed: errors.length,
+		stats,
+		files: results.map((result) =>
+			cachedPages.has(result.file)
+				? { ...createFileResult(result.file, { stats: result.stats }), cached: true }
+				: createFileResult(result.file, result),
+		),
+		errors,
+	};
+}
+
+/**
+ * Helper: Add the result of a stage's site-level check to its step result
+ *
+ * @private
+ */
+function mergeFinishResult(step, { valid, errors, duration = 0, ...rest }) {
+	return {
+		...rest,
+		success: step.success && valid !== false,
+		duration: step.duration + duration,
+		failed: step.failed + errors.length,
+		errors: [...step.errors, ...errors],
+	};
+}
+
+/**
+ * Helper: Run the stages over the queued pages, in workers when possible
+ *
+ * `onResult` runs on the main thread, one page at a time per worker.
+ *
+ * @private
+ */
+async function processPages(queue, { stages, pageStages, outputDir, concurrency }, onResult) {
+	const workerCount = Math.min(concurrency, queue.length);
+	const modules = getPageStageModules(stages);
+
+	if (workerCount <= 1 || !modules || !isCloneable(stages)) {
+		for (const page of queue) {
+			await onResult(page, await runPageStages(pageStages, page.html, page.file, page.names));
+		}
+		return;
+	}
+
+	const pending = [...queue];
+	const workers = Array.from(
+		{ length: workerCount },
+		() =>
+			new Worker(new URL('./pipeline-worker.mjs', import.meta.url), {
+				workerData: { stages, outputDir, modules },
+			}),
+	);
+
+	try {
+		await Promise.all(workers.map((worker) => drainQueue(worker, pending, onResult)));
+	} finally {
+		await Promise.all(workers.map((worker) => worker.terminate()));
+	}
+}
+
+/**
+ * Helper: Send pages to one worker until the shared queue is empty
+ *
+ * @private
+ */
+function drainQueue(worker, pending, onResult) {
+	return new Promise((resolve, reject) => {
+		let page;
+
+		const next = () => {
+			page = pending.shift();
+			if (!page) {
+				worker.off('message', onMessage);
+				worker.off('error', reject);
+				resolve();
+				return;
+			}
+			worker.postMessage({ file: page.file, html: page.html, names: page.names });
+		};
+
+		const onMessage = (result) => {
+			if (result.error) {
+				reject(new Error(`Page optimizations failed for ${page.rel}: ${result.error}`));
+				return;
+			}
+			Promise.resolve(onResult(page, result)).then(next, reject);
+		};
+
+		worker.on('message', onMessage);
+		worker.on('error', reject);
+		next();
+	});
+}
+
+/**
+ * Helper: Whether stage options can be sent to a worker thread
+ *
+ * @private
+ */
+function isCloneable(value) {
+	try {
+		structuredClone(value);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Helper: Cache key for the stages, their options and, for stages that
+ * depend on them, the stylesheets
+ *
+ * @private
+ */
+async function getCacheKey(stages, pageStages, outputDir) {
+	const hash = crypto.createHash('sha256');
+
+	hash.update(String(PIPELINE_VERSION));
+	hash.update(
+		JSON.stringify(stages, (k, v) =>
+			typeof v === 'function' || v instanceof RegExp ? String(v) : v,
+		),
+	);
+
+	if (pageStages.some((stage) => stage.dependsOn?.includes('css'))) {
+		const cssFiles = (await glob(`${outputDir}/**/*.css`)).sort();
+		for (const file of cssFiles) {
+			hash.update(path.relative(outputDir, file));
+			hash.update(await fs.promises.readFile(file));
+		}
+	}
+
+	return hash.digest('hex');
+}
+
+/**
+ * Helper: Content hash of a page
+ *
+ * @private
+ */
+function hashContent(content) {
+	return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Helper: Read the cache, empty when missing or made with other stages
+ *
+ * @private
+ */
+function readCache(cacheDir, key) {
+	const empty = { key, pages: {} };
+
+	if (!cacheDir) return empty;
+
+	const filePath = path.join(cacheDir, CACHE_FILE);
+	if (!fs.existsSync(filePath)) return empty;
+
+	try {
+		const cache = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+		return cache.key === key ? cache : empty;
+	} catch {
+		return empty;
+	}
+}
+
+/**
+ * Helper: Write the cache and remove optimized pages it no longer uses
+ *
+ * @private
+ */
+function writeCache(cacheDir, cache) {
+	ensureGeneratedDir(cacheDir);
+
+	fs.writeFileSync(path.join(cacheDir, CACHE_FILE), JSON.stringify(cache));
+
+	const used = new Set(Object.values(cache.pages).map((entry) => `${entry.output}.html`));
+	const blobsDir = path.join(cacheDir, BLOBS_DIR);
+	if (fs.existsSync(blobsDir)) {
+		for (const blob of fs.readdirSync(blobsDir)) {
+			if (!used.has(blob)) {
+				fs.rmSync(path.join(blobsDir, blob), { force: true });
+			}
+		}
+	}
+}
+
+/**
+ * Helper: Path of a cached optimized page
+ *
+ * @private
+ */
+function getBlobPath(cacheDir, hash) {
+	return path.join(cacheDir, BLOBS_DIR, `${hash}.html`);
+}
+
+/**
+ * Helper: Whether the optimized page of a cache entry is available
+ *
+ * @private
+ */
+function hasBlob(cacheDir, entry) {
+	return entry.output === entry.input || fs.existsSync(getBlobPath(cacheDir, entry.output));
+}
+
+/**
+ * Helper: Save an optimized page to the cache
+ *
+ * @private
+ */
+async function writeBlob(cacheDir, hash, html) {
+	const blobPath = getBlobPath(cacheDir, hash);
+
+	if (!fs.existsSync(blobPath)) {
+		await fs.promises.mkdir(path.dirname(blobPath), { recursive: true });
+		await fs.promises.writeFile(blobPath, html);
+	}
+}
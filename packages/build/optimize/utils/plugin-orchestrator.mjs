@@ -0,0 +1,145 @@
+/**
+ * Optimization orchestration
+ * Runs the configured optimizations from the registry in dependency order
+ */
+
+import { resolveOptimizations } from './optimization-registry.mjs';
+import { runPagePipeline, PIPELINE_CACHE_DIR } from './pipeline.mjs';
+import { createOptimizationReport, writeOptimizationReport } from './report.mjs';
+import { resolveLogger } from './logger.mjs';
+
+/**
+ * Run optimization plugins based on configuration
+ *
+ * Optimizations are ordered by the before/after constraints in the registry
+ * (see utils/optimization-registry.mjs); unknown keys are rejected.
+ * Consecutive page stages (criticalCSS, minifyHTML, validateLinks) run
+ * together in one cached pass over the HTML pages (see utils/pipeline.mjs).
+ * A function replaces the built-in and runs in its place; an object is
+ * validated against the optimization's options and passed to it.
+ *
+ * The step results are collected into a report (see utils/report.mjs),
+ * written to the output directory also when a step fails.
+ *
+ * @param {Object} optimizations - Optimization configuration (key: true|false|function|options)
+ * @param {Object} dirs - Directory configuration
+ * @param {string} dirs.output - Output directory (required)
+ * @param {string} [dirs.temp] - Temp directory (required for preserveNonHtml)
+ * @param {Object} [options] - Run options
+ * @param {number} [options.concurrency] - Page pipeline worker threads (default: cores - 1)
+ * @param {boolean|string} [options.cache] - Page pipeline cache directory, true for
+ *   .themer/build/optimize in the working directory, false to disable (default: true)
+ * @param {Object|false} [options.report] - Report files (`json`, `junit`, see
+ *   writeOptimizationReport), false to write none
+ * @param {Object|false} [options.logger] - Logger, false for no output (default: console)
+ * @returns {Promise<Object>} Report
+ */
+export async function runOptimizations(optimizations, dirs, options = {}) {
+	if (!dirs || !dirs.output) {
+		throw new Error('runOptimizations: dirs.output is required');
+	}
+
+	const start = performance.now();
+	const { concurrency, cache = true, report: reportFiles = {} } = options;
+	const logger = resolveLogger(options.logger);
+	const resolved = resolveOptimizations(optimizations);
+	const steps = [];
+
+	const finish = async () => {
+		const report = createOptimizationReport({
+			outputDir: dirs.output,
+			steps,
+			duration: performance.now() - start,
+		});
+
+		if (reportFiles) {
+			await writeOptimizationReport(report, reportFiles);
+		}
+
+		return report;
+	};
+
+	// Page stages waiting for the next pass over the pages
+	let pageStages = [];
+	// Step that runs now, for the report when it fails
+	let current = null;
+
+	const runPageStages = async () => {
+		if (pageStages.length === 0) return;
+
+		const stages = pageStages;
+		pageStages = [];
+		current = stages[0].name;
+
+		const result = await runPagePipeline({
+			outputDir: dirs.output,
+			stages,
+			concurrency,
+			cacheDir: cache === true ? PIPELINE_CACHE_DIR : cache || null,
+			logger,
+		});
+		steps.push(...result.steps);
+	};
+
+	try {
+		for (const { name, config, definition, options: stageOptions } of resolved) {
+			if (typeof config !== 'function' && definition.stage) {
+				pageStages.push({ name, options: stageOptions });
+				continue;
+			}
+
+			await runPageStages();
+			current = name;
+
+			const stepStart = performance.now();
+
+			// Custom function provided; an object it returns goes into the report
+			if (typeof config === 'function') {
+				const result = await config({ dirs, logger });
+				steps.push({
+					name,
+					success: true,
+					duration: Math.round(performance.now() - stepStart),
+					...(isObject(result) ? result : {}),
+				});
+				continue;
+			}
+
+			const result = await definition.run({ dirs, options: stageOptions, logger });
+			steps.push({
+				name,
+				success: true,
+				duration: Math.round(performance.now() - stepStart),
+				...(isObject(result) ? result : {}),
+			});
+		}
+
+		await runPageStages();
+	} catch (error) {
+		// Record the failed step, then write the report before failing the build
+		if (Array.isArray(error.result?.steps)) {
+			steps.push(...error.result.steps);
+		} else {
+			steps.push({
+				name: current,
+				...(isObject(error.result) ? error.result : {}),
+				success: false,
+				error: error.message,
+			});
+		}
+
+		await finish();
+		throw error;
+	}
+
+	return finish();
+}
+
+/**
+ * Helper: Whether a step returned a result object
+ *
+ * @private
+ */
+function isObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,249 @@
+/**
+ * Build report for the optimizations
+ *
+ * Every optimization returns a step result, and runOptimizations collects
+ * them into one report written to the output directory:
+ *
+ *   {
+ *     "generatedAt": "2025-01-01T12:00:00.000Z",
+ *     "outputDir": "_site",
+ *     "success": true,
+ *     "duration": 5120,
+ *     "steps": [
+ *       {
+ *         "name": "minifyHTML",
+ *         "taskName": "HTML Minification",
+ *         "success": true,
+ *         "duration": 3400,
+ *         "processed": 12,
+ *         "cached": 2988,
+ *         "failed": 0,
+ *         "stats": { "total reduction": "18.2% (...)" },
+ *         "files": [{ "file": "index.html", "duration": 41, "originalSize": 20480, "size": 16752, "savings": 3728 }],
+ *         "errors": []
+ *       }
+ *     ]
+ *   }
+ *
+ * Sizes are in bytes and durations in milliseconds. Errors are
+ * `{ file, message }`; link validation adds `type` and `target`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Default report file, relative to the output directory
+ */
+export const REPORT_FILE = 'optimization-report.json';
+
+/**
+ * Default JUnit XML file for broken links, relative to the output directory
+ */
+export const LINKS_JUNIT_FILE = 'link-report.xml';
+
+/**
+ * Per-file entry of a step result
+ *
+ * @param {string} file - File path, relative to the output directory
+ * @param {Object} [result] - Processor or stage result
+ * @param {Object} [result.stats] - Stats with `originalSize` and `size` (bytes)
+ * @param {number} [result.duration] - Processing time (ms)
+ * @returns {Object} `{ file, duration, originalSize?, size?, savings? }`
+ */
+export function createFileResult(file, { stats, duration } = {}) {
+	const entry = { file };
+
+	if (duration !== undefined) {
+		entry.duration = Math.round(duration);
+	}
+
+	if (stats && stats.originalSize !== undefined && stats.size !== undefined) {
+		entry.originalSize = stats.originalSize;
+		entry.size = stats.size;
+		entry.savings = stats.originalSize - stats.size;
+	}
+
+	return entry;
+}
+
+/**
+ * Collect step results into a report
+ *
+ * @param {Object} options - Report contents
+ * @param {string} options.outputDir - Output directory
+ * @param {Array<Object>} options.steps - Step results, in run order
+ * @param {number} options.duration - Total time (ms)
+ * @returns {Object} Report
+ */
+export function createOptimizationReport({ outputDir, steps, duration }) {
+	return {
+		generatedAt: new Date().toISOString(),
+		outputDir,
+		success: steps.every((step) => step.success),
+		duration: Math.round(duration),
+		steps,
+	};
+}
+
+/**
+ * Error entry for a page a check could not parse
+ *
+ * @param {string} file - File path, relative to the output directory
+ * @param {string} parseError - Parser message
+ * @returns {Object} `{ file, type: 'parse-error', message }`
+ */
+export function createParseError(file, parseError) {
+	return {
+		file,
+		type: 'parse-error',
+		message: `Failed to parse HTML: ${parseError}`,
+	};
+}
+
+/**
+ * Report a page check that found errors
+ *
+ * `details` logs the check's own errors. Parse errors and the tip follow.
+ * Lines go to logger.warn, or to logger.error when the build fails with
+ * throwOnError; the thrown error carries the result as `error.result`.
+ *
+ * @param {Object} result - Check result with `errors`
+ * @param {Object} options - Reporting options
+ * @param {Function} options.details - Called with `report(message)` to log the check's errors
+ * @param {string} options.tip - Tip line, without the 💡 prefix
+ * @param {string} options.failure - Error message start, e.g. 'Link validation failed'
+ * @param {boolean} [options.throwOnError] - Fail the build (default: false)
+ * @param {Object} options.logger - Logger with `warn` and `error`
+ * @returns {Object} The result, when the build does not fail
+ * @throws {Error} With throwOnError
+ *
+ * @example
+ * return reportCheckErrors(result, {
+ *   details: (report) => result.errors.forEach(({ file, message }) => report(`   ${file}: ${message}`)),
+ *   tip: 'Fix the pages listed above',
+ *   failure: 'Page check failed',
+ *   throwOnError: options.throwOnError,
+ *   logger,
+ * });
+ */
+export function reportCheckErrors(result, { details, tip, failure, throwOnError = false, logger }) {
+	// Warn, or fail the build with throwOnError
+	const report = throwOnError
+		? (message) => logger.error(message)
+		: (message) => logger.warn(message);
+
+	details(report);
+
+	const parseErrors = result.errors.filter((e) => e.type === 'parse-error');
+	if (parseErrors.length > 0) {
+		report(`\n⚠️  Parse Errors (${parseErrors.length}):`);
+		parseErrors.forEach(({ file, message }) => {
+			report(`   ${file}: ${message}`);
+		});
+	}
+
+	report(`\n💡 Tip: ${tip}\n`);
+
+	if (throwOnError) {
+		const error = new Error(
+			`${failure} with ${result.errors.length} error(s). Fix issues above.`,
+		);
+		error.result = result;
+		throw error;
+	}
+
+	return result;
+}
+
+/**
+ * Render the link validation step as JUnit XML
+ *
+ * Each checked page is a test case; broken links and missing images are
+ * its failure.
+ *
+ * @param {Object} step - validateLinks step result
+ * @returns {string} JUnit XML
+ */
+export function renderLinksJUnit(step) {
+	const pages = step.pages || [];
+	const errorsByFile = new Map();
+	(step.errors || []).forEach((error) => {
+		errorsByFile.set(error.file, [...(errorsByFile.get(error.file) || []), error]);
+	});
+
+	const failures = pages.filter((page) => errorsByFile.has(page)).length;
+	const time = ((step.duration || 0) / 1000).toFixed(3);
+
+	const cases = pages.map((page) => {
+		const errors = errorsByFile.get(page);
+		const open = `    <testcase classname="validateLinks" name="${escapeXml(page)}"`;
+
+		if (!errors) {
+			return `${open} />`;
+		}
+
+		return (
+			`${open}>\n` +
+			`      <failure message="${escapeXml(`${errors.length} broken link(s)`)}" type="${escapeXml(errors[0].type)}">` +
+			escapeXml(errors.map((error) => error.message).join('\n')) +
+			'</failure>\n' +
+			'    </testcase>'
+		);
+	});
+
+	return (
+		'<?xml version="1.0" encoding="UTF-8"?>\n' +
+		`<testsuites tests="${pages.length}" failures="${failures}" time="${time}">\n` +
+		`  <testsuite name="Link Validation" tests="${pages.length}" failures="${failures}" time="${time}">\n` +
+		cases.map((line) => `${line}\n`).join('') +
+		'  </testsuite>\n' +
+		'</testsuites>\n'
+	);
+}
+
+/**
+ * Write the report, and the JUnit XML for links when asked for
+ *
+ * @param {Object} report - Report from createOptimizationReport
+ * @param {Object} [options] - Files to write
+ * @param {string|boolean} [options.json] - JSON file, relative to the output directory,
+ *   or true for REPORT_FILE (default)
+ * @param {string|boolean} [options.junit] - JUnit XML file for broken links,
+ *   true for LINKS_JUNIT_FILE (default: false)
+ * @returns {Promise<string[]>} Written files
+ */
+export async function writeOptimizationReport(report, options = {}) {
+	const { json = REPORT_FILE, junit = false } = options;
+	const written = [];
+
+	if (json) {
+		const filePath = path.join(report.outputDir, json === true ? REPORT_FILE : json);
+		await fs.mkdir(path.dirname(filePath), { recursive: true });
+		await fs.writeFile(filePath, JSON.stringify(report, null, '\t') + '\n');
+		written.push(filePath);
+	}
+
+	const links = report.steps.find((step) => step.name === 'validateLinks' && step.pages);
+	if (junit && links) {
+		const filePath = path.join(report.outputDir, junit === true ? LINKS_JUNIT_FILE : junit);
+		await fs.mkdir(path.dirname(filePath), { recursive: true });
+		await fs.writeFile(filePath, renderLinksJUnit(links));
+		written.push(filePath);
+	}
+
+	return written;
+}
+
+/**
+ * Helper: Escape text for XML attributes and content
+ *
+ * @private
+ */
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
@@ -16,8 +16,33 @@ export {
 	minifyHTML,
 	validateLinks,
 	validateLinksOrThrow,
+	checkBudgets,
 	preserveNonHtmlFiles,
+	DEFAULT_PURGECSS_SAFELIST,
 } from './plugins/index.mjs';
 
 // Utilities
 export { getFeatureEntries, getAvailableFeatures } from './utils/page-features.mjs';
+
+// Optimizations, shared with build-esbuild (see @eleventy-plugin-themer/build-optimize)
+export {
+	runOptimizations,
+	runPagePipeline,
+	getDefaultConcurrency,
+	PIPELINE_CACHE_DIR,
+	registerOptimization,
+	getOptimization,
+	getOptimizationNames,
+	orderOptimizations,
+	resolveOptimizations,
+	PAGE_FILTER_OPTIONS,
+	createOptimizationReport,
+	writeOptimizationReport,
+	renderLinksJUnit,
+	createParseError,
+	reportCheckErrors,
+	REPORT_FILE,
+	LINKS_JUNIT_FILE,
+	resolveLogger,
+	silentLogger,
+} from '@eleventy-plugin-themer/build-optimize';
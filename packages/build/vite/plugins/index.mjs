@@ -1,13 +1,18 @@
 /**
  * Production optimization plugins for Eleventy + Vite
  *
- * All plugins use dynamic imports for optional dependencies.
- * If a dependency is not installed, the plugin skips gracefully.
+ * The optimization plugins live in @eleventy-plugin-themer/build-optimize
+ * and are re-exported here.
  */
 
 export { themeAutoImportPlugin } from './auto-import.mjs';
-export { purgeCSSFiles } from './purge-css.mjs';
-export { generateCriticalCSS } from './critical-css.mjs';
-export { minifyHTML } from './minify-html.mjs';
-export { validateLinks, validateLinksOrThrow } from './validate-links.mjs';
-export { preserveNonHtmlFiles } from './preserve-non-html.mjs';
+export {
+	purgeCSSFiles,
+	generateCriticalCSS,
+	minifyHTML,
+	validateLinks,
+	validateLinksOrThrow,
+	checkBudgets,
+	preserveNonHtmlFiles,
+	DEFAULT_PURGECSS_SAFELIST,
+} from '@eleventy-plugin-themer/build-optimize/plugins';
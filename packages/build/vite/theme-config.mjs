@@ -4,11 +4,28 @@
  * Provides theme-agnostic Vite configuration with auto-import support
  */
 
-import fs from 'fs';
 import path from 'path';
-import { resolveOverridePaths, DEFAULT_ASSET_ENTRIES, getThemeRoot } from '@eleventy-plugin-themer/core';
+import {
+	resolveOverridePaths,
+	DEFAULT_ASSET_ENTRIES,
+	getThemeChain,
+	getSettingsSchema,
+	resolveThemeSettings,
+	settingsToScss,
+	loadThemeTokens,
+	compileTokens,
+	writeThemeTokens,
+	createStylesImporter,
+	getAvailableFeatures,
+	writeFeatureEntries,
+} from '@eleventy-plugin-themer/core';
 import { themeAutoImportPlugin } from './plugins/auto-import.mjs';
-import { runOptimizations } from './utils/plugin-orchestrator.mjs';
+import {
+	runOptimizations,
+	resolveOptimizations,
+	resolveLogger,
+	PIPELINE_CACHE_DIR,
+} from '@eleventy-plugin-themer/build-optimize';
 
 /**
  * Create Vite configuration for any Eleventy theme
@@ -17,6 +34,10 @@ import { runOptimizations } from './utils/plugin-orchestrator.mjs';
  * - Auto-imports theme CSS and JS
  * - @theme alias for imports
  * - SCSS preprocessor configuration with theme paths
+ * - Partial-level SCSS overrides (overrides/styles/_posts.scss replaces the theme's)
+ * - Theme settings as SCSS variables ($setting-*, $theme-settings)
+ * - Design tokens compiled to CSS custom properties (@use 'tokens'), SCSS maps
+ *   and a JS module (import tokens from '@theme-tokens')
  *
  * Works with any theme that exports metadata following the theme.json schema.
  *
@@ -24,6 +45,10 @@ import { runOptimizations } from './utils/plugin-orchestrator.mjs';
  * @param {Object} options - Configuration options
  * @param {string} options.projectRoot - Project root path (required)
  * @param {Object} options.overridePaths - Override paths configuration
+ * @param {Object} options.settings - Theme settings (same values as the theme plugin)
+ * @param {Object} options.pipeline - Page optimization pass options (concurrency, cache)
+ * @param {Object|false} options.report - Report files (json, junit), false to write none
+ * @param {Object|false} options.logger - Logger for the optimizations, false for no output (default: console)
  * @param {Object} ...viteOptions - Additional Vite config to merge
  * @returns {Object} Vite configuration object
  *
@@ -36,6 +61,7 @@ import { runOptimizations } from './utils/plugin-orchestrator.mjs';
  * eleventyConfig.addPlugin(EleventyVitePlugin, {
  *   viteOptions: createThemeViteConfig(metadata, {
  *     projectRoot: __dirname,
+ *     settings: { linkColor: '#b5006a' },
  *     optimizations: {
  *       purgeCSS: true,
  *       criticalCSS: true,
@@ -47,9 +73,13 @@ export function createThemeViteConfig(themeMetadata, options = {}) {
 	const {
 		projectRoot,
 		overridePaths,
+		settings: settingValues,
 		plugins = [],
 		optimizations,
 		dirs,
+		pipeline = {},
+		report = {},
+		logger,
 		...viteOptions
 	} = options;
 
@@ -64,7 +94,25 @@ export function createThemeViteConfig(themeMetadata, options = {}) {
 	const themeName = themeMetadata.name;
 	const resolvedOverridePaths = resolveOverridePaths(themeMetadata, overridePaths);
 
-	const themeRoot = getThemeRoot(projectRoot, themeName);
+	// Child theme first, then parents declared via theme.json "extends"
+	const themeChain = getThemeChain(projectRoot, themeMetadata);
+	const themeRoot = themeChain[0].root;
+
+	// Validated settings with theme.json defaults, for SCSS
+	const settingsSchema = getSettingsSchema(themeChain);
+	const settings = resolveThemeSettings(settingsSchema, settingValues, { themeName });
+
+	// Design tokens (theme data/tokens.json + user overrides) compiled into the project
+	const tokensDir = writeThemeTokens(
+		projectRoot,
+		compileTokens(loadThemeTokens(projectRoot, themeMetadata, overridePaths), { settings }),
+	);
+
+	// Resolves SCSS partials user-first, plus @theme/styles/... for the theme version
+	const stylesImporter = createStylesImporter(projectRoot, themeMetadata, overridePaths, {
+		loadPaths: [tokensDir],
+	});
+
 	const stylesPath = resolvedOverridePaths.styles;
 	const scriptsPath = resolvedOverridePaths.scripts;
 
@@ -72,18 +120,15 @@ export function createThemeViteConfig(themeMetadata, options = {}) {
 	const stylesEntry = themeMetadata.assets?.styles?.entry || DEFAULT_ASSET_ENTRIES.styles;
 	const scriptsEntry = themeMetadata.assets?.scripts?.entry || DEFAULT_ASSET_ENTRIES.scripts;
 
-	// Build aliases for feature entry points
-	const featureAliases = {};
-	if (themeMetadata.themeFeatures && Array.isArray(themeMetadata.themeFeatures)) {
-		themeMetadata.themeFeatures.forEach(feature => {
-			// Map /feature-name.js to theme's feature auto-init entry
-			// Use index.auto.js if it exists, otherwise fall back to index.js
-			const autoPath = path.join(themeRoot, 'features', feature.name, 'index.auto.js');
-			const regularPath = path.join(themeRoot, 'features', feature.name, 'index.js');
-			const featurePath = fs.existsSync(autoPath) ? autoPath : regularPath;
-			featureAliases[`/${feature.name}.js`] = featurePath;
-		});
-	}
+	// Alias /feature-name.js to each feature's entry (generated from feature.json
+	// for auto-init features), user features and overrides included
+	const featureEntries = writeFeatureEntries(
+		projectRoot,
+		getAvailableFeatures(projectRoot, themeMetadata, overridePaths),
+	);
+	const featureAliases = Object.fromEntries(
+		[...featureEntries].map(([name, entry]) => [`/${name}.js`, entry]),
+	);
 
 	// Theme-specific plugins
 	const themePlugins = [
@@ -99,18 +144,28 @@ export function createThemeViteConfig(themeMetadata, options = {}) {
 		...plugins,
 	];
 
+	// Page optimizations are cached in the project, unless a directory or false is given
+	const pipelineOptions = {
+		...pipeline,
+		cache: (pipeline.cache ?? true) === true ? path.join(projectRoot, PIPELINE_CACHE_DIR) : pipeline.cache,
+	};
+	const log = resolveLogger(logger);
+
 	// Add optimization plugin if optimizations are configured
 	if (optimizations && Object.keys(optimizations).length > 0) {
+		// Unknown keys and invalid options fail now rather than after the build
+		resolveOptimizations(optimizations);
+
 		themePlugins.push({
 			name: 'eleventy-themes-optimization',
 			apply: 'build',
 			async closeBundle() {
 				try {
-					await runOptimizations(optimizations, dirs);
-					console.log('✅ Build optimization complete!\n');
+					await runOptimizations(optimizations, dirs, { ...pipelineOptions, report, logger: log });
+					log.log('✅ Build optimization complete!\n');
 				} catch (error) {
-					console.error('\n❌ Build optimization failed!');
-					console.error(`   ${error.message}\n`);
+					log.error('\n❌ Build optimization failed!');
+					log.error(`   ${error.message}\n`);
 					throw error;
 				}
 			},
@@ -123,9 +178,11 @@ export function createThemeViteConfig(themeMetadata, options = {}) {
 			alias: {
 				// @theme alias for JS/TS imports
 				'@theme': themeRoot,
+				// Compiled design tokens for JS/TS imports
+				'@theme-tokens': path.join(tokensDir, 'tokens.mjs'),
 				// User overrides alias
 				'/overrides': path.resolve(projectRoot, stylesPath),
-				// Feature entry point aliases (e.g., /code-highlighting.js → theme/features/code-highlighting/index.js)
+				// Feature entry point aliases (e.g., /code-highlighting.js → .themer/features/code-highlighting.js)
 				...featureAliases,
 			},
 		},
@@ -135,15 +192,22 @@ export function createThemeViteConfig(themeMetadata, options = {}) {
 				scss: {
 					api: 'modern-compiler',
 
-					// Allow @use '@theme/styles/variables' in SCSS
+					// Allow @use '@theme/styles/base' in SCSS
+					// Theme styles are searched child theme first, then parents
+					// @use 'tokens' loads the compiled design tokens
 					includePaths: [
+						tokensDir,
 						path.resolve(projectRoot, 'node_modules'),
 						path.resolve(projectRoot, stylesPath),
-						path.join(themeRoot, 'styles'),
+						...themeChain.map(theme => path.join(theme.root, 'styles')),
 					],
 
-					// Provide theme name as SCSS variable
-					additionalData: `$theme-name: '${themeName}';\n`,
+					// Entry importer sees relative loads before Sass looks next to the file
+					importer: stylesImporter,
+					importers: [stylesImporter],
+
+					// Provide theme name and settings as SCSS variables
+					additionalData: `$theme-name: '${themeName}';\n${settingsToScss(settings, settingsSchema)}`,
 				},
 			},
 		},
@@ -6,7 +6,12 @@
  */
 
 import path from 'path';
-import { getAvailableFeatures, resolveOverridePaths } from '@eleventy-plugin-themer/core';
+import {
+	getAvailableFeatures,
+	checkFeatureDependencies,
+	writeFeatureEntries,
+	resolveOverridePaths,
+} from '@eleventy-plugin-themer/core';
 
 // Re-export for convenience
 export { getAvailableFeatures } from '@eleventy-plugin-themer/core';
@@ -16,7 +21,8 @@ export { getAvailableFeatures } from '@eleventy-plugin-themer/core';
  *
  * Returns entry points for:
  * - main.js (global entry - always included)
- * - All available features (theme + user, with user overrides taking precedence)
+ * - All available features (theme + user, with user overrides taking precedence),
+ *   dependencies before the features that need them
  *
  * Core package handles all cascade logic internally via themeMetadata.
  *
@@ -53,15 +59,24 @@ export function getFeatureEntries(projectRoot, themeMetadata, overridePaths) {
 
 	// Add each feature as an entry point with /name.js pattern
 	// This ensures Vite bundles them for production builds
-	features.forEach((feature) => {
+	// Auto-init features use the entry generated from their feature.json
+	writeFeatureEntries(projectRoot, features).forEach((entry, name) => {
 		// Entry key format: /code-highlighting.js (matches HTML <script src="...">)
-		const entryKey = `/${feature.name}.js`;
-		entries[entryKey] = feature.path;
+		entries[`/${name}.js`] = entry;
+	});
+
+	// The Eleventy plugin refuses to start on these; warn so builds show them too
+	checkFeatureDependencies(features).forEach((problem) => {
+		console.warn(`⚠️  ${problem.message}`);
 	});
 
 	if (features.size > 0) {
 		const featureList = Array.from(features.entries())
-			.map(([name, info]) => `${name} (${info.source})`)
+			.map(([name, info]) =>
+				info.dependsOn.length > 0
+					? `${name} (${info.source}, needs ${info.dependsOn.join(', ')})`
+					: `${name} (${info.source})`,
+			)
 			.join(', ');
 		console.log(`✨ Discovered features: ${featureList}`);
 		console.log(`✅ Added ${features.size} feature(s) as Vite entry points`);
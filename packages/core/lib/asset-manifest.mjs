@@ -0,0 +1,278 @@
+/**
+ * Asset manifest
+ *
+ * Build adapters that hash their output write a manifest mapping logical
+ * asset names to the files they emitted (`.themer/build/assets.json`):
+ *
+ *   {
+ *     "main.js": {
+ *       "file": "/assets/scripts/main-5XQ2V4.js",
+ *       "css": ["/assets/css/main-3KJH2A.css"],
+ *       "imports": ["/assets/chunks/chunk-UJ7N3E.js"]
+ *     },
+ *     "code-highlighting.js": { "file": "/code-highlighting-Q7RZ2M.js" }
+ *   }
+ *
+ * Layouts use the `asset`, `assetLinks`, `assetScript` and `featureScript`
+ * helpers instead of hardcoded URLs. Without a manifest (Vite rewrites URLs
+ * itself) and during --serve they fall back to the unhashed development URLs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PROVENANCE_DIR, ensureGeneratedDir } from './provenance.mjs';
+
+/**
+ * Asset manifest path, relative to the project root
+ */
+export const ASSET_MANIFEST_FILE = path.join(PROVENANCE_DIR, 'build', 'assets.json');
+
+/**
+ * Logical name of the global script
+ */
+export const MAIN_SCRIPT = 'main.js';
+
+/**
+ * Development URL of the global script (layouts load it on every page)
+ */
+export const MAIN_SCRIPT_URL = '/assets/scripts/main.js';
+
+/**
+ * Unhashed URL of an asset, as served during development
+ *
+ * @param {string} name - Logical asset name ('main.js', 'code-highlighting.js')
+ * @returns {string} URL
+ *
+ * @example
+ * getDevAssetUrl('main.js'); // '/assets/scripts/main.js'
+ * getDevAssetUrl('code-highlighting.js'); // '/code-highlighting.js'
+ */
+export function getDevAssetUrl(name) {
+	return name === MAIN_SCRIPT ? MAIN_SCRIPT_URL : `/${name.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Write the asset manifest to the project
+ *
+ * Called by build adapters after writing their output. The file is left
+ * alone when unchanged.
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Object} manifest - Entries by logical name: { file, css?, imports? } (site URLs)
+ * @returns {string} Manifest file path
+ */
+export function writeAssetManifest(projectRoot, manifest) {
+	const filePath = path.join(projectRoot, ASSET_MANIFEST_FILE);
+	const content = JSON.stringify(manifest, null, '\t') + '\n';
+
+	ensureGeneratedDir(path.dirname(filePath));
+
+	if (!fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf-8') !== content) {
+		fs.writeFileSync(filePath, content);
+	}
+
+	return filePath;
+}
+
+/**
+ * Read the asset manifest
+ *
+ * With `outputDir`, entries whose file is not in the output directory are
+ * left out, so a manifest from another build setup is not used.
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Object} [options] - Options
+ * @param {string} [options.outputDir] - Site output directory
+ * @returns {Object|null} Manifest, or null when there is none
+ */
+export function readAssetManifest(projectRoot, options = {}) {
+	const { outputDir } = options;
+	const filePath = path.join(projectRoot, ASSET_MANIFEST_FILE);
+
+	if (!fs.existsSync(filePath)) {
+		return null;
+	}
+
+	let manifest;
+	try {
+		manifest = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+	} catch (error) {
+		console.warn(`⚠️  Ignoring ${ASSET_MANIFEST_FILE}: ${error.message}`);
+		return null;
+	}
+
+	if (!outputDir) {
+		return manifest;
+	}
+
+	return Object.fromEntries(
+		Object.entries(manifest).filter(([, entry]) =>
+			fs.existsSync(path.join(outputDir, entry.file)),
+		),
+	);
+}
+
+/**
+ * Resolve an asset through the manifest
+ *
+ * @param {string} name - Logical asset name
+ * @param {Object|null} manifest - Asset manifest
+ * @returns {{file: string, css: string[], imports: string[]}} URLs (development URL
+ *   without CSS or imports when the manifest has no entry)
+ *
+ * @example
+ * resolveAsset('main.js', manifest).file; // '/assets/scripts/main-5XQ2V4.js'
+ */
+export function resolveAsset(name, manifest) {
+	const entry = manifest?.[name];
+
+	return {
+		file: entry?.file || getDevAssetUrl(name),
+		css: entry?.css || [],
+		imports: entry?.imports || [],
+	};
+}
+
+/**
+ * HTML tags loading a script asset: modulepreload links for the chunks it
+ * imports, its stylesheets and the module script
+ *
+ * @param {string} name - Logical asset name
+ * @param {Object|null} manifest - Asset manifest
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.links] - Include modulepreload and stylesheet links (default: true)
+ * @param {boolean} [options.script] - Include the script tag (default: true)
+ * @returns {string} HTML
+ *
+ * @example
+ * renderAssetTags('main.js', null);
+ * // '<script type="module" src="/assets/scripts/main.js"></script>'
+ */
+export function renderAssetTags(name, manifest, options = {}) {
+	const { links = true, script = true } = options;
+	const { file, css, imports } = resolveAsset(name, manifest);
+
+	return [
+		...(links ? imports.map((href) => `<link rel="modulepreload" href="${href}">`) : []),
+		...(links ? css.map((href) => `<link rel="stylesheet" href="${href}">`) : []),
+		...(script ? [`<script type="module" src="${file}"></script>`] : []),
+	].join('\n');
+}
+
+/**
+ * Point a page at the files in the manifest
+ *
+ * For pages rendered before the build (or with hardcoded URLs): development
+ * URLs of script tags are replaced with the hashed files, and the
+ * stylesheets and modulepreload links of every script in the manifest are
+ * added before `</head>` unless present.
+ *
+ * @param {string} html - Page HTML
+ * @param {Object} manifest - Asset manifest
+ * @returns {string} HTML
+ */
+export function applyAssetManifest(html, manifest) {
+	let result = html;
+	const links = [];
+
+	Object.entries(manifest).forEach(([name, entry]) => {
+		const devUrl = getDevAssetUrl(name);
+		const devScript = new RegExp(
+			`(<script\\b[^>]*\\bsrc=)(["']?)${escapeRegExp(devUrl)}\\2(?=[\\s/>])`,
+			'g',
+		);
+
+		result = result.replace(devScript, `$1$2${entry.file}$2`);
+
+		if (!hasAttribute(result, 'src', entry.file)) {
+			return;
+		}
+
+		(entry.imports || []).forEach((href) => links.push(['modulepreload', href]));
+		(entry.css || []).forEach((href) => links.push(['stylesheet', href]));
+	});
+
+	const missing = [...new Map(links.map(([rel, href]) => [href, rel]))]
+		.filter(([href]) => !hasAttribute(result, 'href', href))
+		.map(([href, rel]) => `<link rel="${rel}" href="${href}">`);
+
+	if (missing.length === 0 || !result.includes('</head>')) {
+		return result;
+	}
+
+	return result.replace('</head>', `${missing.join('\n')}\n</head>`);
+}
+
+/**
+ * Register the asset helpers
+ *
+ * Called by createThemePlugin. Registers:
+ * - `asset` filter and shortcode: `{{ 'main.js' | asset }}` → hashed URL
+ * - `assetLinks` shortcode: `{% assetLinks 'main.js' %}` → modulepreload and
+ *   stylesheet links, for `<head>`
+ * - `assetScript` shortcode: `{% assetScript 'main.js' %}` → script tag
+ * - `featureScript` shortcode: `{% featureScript 'code-highlighting' %}` → links
+ *   and script tag of a feature
+ *
+ * The manifest is read once per build, after the `eleventy.before` handlers
+ * (where build adapters write it). During --serve it is ignored.
+ *
+ * @param {Object} eleventyConfig - Eleventy configuration object
+ * @param {string} projectRoot - Project root path
+ * @returns {{get: Function}} Manifest of the current build (`get()` returns null without one)
+ */
+export function configureAssetHelpers(eleventyConfig, projectRoot) {
+	let build = { runMode: 'build', outputDir: null };
+	let manifest;
+
+	eleventyConfig.on('eleventy.before', ({ runMode, directories }) => {
+		build = { runMode, outputDir: directories?.output ? path.resolve(directories.output) : null };
+		manifest = undefined;
+	});
+
+	const assets = {
+		get() {
+			if (manifest === undefined) {
+				manifest =
+					build.runMode === 'serve'
+						? null
+						: readAssetManifest(projectRoot, { outputDir: build.outputDir });
+			}
+			return manifest;
+		},
+	};
+
+	const asset = (name) => resolveAsset(name, assets.get()).file;
+
+	eleventyConfig.addFilter('asset', asset);
+	eleventyConfig.addShortcode('asset', asset);
+	eleventyConfig.addShortcode('assetLinks', (name) =>
+		renderAssetTags(name, assets.get(), { script: false }),
+	);
+	eleventyConfig.addShortcode('assetScript', (name) =>
+		renderAssetTags(name, assets.get(), { links: false }),
+	);
+	eleventyConfig.addShortcode('featureScript', (name) =>
+		renderAssetTags(`${name}.js`, assets.get()),
+	);
+
+	return assets;
+}
+
+/**
+ * Helper: Whether HTML has an attribute with the value (quoted or not)
+ *
+ * @private
+ */
+function hasAttribute(html, attribute, value) {
+	return new RegExp(`\\b${attribute}=(["']?)${escapeRegExp(value)}\\1(?=[\\s/>])`).test(html);
+}
+
+/**
+ * Helper: Escape a string for use in a regular expression
+ *
+ * @private
+ */
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -6,6 +6,7 @@
  */
 
 import path from 'path';
+import { resolveOverridePaths } from '../defaults.mjs';
 import {
 	buildPaths,
 	scanDirectoryRecursive,
@@ -23,19 +24,21 @@ import {
  *
  * @param {Object} eleventyConfig - Eleventy configuration object
  * @param {string} projectRoot - Content repo root
+ * @param {Object} themeMetadata - Theme metadata object
  * @param {Object} overridePaths - Override paths configuration
  *
  * @example
  * // In eleventy.config.mjs
  * import { configurePassthroughCopy } from 'eleventy-base-blog-template';
- * configurePassthroughCopy(eleventyConfig, __dirname);
+ * configurePassthroughCopy(eleventyConfig, __dirname, themeMetadata);
  */
 export function configurePassthroughCopy(
 	eleventyConfig,
 	projectRoot,
+	themeMetadata,
 	overridePaths = {},
 ) {
-	const assets = getAvailableAssets(projectRoot, overridePaths);
+	const assets = getAvailableAssets(projectRoot, themeMetadata, overridePaths);
 
 	let themeAssetsUsed = 0;
 	let userOverrides = 0;
@@ -68,11 +71,12 @@ export function configurePassthroughCopy(
  *
  * @param {string} filename - Asset filename (can include subdirectories)
  * @param {string} projectRoot - Content repo root
+ * @param {Object} themeMetadata - Theme metadata object
  * @param {Object} overridePaths - Override paths configuration
  * @returns {string|null} Resolved file path or null if not found
  *
  * @example
- * const favicon = resolveStaticAsset('favicon.svg', __dirname);
+ * const favicon = resolveStaticAsset('favicon.svg', __dirname, themeMetadata);
  * if (favicon) {
  *   console.log('Favicon found at:', favicon);
  * }
@@ -80,11 +84,14 @@ export function configurePassthroughCopy(
 export function resolveStaticAsset(
 	filename,
 	projectRoot,
+	themeMetadata,
 	overridePaths = {},
 ) {
+	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
 	const result = resolveResource({
 		projectRoot,
-		overridePaths,
+		themeName: themeMetadata.name,
+		resolvedOverridePaths: resolved,
 		resourceType: 'public',
 		filename,
 		throwOnMissing: false,
@@ -97,31 +104,36 @@ export function resolveStaticAsset(
  * Get all available static assets (theme + user)
  *
  * Returns information about all assets with source tracking.
- * Scans recursively to support nested directories.
+ * Scans recursively to support nested directories. Theme assets are
+ * collected across the whole inheritance chain (child theme wins).
  *
  * @param {string} projectRoot - Content repo root
+ * @param {Object} themeMetadata - Theme metadata object
  * @param {Object} overridePaths - Override paths configuration
  * @returns {Map<string, Object>} Map of relative path to asset info
  *   Each asset info contains: { name, source, path }
  *   Source is: 'theme', 'user', or 'override'
  *
  * @example
- * const assets = getAvailableAssets(__dirname);
+ * const assets = getAvailableAssets(__dirname, themeMetadata);
  * assets.forEach((info, relativePath) => {
  *   console.log(`${relativePath}: ${info.source}`);
  * });
  */
-export function getAvailableAssets(projectRoot, overridePaths = {}) {
+export function getAvailableAssets(projectRoot, themeMetadata, overridePaths = {}) {
 	const assets = new Map();
-	const paths = buildPaths(projectRoot, overridePaths, 'public');
+	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
+	const paths = buildPaths(projectRoot, themeMetadata.name, resolved, 'public');
 
-	// Scan theme assets (recursive)
-	const themeFiles = scanDirectoryRecursive(paths.themeDir);
-	themeFiles.forEach((relativePath) => {
-		assets.set(relativePath, {
-			name: relativePath,
-			source: 'theme',
-			path: path.join(paths.themeDir, relativePath),
+	// Scan theme assets (recursive), root ancestor first so child themes win
+	[...paths.themes].reverse().forEach((theme) => {
+		scanDirectoryRecursive(theme.dir).forEach((relativePath) => {
+			assets.set(relativePath, {
+				name: relativePath,
+				source: 'theme',
+				path: path.join(theme.dir, relativePath),
+				theme: theme.name,
+			});
 		});
 	});
 
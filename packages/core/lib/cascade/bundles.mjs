@@ -0,0 +1,219 @@
+/**
+ * Feature bundles without a build tool
+ *
+ * Layouts load features as `/<feature>.js`. Vite provides those files through
+ * aliases; in a plain Eleventy build this module writes them to the output
+ * directory after each build:
+ *
+ * - esbuild: each feature entry (see writeFeatureEntries) is bundled. Imported
+ *   SCSS is compiled with Sass and added to the page as a `<style>` tag.
+ * - passthrough: feature directories are copied to `/features/<name>/` and a
+ *   small loader is written as `/<name>.js`. Stylesheets are compiled to CSS
+ *   and linked. Only works for features without bare (package) imports.
+ *
+ * esbuild and Sass are optional: they are loaded from the project when used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { resolveOverridePaths } from '../defaults.mjs';
+import { getAvailableFeatures } from './features.mjs';
+import { createStylesImporter, STYLE_EXTENSIONS } from './styles.mjs';
+import { getThemeChain } from './resolver.mjs';
+import { writeFeatureEntries, createFeatureEntry } from '../feature-entries.mjs';
+import { loadThemeTokens, compileTokens, writeThemeTokens } from '../tokens.mjs';
+
+/**
+ * Bundling modes for configureFeatureBundles()
+ */
+export const FEATURE_BUNDLE_MODES = ['auto', 'esbuild', 'passthrough'];
+
+/**
+ * Serve feature scripts in a plain Eleventy build
+ *
+ * Don't use it together with a bundler that already provides `/<feature>.js`
+ * (createThemeViteConfig does).
+ *
+ * @param {Object} eleventyConfig - Eleventy configuration object
+ * @param {string} projectRoot - Project root path
+ * @param {Object} themeMetadata - Theme metadata object
+ * @param {Object} [overridePaths] - Override paths configuration
+ * @param {Object} [options] - Options
+ * @param {string} [options.mode] - 'auto' (esbuild when installed, else passthrough),
+ *   'esbuild' or 'passthrough' (default: 'auto')
+ * @param {boolean} [options.minify] - Minify esbuild bundles (default: true, except during --serve)
+ * @param {Object} [options.settings] - Resolved theme settings, for `{settings.*}` token references
+ * @returns {string} Mode in use ('esbuild' or 'passthrough')
+ * @throws {Error} If the mode is unknown, or 'esbuild' is requested but not installed
+ *
+ * @example
+ * // eleventy.config.mjs (no Vite)
+ * configureFeatureBundles(eleventyConfig, __dirname, metadata);
+ */
+export function configureFeatureBundles(
+	eleventyConfig,
+	projectRoot,
+	themeMetadata,
+	overridePaths = {},
+	options = {},
+) {
+	const { mode = 'auto', minify, settings = {} } = options;
+
+	if (!FEATURE_BUNDLE_MODES.includes(mode)) {
+		throw new Error(
+			`Unknown feature bundle mode "${mode}"\n` +
+				`  Use one of: ${FEATURE_BUNDLE_MODES.join(', ')}`,
+		);
+	}
+
+	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
+	const features = getAvailableFeatures(projectRoot, themeMetadata, resolved);
+	const esbuild = mode === 'passthrough' ? null : loadOptional(projectRoot, 'esbuild');
+
+	if (mode === 'esbuild' && !esbuild) {
+		throw new Error(
+			`Feature bundle mode "esbuild" needs esbuild.\n` +
+				`  Run: npm install -D esbuild`,
+		);
+	}
+
+	// Design tokens for `@use 'tokens'` in feature styles, as the build adapters write them
+	const tokensDir = writeThemeTokens(
+		projectRoot,
+		compileTokens(loadThemeTokens(projectRoot, themeMetadata, resolved), { settings }),
+	);
+
+	const styleOptions = {
+		importer: createStylesImporter(projectRoot, themeMetadata, resolved, {
+			loadPaths: [tokensDir],
+		}),
+		projectRoot,
+	};
+
+	if (esbuild) {
+		const entries = writeFeatureEntries(projectRoot, features);
+		const themeRoot = getThemeChain(projectRoot, themeMetadata)[0].root;
+
+		eleventyConfig.on('eleventy.after', async ({ directories, runMode }) => {
+			if (entries.size === 0) return;
+
+			await esbuild.build({
+				entryPoints: Object.fromEntries(entries),
+				outdir: path.resolve(directories.output),
+				bundle: true,
+				format: 'esm',
+				minify: minify ?? runMode !== 'serve',
+				alias: { '@theme': themeRoot },
+				plugins: [featureStylesPlugin(styleOptions)],
+				logLevel: 'warning',
+			});
+		});
+
+		return 'esbuild';
+	}
+
+	// Passthrough: feature directories as is, loaders and compiled CSS after the build
+	features.forEach((feature, name) => {
+		eleventyConfig.addPassthroughCopy({ [feature.dir]: `features/${name}` });
+	});
+
+	eleventyConfig.on('eleventy.after', ({ directories }) => {
+		const outputDir = path.resolve(directories.output);
+
+		features.forEach((feature, name) => {
+			const stylesDir = path.join(outputDir, 'features', name);
+			const styleUrls = new Map(
+				feature.styles.map((style) => [style, `/features/${name}/${toCssName(style)}`]),
+			);
+
+			feature.styles.forEach((style) => {
+				const css = compileStyle(style, styleOptions);
+				if (css !== null) {
+					fs.mkdirSync(stylesDir, { recursive: true });
+					fs.writeFileSync(path.join(stylesDir, toCssName(style)), css);
+				}
+			});
+
+			const featureUrl = (filePath) =>
+				styleUrls.get(filePath) ||
+				`/features/${name}/${path.relative(feature.dir, filePath).split(path.sep).join('/')}`;
+			const loader =
+				createFeatureEntry(feature, outputDir, { resolve: featureUrl, linkStyles: true }) ??
+				`import ${JSON.stringify(featureUrl(feature.path))};\n`;
+
+			fs.writeFileSync(path.join(outputDir, `${name}.js`), loader);
+		});
+	});
+
+	return 'passthrough';
+}
+
+/**
+ * Helper: esbuild plugin that turns stylesheet imports into `<style>` tags
+ *
+ * @private
+ */
+function featureStylesPlugin(styleOptions) {
+	const filter = new RegExp(`(${STYLE_EXTENSIONS.map((ext) => `\\${ext}`).join('|')})$`);
+
+	return {
+		name: 'theme-feature-styles',
+		setup(build) {
+			build.onLoad({ filter }, (args) => {
+				const css = compileStyle(args.path, styleOptions) ?? '';
+				return {
+					contents:
+						`const style = document.createElement('style');\n` +
+						`style.textContent = ${JSON.stringify(css)};\n` +
+						`document.head.append(style);\n`,
+					loader: 'js',
+				};
+			});
+		},
+	};
+}
+
+/**
+ * Helper: Compile a stylesheet to CSS (null when Sass is needed but missing)
+ *
+ * @private
+ */
+function compileStyle(filePath, { importer, projectRoot }) {
+	if (path.extname(filePath) === '.css') {
+		return fs.readFileSync(filePath, 'utf-8');
+	}
+
+	const sass = loadOptional(projectRoot, 'sass');
+	if (!sass) {
+		console.warn(
+			`⚠️  Skipping ${path.relative(projectRoot, filePath)}: compiling feature styles needs Sass\n` +
+				`   Run: npm install -D sass`,
+		);
+		return null;
+	}
+
+	return sass.compile(filePath, { importers: [importer], style: 'compressed' }).css;
+}
+
+/**
+ * Helper: Output name of a compiled stylesheet (styles.scss → styles.css)
+ *
+ * @private
+ */
+function toCssName(filePath) {
+	return `${path.basename(filePath, path.extname(filePath))}.css`;
+}
+
+/**
+ * Helper: Load an optional dependency from the project (null when not installed)
+ *
+ * @private
+ */
+function loadOptional(projectRoot, name) {
+	try {
+		return createRequire(path.join(projectRoot, 'package.json'))(name);
+	} catch {
+		return null;
+	}
+}
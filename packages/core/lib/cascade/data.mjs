@@ -4,17 +4,42 @@
  * Manages data files (site.js, navigation.js) with user override support.
  * Theme provides defaults via addGlobalData(), user files in _data/ automatically
  * override via Eleventy's native data cascade.
+ *
+ * Opt-in merge mode deep-merges user data files over theme data files instead
+ * of replacing them. Enable it in theme.json (cascade.dataMerge) or via the
+ * dataMerge option:
+ *   dataMerge: {
+ *     files: ['site'],                // or true for every data file
+ *     arrayStrategy: 'replace',       // 'replace' | 'append' | 'merge-by-key'
+ *     arrays: {
+ *       'site.links': { strategy: 'merge-by-key', key: 'url' },
+ *     },
+ *   }
  */
 
 import path from 'path';
 import fs from 'fs';
+import { pathToFileURL } from 'url';
 import { resolveOverridePaths } from '../defaults.mjs';
 import {
+	buildPaths,
 	resolveResource,
 	scanWithCascade,
 	resourceExists,
 	getThemeRoot,
 } from './resolver.mjs';
+import { mergeData } from './merge.mjs';
+
+/**
+ * Supported data file extensions
+ */
+export const DATA_FILE_EXTENSIONS = ['.js', '.mjs', '.json'];
+
+/**
+ * Global data key exposing theme data values
+ * Data files read the theme's value via data.themeData.<name>
+ */
+const THEME_DATA_KEY = 'themeData';
 
 /**
  * Configure data cascade with automatic theme defaults
@@ -23,37 +48,78 @@ import {
  * data directory will automatically override these via Eleventy's native
  * data cascade (directory files > addGlobalData).
  *
+ * Theme values are also registered as `themeData.<name>`, so JavaScript
+ * data files exporting a function can read them:
+ *   export default (data) => ({ ...data.themeData.site, title: 'Mine' });
+ *
+ * Files with merge mode enabled register the merged result with Eleventy's
+ * `override:` key prefix, so it replaces (rather than deep merges with) the
+ * user's raw file that Eleventy loads from the data directory.
+ *
  * @param {Object} eleventyConfig - Eleventy configuration object
  * @param {string} projectRoot - Path to content repo root
+ * @param {Object} themeMetadata - Theme metadata object
  * @param {Object} overridePaths - Override paths configuration
+ * @param {Object} [options] - Data cascade options
+ * @param {boolean|Object} [options.dataMerge] - Merge mode configuration
+ *   (takes precedence over theme.json cascade.dataMerge)
  *
  * @example
  * // In theme's init() function
- * configureDataCascade(eleventyConfig, __dirname, overridePaths);
+ * configureDataCascade(eleventyConfig, __dirname, themeMetadata, overridePaths);
  *
  * // User overrides by creating content/_data/navigation.js
  * // (automatically takes precedence via Eleventy's data cascade)
+ *
+ * // Or merge user content/_data/site.json over theme's data/site.js
+ * configureDataCascade(eleventyConfig, __dirname, themeMetadata, overridePaths, {
+ *   dataMerge: { files: ['site'] },
+ * });
  */
 export function configureDataCascade(
 	eleventyConfig,
 	projectRoot,
 	themeMetadata,
 	overridePaths = {},
+	options = {},
 ) {
-	const availableData = getAvailableDataFiles(projectRoot, themeMetadata, overridePaths);
+	const mergeOptions = resolveDataMergeOptions(themeMetadata, options.dataMerge);
+	const dataSets = groupDataFiles(
+		getAvailableDataFiles(projectRoot, themeMetadata, overridePaths),
+		projectRoot,
+		themeMetadata,
+	);
 
-	availableData.forEach((fileInfo, filename) => {
-		// Only register theme data files (not user files or overrides)
-		// User files will be picked up by Eleventy's native data directory
-		if (fileInfo.source === 'theme') {
-			const dataName = path.basename(filename, path.extname(filename));
+	dataSets.forEach((files, dataName) => {
+		if (!files.theme) {
+			// User-only data, picked up by Eleventy's native data directory
+			return;
+		}
+
+		const loadThemeValue = memoize(() => loadDataFile(files.theme));
 
+		// Expose theme value so user data files can read it
+		eleventyConfig.addGlobalData(`${THEME_DATA_KEY}.${dataName}`, loadThemeValue);
+
+		if (!files.user) {
+			// Only register theme data files (not user files or overrides)
+			eleventyConfig.addGlobalData(dataName, loadThemeValue);
+			return;
+		}
+
+		if (isMergeEnabled(mergeOptions, dataName)) {
 			eleventyConfig.addGlobalData(dataName, async () => {
-				// Import theme data file
-				const mod = await import(fileInfo.path);
-				return mod.default || mod;
+				const themeValue = await loadThemeValue();
+				const userValue = await loadDataFile(files.user, {
+					[THEME_DATA_KEY]: { [dataName]: themeValue },
+				});
+				const merged = mergeData(themeValue, userValue, scopeMergeOptions(mergeOptions, dataName));
+
+				return withOverridePrefix(merged);
 			});
 		}
+
+		// Otherwise user file replaces theme file via Eleventy's data directory
 	});
 }
 
@@ -113,20 +179,42 @@ export function mergeDataFiles(projectRoot, themeMetadata, overridePaths = {}) {
  * Useful for programmatic access to merged data.
  * Checks user directory first, falls back to theme.
  *
+ * Pass `{ load: true }` to load the effective data value instead. The
+ * returned promise resolves to { path, source, merged, data }, where data
+ * is the deep-merged result when merge mode is enabled for the file.
+ *
  * @param {string} filename - Data file name (e.g., 'site.js', 'navigation.js')
  * @param {string} projectRoot - Path to content repo root
+ * @param {Object} themeMetadata - Theme metadata object
  * @param {Object} overridePaths - Override paths configuration
- * @returns {string|null} Resolved file path or null if not found
+ * @param {Object} [options] - Resolution options
+ * @param {boolean} [options.load] - Load and return the effective data value
+ * @param {boolean|Object} [options.dataMerge] - Merge mode configuration
+ * @returns {string|null|Promise<Object|null>} Resolved file path or null if not found
+ *   (a promise of the loaded result when options.load is set)
  *
  * @example
  * // Find navigation data file
- * const navPath = resolveDataFile('navigation.js', __dirname, overridePaths);
+ * const navPath = resolveDataFile('navigation.js', __dirname, themeMetadata);
  * if (navPath) {
  *   const nav = await import(navPath);
  *   console.log(nav.default);
  * }
+ *
+ * @example
+ * // Inspect merged site data
+ * const { data, merged } = await resolveDataFile('site.js', __dirname, themeMetadata, {}, {
+ *   load: true,
+ *   dataMerge: { files: ['site'] },
+ * });
  */
-export function resolveDataFile(filename, projectRoot, themeMetadata, overridePaths = {}) {
+export function resolveDataFile(
+	filename,
+	projectRoot,
+	themeMetadata,
+	overridePaths = {},
+	options = {},
+) {
 	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
 	const result = resolveResource({
 		projectRoot,
@@ -137,6 +225,10 @@ export function resolveDataFile(filename, projectRoot, themeMetadata, overridePa
 		throwOnMissing: false,
 	});
 
+	if (options.load) {
+		return loadResolvedData(filename, result, projectRoot, themeMetadata, options);
+	}
+
 	return result?.path || null;
 }
 
@@ -173,6 +265,233 @@ export function getAvailableDataFiles(projectRoot, themeMetadata, overridePaths
 		themeName: themeMetadata.name,
 		resolvedOverridePaths: resolved,
 		resourceType: 'data',
-		filter: (file) => file.endsWith('.js') || file.endsWith('.json'),
+		filter: (file) => DATA_FILE_EXTENSIONS.includes(path.extname(file)),
+	});
+}
+
+/**
+ * Resolve data merge options from user configuration or theme metadata
+ *
+ * Priority:
+ * 1. User-provided dataMerge option
+ * 2. Theme's cascade.dataMerge
+ *
+ * `true` is shorthand for { files: true }.
+ *
+ * @param {Object} themeMetadata - Theme metadata object
+ * @param {boolean|Object} [dataMerge] - User-provided merge configuration
+ * @returns {{ files: boolean|string[], arrayStrategy?: string, arrays: Object }}
+ */
+export function resolveDataMergeOptions(themeMetadata, dataMerge) {
+	const normalize = (config) => {
+		if (config === true) return { files: true };
+		if (!config) return {};
+		return config;
+	};
+
+	const themeConfig = normalize(themeMetadata?.cascade?.dataMerge);
+	const userConfig = normalize(dataMerge);
+
+	return {
+		files: userConfig.files ?? themeConfig.files ?? false,
+		arrayStrategy: userConfig.arrayStrategy ?? themeConfig.arrayStrategy,
+		arrays: { ...themeConfig.arrays, ...userConfig.arrays },
+	};
+}
+
+/**
+ * Helper: Check if merge mode is enabled for a data name
+ *
+ * @param {Object} mergeOptions - Result of resolveDataMergeOptions()
+ * @param {string} dataName - Data name (filename without extension)
+ * @returns {boolean}
+ * @private
+ */
+function isMergeEnabled(mergeOptions, dataName) {
+	if (mergeOptions.files === true) return true;
+	return Array.isArray(mergeOptions.files) && mergeOptions.files.includes(dataName);
+}
+
+/**
+ * Helper: Scope array strategies to a single data file
+ *
+ * Turns { 'site.links': 'append' } into { links: 'append' } for 'site'.
+ *
+ * @param {Object} mergeOptions - Result of resolveDataMergeOptions()
+ * @param {string} dataName - Data name
+ * @returns {Object} Options for mergeData()
+ * @private
+ */
+function scopeMergeOptions(mergeOptions, dataName) {
+	const prefix = `${dataName}.`;
+	const arrays = {};
+
+	Object.entries(mergeOptions.arrays).forEach(([key, strategy]) => {
+		if (key.startsWith(prefix)) {
+			arrays[key.slice(prefix.length)] = strategy;
+		} else if (key === dataName) {
+			arrays[''] = strategy;
+		}
+	});
+
+	return { arrayStrategy: mergeOptions.arrayStrategy, arrays };
+}
+
+/**
+ * Helper: Group data files by data name
+ *
+ * site.js in the theme and site.json in the user directory describe the
+ * same data, so the cascade works per data name rather than per filename.
+ *
+ * @param {Map} availableData - Result of getAvailableDataFiles()
+ * @param {string} projectRoot - Path to content repo root
+ * @param {Object} themeMetadata - Theme metadata object
+ * @returns {Map<string, { theme: string|null, user: string|null }>}
+ * @private
+ */
+function groupDataFiles(availableData, projectRoot, themeMetadata) {
+	const dataSets = new Map();
+
+	availableData.forEach((fileInfo, filename) => {
+		const dataName = path.basename(filename, path.extname(filename));
+		const files = dataSets.get(dataName) || { theme: null, user: null };
+
+		if (fileInfo.source === 'theme') {
+			files.theme = files.theme || fileInfo.path;
+		} else {
+			files.user = files.user || fileInfo.path;
+
+			// Overridden by filename - look up the theme file underneath
+			if (fileInfo.source === 'override') {
+				files.theme = files.theme || findThemeDataFile(filename, projectRoot, themeMetadata);
+			}
+		}
+
+		dataSets.set(dataName, files);
 	});
+
+	return dataSets;
+}
+
+/**
+ * Helper: Find a data file in the theme chain, ignoring user overrides
+ *
+ * Matches by data name, so site.json finds the theme's site.js.
+ *
+ * @param {string} filename - Data file name
+ * @param {string} projectRoot - Path to content repo root
+ * @param {Object} themeMetadata - Theme metadata object
+ * @returns {string|null} Path to the nearest theme data file
+ * @private
+ */
+function findThemeDataFile(filename, projectRoot, themeMetadata) {
+	const dataName = path.basename(filename, path.extname(filename));
+	const paths = buildPaths(projectRoot, themeMetadata.name, {}, 'data');
+
+	for (const theme of paths.themes) {
+		for (const extension of DATA_FILE_EXTENSIONS) {
+			const candidate = path.join(theme.dir, `${dataName}${extension}`);
+			if (fs.existsSync(candidate)) {
+				return candidate;
+			}
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Helper: Load resolved data for resolveDataFile({ load: true })
+ *
+ * @private
+ */
+async function loadResolvedData(filename, result, projectRoot, themeMetadata, options) {
+	if (!result) {
+		return null;
+	}
+
+	const dataName = path.basename(filename, path.extname(filename));
+	const mergeOptions = resolveDataMergeOptions(themeMetadata, options.dataMerge);
+	const themePath =
+		result.source === 'theme'
+			? result.path
+			: findThemeDataFile(filename, projectRoot, themeMetadata);
+
+	if (result.source === 'theme' || !themePath) {
+		return { ...result, merged: false, data: await loadDataFile(result.path) };
+	}
+
+	const themeValue = await loadDataFile(themePath);
+	const userValue = await loadDataFile(result.path, {
+		[THEME_DATA_KEY]: { [dataName]: themeValue },
+	});
+
+	if (!isMergeEnabled(mergeOptions, dataName)) {
+		return { ...result, merged: false, data: userValue };
+	}
+
+	return {
+		...result,
+		merged: true,
+		data: mergeData(themeValue, userValue, scopeMergeOptions(mergeOptions, dataName)),
+	};
+}
+
+/**
+ * Helper: Load a .js, .mjs or .json data file
+ *
+ * Function exports are called with the given data object, mirroring how
+ * Eleventy calls data files with global data. Edited files are imported
+ * again.
+ *
+ * @param {string} filePath - Absolute path to data file
+ * @param {Object} [data] - Data passed to function exports
+ * @returns {Promise<*>} Data value
+ * @private
+ */
+async function loadDataFile(filePath, data = {}) {
+	if (path.extname(filePath) === '.json') {
+		return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+	}
+
+	// Node caches imports for the life of the process; the modification time
+	// makes --watch pick up edits (modules the data file imports stay cached)
+	const { mtimeMs } = fs.statSync(filePath);
+	const mod = await import(`${pathToFileURL(filePath).href}?t=${mtimeMs}`);
+	const value = mod.default || mod;
+
+	return typeof value === 'function' ? value(data) : value;
+}
+
+/**
+ * Helper: Prefix top-level keys with Eleventy's `override:` marker
+ *
+ * Eleventy deep merges addGlobalData() values over data directory files and
+ * concatenates arrays. Prefixed keys replace the raw user values instead.
+ *
+ * @param {*} value - Merged data value
+ * @returns {*} Value with prefixed keys (non-objects are returned unchanged)
+ * @private
+ */
+function withOverridePrefix(value) {
+	if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+		return value;
+	}
+
+	return Object.fromEntries(
+		Object.entries(value).map(([key, entry]) => [`override:${key}`, entry]),
+	);
+}
+
+/**
+ * Helper: Cache the promise of an async loader
+ *
+ * @private
+ */
+function memoize(loader) {
+	let promise;
+	return () => {
+		promise = promise || loader();
+		return promise;
+	};
 }
@@ -2,7 +2,8 @@
  * Feature cascade
  *
  * Manages JavaScript features with user override support.
- * Page-specific features can be loaded via front matter:
+ * Page-specific features are detected from page HTML or set via front matter
+ * (see page-features.mjs):
  *   pageFeature: 'code-highlighting'
  *   pageFeatures: ['code-highlighting', 'gallery']
  */
@@ -10,7 +11,8 @@
 import path from 'path';
 import fs from 'fs';
 import { resolveOverridePaths } from '../defaults.mjs';
-import { resolveResource, resourceExists, getThemeRoot } from './resolver.mjs';
+import { resolveResource, resourceExists, getThemeChain } from './resolver.mjs';
+import { didYouMean } from '../suggest.mjs';
 
 /**
  * Resolve feature path with cascade support
@@ -83,19 +85,106 @@ export function featureExists(
 	);
 }
 
+/**
+ * Feature manifest file name, in the feature directory
+ */
+export const FEATURE_MANIFEST = 'feature.json';
+
+/**
+ * Entry file used when a feature has no manifest or the manifest has no entry
+ */
+export const DEFAULT_FEATURE_ENTRY = 'index.js';
+
+/**
+ * Locate a theme feature declared in theme.json
+ *
+ * With `entry`, the feature directory is the entry's directory. Without it,
+ * the feature lives in `features/<name>/` and its feature.json names the entry.
+ *
+ * @param {string} themeRoot - Theme package path
+ * @param {Object} feature - themeFeatures item ({ name, entry? })
+ * @returns {{ dir: string, path: string }} Absolute feature directory and entry file
+ *
+ * @example
+ * getThemeFeaturePaths(themeRoot, { name: 'code-highlighting' });
+ * // { dir: '<theme>/features/code-highlighting', path: '<theme>/features/code-highlighting/index.js' }
+ */
+export function getThemeFeaturePaths(themeRoot, feature) {
+	if (feature.entry) {
+		const entryPath = path.join(themeRoot, feature.entry);
+		return { dir: path.dirname(entryPath), path: entryPath };
+	}
+
+	const dir = path.join(themeRoot, 'features', feature.name);
+	return { dir, path: getFeatureEntryPath(dir) };
+}
+
+/**
+ * Get a feature directory's entry file (manifest `entry`, else index.js)
+ *
+ * @param {string} featureDir - Feature directory
+ * @returns {string} Absolute entry path (may not exist)
+ */
+export function getFeatureEntryPath(featureDir) {
+	return path.join(featureDir, readFeatureManifest(featureDir).entry || DEFAULT_FEATURE_ENTRY);
+}
+
+/**
+ * Read a feature manifest
+ *
+ * @param {string} featureDir - Feature directory
+ * @returns {Object} Manifest contents ({} when there is no feature.json)
+ * @throws {Error} If feature.json is not valid JSON
+ *
+ * @example
+ * readFeatureManifest('overrides/features/gallery');
+ * // { entry: 'index.js', autoInit: true, config: { columns: 3 }, dependsOn: ['lightbox'] }
+ */
+export function readFeatureManifest(featureDir) {
+	const manifestPath = path.join(featureDir, FEATURE_MANIFEST);
+	if (!fs.existsSync(manifestPath)) {
+		return {};
+	}
+
+	try {
+		return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+	} catch (error) {
+		throw new Error(`Invalid feature manifest ${manifestPath}\n  ${error.message}`);
+	}
+}
+
 /**
  * Get all available features (theme + user)
  *
- * Features are stored in subdirectories with index.js entry points:
- * - Theme: features/code-highlighting/index.js (from themeFeatures metadata)
- * - User: overrides/features/code-highlighting/index.js (filesystem scan)
+ * Each feature is a directory with an entry file and an optional feature.json
+ * manifest:
+ * - Theme: features listed in theme.json themeFeatures, collected across the
+ *   theme inheritance chain (features/code-highlighting/)
+ * - User: every subdirectory of overrides/features with a feature.json or an
+ *   index.js (filesystem scan)
+ *
+ * The manifest names the entry file (default index.js), whether a generated
+ * entry calls the feature's `init()`, its default config and the front
+ * matter keys that override it per page, stylesheets, static assets,
+ * `dependsOn` and a `detect` selector. `dependsOn` and `detect` in theme.json
+ * win over the manifest.
+ *
+ * A user override replaces the theme feature's script. Without its own
+ * manifest values it keeps the theme feature's dependencies, detection
+ * selector, styles and assets, but not `autoInit` or config: the override
+ * script initializes itself.
+ *
+ * The map is ordered so dependencies come before the features that need them.
  *
  * @param {string} projectRoot - Content repo root
  * @param {Object} themeMetadata - Theme metadata from theme.json
  * @param {Object} overridePaths - Override paths configuration (optional)
  * @returns {Map<string, Object>} Map of feature name to feature info
- *   Each feature info contains: { name, source, path }
- *   Source is: 'theme', 'user', or 'override'
+ *   Each feature info contains: { name, source, theme?, dir, path, manifest,
+ *   dependsOn, detect, autoInit, config, frontMatter, styles, assets }
+ *   Source is: 'theme', 'user', or 'override'. `path` is the entry file,
+ *   `manifest` the feature.json path (or null), `styles` absolute paths and
+ *   `assets` `{ path, output }` pairs relative to the output directory.
  *
  * @example
  * import { metadata } from '@eleventy-plugin-themer/theme-base';
@@ -113,26 +202,33 @@ export function getAvailableFeatures(
 	const featuresPath = resolved.features;
 	const features = new Map();
 
-	// Add theme features from themeMetadata (explicit definition)
-	if (
-		themeMetadata.themeFeatures &&
-		Array.isArray(themeMetadata.themeFeatures)
-	) {
-		const themeRoot = getThemeRoot(projectRoot, themeMetadata.name);
+	// Add theme features from each theme's metadata (explicit definition)
+	// Walk from root ancestor to child theme so child themes win
+	const chain = getThemeChain(projectRoot, themeMetadata);
+
+	[...chain].reverse().forEach((theme) => {
+		const themeFeatures = theme.metadata?.themeFeatures;
+		if (!Array.isArray(themeFeatures)) return;
 
-		themeMetadata.themeFeatures.forEach((feature) => {
-			const featurePath = path.join(themeRoot, feature.entry);
+		themeFeatures.forEach((feature) => {
+			const { dir, path: featurePath } = getThemeFeaturePaths(theme.root, feature);
 			if (fs.existsSync(featurePath)) {
+				const manifest = readFeatureManifest(dir);
 				features.set(feature.name, {
 					name: feature.name,
 					source: 'theme',
-					path: featurePath,
+					theme: theme.name,
+					...createFeatureInfo(feature.name, dir, featurePath, {
+						...manifest,
+						...(feature.dependsOn ? { dependsOn: feature.dependsOn } : {}),
+						...(feature.detect ? { detect: feature.detect } : {}),
+					}),
 				});
 			}
 		});
-	}
+	});
 
-	// Check for user feature overrides/additions (subdirectories with index.js)
+	// Check for user feature overrides/additions (subdirectories with an entry file)
 	const userFeaturesDir = path.join(projectRoot, featuresPath);
 	if (fs.existsSync(userFeaturesDir)) {
 		// Scan for subdirectories
@@ -140,20 +236,196 @@ export function getAvailableFeatures(
 			.filter((dirent) => dirent.isDirectory())
 			.forEach((dirent) => {
 				const featureName = dirent.name;
-				const indexPath = path.join(userFeaturesDir, featureName, 'index.js');
+				const featureDir = path.join(userFeaturesDir, featureName);
+				const entryPath = getFeatureEntryPath(featureDir);
 
-				if (fs.existsSync(indexPath)) {
+				if (fs.existsSync(entryPath)) {
 					const isOverride = features.has(featureName);
 					features.set(featureName, {
 						name: featureName,
 						source: isOverride ? 'override' : 'user',
-						path: indexPath,
+						...createFeatureInfo(
+							featureName,
+							featureDir,
+							entryPath,
+							readFeatureManifest(featureDir),
+							features.get(featureName),
+						),
 					});
 				}
 			});
 	}
 
-	return features;
+	return sortFeatures(features);
+}
+
+/**
+ * Find missing and circular feature dependencies
+ *
+ * @param {Map<string, Object>} features - Result of getAvailableFeatures()
+ * @returns {Array<{ feature: string, message: string }>} Problems (empty when the graph is valid)
+ *
+ * @example
+ * checkFeatureDependencies(getAvailableFeatures(__dirname, metadata));
+ * // [{ feature: 'gallery', message: 'Feature "gallery" depends on "utils", which does not exist' }]
+ */
+export function checkFeatureDependencies(features) {
+	const problems = [];
+	const names = [...features.keys()];
+
+	features.forEach((feature) => {
+		feature.dependsOn.forEach((dependency) => {
+			if (!features.has(dependency)) {
+				const suggestion = didYouMean(dependency, names);
+				problems.push({
+					feature: feature.name,
+					message:
+						`Feature "${feature.name}" depends on "${dependency}", which does not exist` +
+						(suggestion ? `. Did you mean "${suggestion}"?` : ''),
+				});
+			}
+		});
+	});
+
+	const reported = new Set();
+	features.forEach((feature) => {
+		const cycle = findCycle(feature.name, features);
+		const members = cycle && [...new Set(cycle)].sort().join();
+		if (cycle && !reported.has(members)) {
+			reported.add(members);
+			problems.push({
+				feature: feature.name,
+				message: `Circular feature dependency: ${cycle.join(' → ')}`,
+			});
+		}
+	});
+
+	return problems;
+}
+
+/**
+ * Add dependencies to a list of features, dependencies first
+ *
+ * @param {string[]} names - Feature names
+ * @param {Map<string, Object>} features - Result of getAvailableFeatures()
+ * @returns {string[]} Feature names with their transitive dependencies, in load order
+ *   (names that are not available are kept in place)
+ * @throws {Error} If a dependency is missing or circular
+ *
+ * @example
+ * resolveFeatureDependencies(['gallery'], features);
+ * // ['utils', 'lightbox', 'gallery']
+ */
+export function resolveFeatureDependencies(names, features) {
+	const ordered = [];
+	const visit = (name, trail) => {
+		if (ordered.includes(name)) return;
+		if (trail.includes(name)) {
+			throw new Error(`Circular feature dependency: ${[...trail, name].join(' → ')}`);
+		}
+
+		const feature = features.get(name);
+		(feature?.dependsOn || []).forEach((dependency) => {
+			if (!features.has(dependency)) {
+				throw new Error(
+					`Feature "${name}" depends on "${dependency}", which does not exist\n` +
+						`  Available features: ${[...features.keys()].join(', ') || 'none'}`,
+				);
+			}
+			visit(dependency, [...trail, name]);
+		});
+
+		ordered.push(name);
+	};
+
+	names.forEach((name) => visit(name, []));
+	return ordered;
+}
+
+/**
+ * Helper: Feature info from a manifest, with values inherited from the
+ * feature it overrides
+ *
+ * @param {string} name - Feature name
+ * @param {string} dir - Feature directory
+ * @param {string} entryPath - Entry file
+ * @param {Object} manifest - Manifest contents
+ * @param {Object} [inherited] - Info of the overridden theme feature
+ * @returns {Object} Feature info (without name and source)
+ * @private
+ */
+function createFeatureInfo(name, dir, entryPath, manifest, inherited = {}) {
+	const manifestPath = path.join(dir, FEATURE_MANIFEST);
+
+	return {
+		dir,
+		path: entryPath,
+		manifest: fs.existsSync(manifestPath) ? manifestPath : null,
+		dependsOn: manifest.dependsOn || inherited.dependsOn || [],
+		detect: manifest.detect || inherited.detect || null,
+		autoInit: manifest.autoInit === true,
+		config: manifest.config || {},
+		frontMatter: manifest.frontMatter || {},
+		styles: manifest.styles
+			? manifest.styles.map((file) => path.join(dir, file))
+			: inherited.styles || [],
+		assets: manifest.assets
+			? manifest.assets.map((file) => ({
+					path: path.join(dir, file),
+					output: ['features', name, ...file.split(/[\\/]/)].join('/'),
+				}))
+			: inherited.assets || [],
+	};
+}
+
+/**
+ * Helper: Order features so dependencies come first
+ *
+ * Missing and circular dependencies are skipped here (see checkFeatureDependencies).
+ *
+ * @param {Map<string, Object>} features - Features by name
+ * @returns {Map<string, Object>} Same features, dependencies first
+ * @private
+ */
+function sortFeatures(features) {
+	const sorted = new Map();
+	const visiting = new Set();
+
+	const visit = (name) => {
+		if (sorted.has(name) || visiting.has(name) || !features.has(name)) return;
+
+		visiting.add(name);
+		features.get(name).dependsOn.forEach(visit);
+		visiting.delete(name);
+
+		sorted.set(name, features.get(name));
+	};
+
+	features.forEach((feature, name) => visit(name));
+	return sorted;
+}
+
+/**
+ * Helper: Find a dependency cycle through a feature
+ *
+ * @param {string} start - Feature name
+ * @param {Map<string, Object>} features - Features by name
+ * @returns {string[]|null} Cycle (start → ... → start) or null
+ * @private
+ */
+function findCycle(start, features) {
+	const search = (name, trail) => {
+		for (const dependency of features.get(name)?.dependsOn || []) {
+			if (dependency === start) return [...trail, dependency];
+			if (trail.includes(dependency)) continue;
+
+			const cycle = search(dependency, [...trail, dependency]);
+			if (cycle) return cycle;
+		}
+		return null;
+	};
+
+	return search(start, [start]);
 }
 
 /**
@@ -6,6 +6,7 @@
 
 import { configureDataCascade } from './data.mjs';
 import { configurePassthroughCopy } from './assets.mjs';
+import { configureFeatureBundles } from './bundles.mjs';
 
 /**
  * Configure all cascade systems
@@ -13,36 +14,71 @@ import { configurePassthroughCopy } from './assets.mjs';
  * This is a convenience function that sets up:
  * - Data cascade (site.js, navigation.js)
  * - Asset cascade (public files)
+ * - Feature scripts without a bundler (with `options.bundleFeatures`)
  *
  * Template cascade (layouts) is configured separately via configureTemplateEngine.
- * Feature cascade is implicit (handled by Vite entry points).
+ * With Vite, features are served by createThemeViteConfig instead.
  *
  * @param {Object} eleventyConfig - Eleventy configuration object
  * @param {string} projectRoot - Content repo root
+ * @param {Object} themeMetadata - Theme metadata object
  * @param {Object} overridePaths - Override paths configuration
+ * @param {Object} [options] - Cascade options
+ * @param {boolean|Object} [options.dataMerge] - Data merge mode (see configureDataCascade)
+ * @param {boolean|string|Object} [options.bundleFeatures] - Serve `/<feature>.js` without
+ *   Vite: true, a mode ('esbuild', 'passthrough') or options (see configureFeatureBundles)
  *
  * @example
  * // Single call to configure all cascades
  * import { configureCascade } from 'eleventy-base-blog-template';
- * configureCascade(eleventyConfig, __dirname, overridePaths);
+ * configureCascade(eleventyConfig, __dirname, themeMetadata, overridePaths);
  */
 export function configureCascade(
 	eleventyConfig,
 	projectRoot,
+	themeMetadata,
 	overridePaths = {},
+	options = {},
 ) {
 	// Data cascade (site.js, navigation.js, etc.)
-	configureDataCascade(eleventyConfig, projectRoot, overridePaths);
+	configureDataCascade(eleventyConfig, projectRoot, themeMetadata, overridePaths, options);
 
 	// Asset cascade (public files)
-	configurePassthroughCopy(eleventyConfig, projectRoot, overridePaths);
+	configurePassthroughCopy(eleventyConfig, projectRoot, themeMetadata, overridePaths);
+
+	// Feature scripts for builds without Vite
+	if (options.bundleFeatures) {
+		configureFeatureBundles(
+			eleventyConfig,
+			projectRoot,
+			themeMetadata,
+			overridePaths,
+			normalizeBundleOptions(options.bundleFeatures),
+		);
+	}
 
 	// Note: Template cascade (layouts) is configured via configureTemplateEngine
-	// Note: Feature cascade is implicit (Vite handles resolution)
+}
+
+/**
+ * Normalize the bundleFeatures option (true, a mode name or an options object)
+ *
+ * @param {boolean|string|Object} bundleFeatures - Option value
+ * @returns {Object} Options for configureFeatureBundles()
+ */
+export function normalizeBundleOptions(bundleFeatures) {
+	if (typeof bundleFeatures === 'string') {
+		return { mode: bundleFeatures };
+	}
+	return typeof bundleFeatures === 'object' ? bundleFeatures : {};
 }
 
 // Re-export all cascade utilities for granular access
 export * from './data.mjs';
+export * from './merge.mjs';
 export * from './features.mjs';
+export * from './styles.mjs';
 export * from './assets.mjs';
+export * from './bundles.mjs';
 export * from './resolver.mjs';
+export * from './report.mjs';
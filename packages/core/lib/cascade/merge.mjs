@@ -0,0 +1,149 @@
+/**
+ * Deep merge for data cascade
+ *
+ * Merges user data over theme data. Objects merge key by key, user values
+ * win for scalars, and arrays follow an explicit strategy.
+ */
+
+/**
+ * Supported array merge strategies
+ * - replace: user array replaces theme array (default)
+ * - append: user items are added after theme items
+ * - merge-by-key: items with the same key value are deep merged,
+ *   remaining user items are appended
+ */
+export const ARRAY_MERGE_STRATEGIES = ['replace', 'append', 'merge-by-key'];
+
+/**
+ * Deep merge user data over theme data
+ *
+ * @param {*} themeValue - Theme data value
+ * @param {*} userValue - User data value
+ * @param {Object} [options] - Merge options
+ * @param {string|Object} [options.arrayStrategy] - Default array strategy (default: 'replace')
+ * @param {Object} [options.arrays] - Per-path array strategies, keyed by dot path
+ *   Value is a strategy name or { strategy: 'merge-by-key', key: 'id' }
+ * @param {string[]} [keyPath] - Current key path (internal)
+ * @returns {*} Merged value
+ * @throws {Error} If an array strategy is unknown or merge-by-key has no key
+ *
+ * @example
+ * mergeData(
+ *   { title: 'Theme', links: [{ url: '/', label: 'Home' }] },
+ *   { links: [{ url: '/', label: 'Start' }] },
+ *   { arrays: { links: { strategy: 'merge-by-key', key: 'url' } } },
+ * );
+ * // { title: 'Theme', links: [{ url: '/', label: 'Start' }] }
+ */
+export function mergeData(themeValue, userValue, options = {}, keyPath = []) {
+	if (userValue === undefined) {
+		return themeValue;
+	}
+
+	if (Array.isArray(themeValue) && Array.isArray(userValue)) {
+		return mergeArrays(themeValue, userValue, options, keyPath);
+	}
+
+	if (isPlainObject(themeValue) && isPlainObject(userValue)) {
+		const merged = { ...themeValue };
+
+		Object.keys(userValue).forEach((key) => {
+			merged[key] = mergeData(themeValue[key], userValue[key], options, [
+				...keyPath,
+				key,
+			]);
+		});
+
+		return merged;
+	}
+
+	// Scalars, mismatched types, class instances: user wins
+	return userValue;
+}
+
+/**
+ * Merge two arrays using the strategy configured for their path
+ *
+ * @param {Array} themeArray - Theme array
+ * @param {Array} userArray - User array
+ * @param {Object} options - Merge options
+ * @param {string[]} keyPath - Key path of the array
+ * @returns {Array} Merged array
+ * @private
+ */
+function mergeArrays(themeArray, userArray, options, keyPath) {
+	const { strategy, key } = getArrayStrategy(options, keyPath);
+
+	switch (strategy) {
+		case 'replace':
+			return userArray;
+
+		case 'append':
+			return [...themeArray, ...userArray];
+
+		case 'merge-by-key': {
+			const merged = [...themeArray];
+			const indexByKey = new Map();
+
+			themeArray.forEach((item, index) => {
+				if (isPlainObject(item) && item[key] !== undefined) {
+					indexByKey.set(item[key], index);
+				}
+			});
+
+			userArray.forEach((item) => {
+				const index = isPlainObject(item) ? indexByKey.get(item[key]) : undefined;
+
+				if (index === undefined) {
+					merged.push(item);
+				} else {
+					merged[index] = mergeData(merged[index], item, options, keyPath);
+				}
+			});
+
+			return merged;
+		}
+	}
+}
+
+/**
+ * Look up and validate the array strategy for a key path
+ *
+ * @param {Object} options - Merge options
+ * @param {string[]} keyPath - Key path of the array
+ * @returns {{ strategy: string, key?: string }}
+ * @private
+ */
+function getArrayStrategy(options, keyPath) {
+	const dotPath = keyPath.join('.');
+	const config = options.arrays?.[dotPath] ?? options.arrayStrategy ?? 'replace';
+	const normalized = typeof config === 'string' ? { strategy: config } : config;
+
+	if (!ARRAY_MERGE_STRATEGIES.includes(normalized.strategy)) {
+		throw new Error(
+			`Unknown array merge strategy "${normalized.strategy}" for "${dotPath}"\n` +
+				`  Valid strategies: ${ARRAY_MERGE_STRATEGIES.join(', ')}`,
+		);
+	}
+
+	if (normalized.strategy === 'merge-by-key' && !normalized.key) {
+		throw new Error(
+			`Array merge strategy "merge-by-key" for "${dotPath}" requires a key\n` +
+				`  Example: { "strategy": "merge-by-key", "key": "url" }`,
+		);
+	}
+
+	return normalized;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+	if (value === null || typeof value !== 'object') {
+		return false;
+	}
+
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
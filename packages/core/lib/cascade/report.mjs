@@ -0,0 +1,241 @@
+/**
+ * Cascade resolution report
+ *
+ * Explains which file wins for every layout, partial, feature, data file
+ * and public asset, and which candidate paths were checked on the way.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveOverridePaths } from '../defaults.mjs';
+import {
+	buildPaths,
+	getThemeChain,
+	scanDirectory,
+	scanDirectoryRecursive,
+} from './resolver.mjs';
+import { DATA_FILE_EXTENSIONS } from './data.mjs';
+import { getThemeFeaturePaths, getFeatureEntryPath } from './features.mjs';
+
+/**
+ * Build a cascade resolution report
+ *
+ * @param {string} projectRoot - Content repo root
+ * @param {Object} themeMetadata - Theme metadata from theme.json
+ * @param {Object} [overridePaths] - Override paths configuration
+ * @returns {Object} Report:
+ *   {
+ *     theme: string,
+ *     chain: string[],
+ *     overridePaths: Object,
+ *     resources: {
+ *       layouts|partials|features|data|assets: Array<{
+ *         name, source, theme?, path,
+ *         candidates: Array<{ path, source, theme?, exists }>
+ *       }>
+ *     }
+ *   }
+ *   Source is 'user' or 'theme' (the winning candidate)
+ *
+ * @example
+ * const report = getCascadeReport(__dirname, metadata);
+ * console.log(formatCascadeReport(report));
+ */
+export function getCascadeReport(projectRoot, themeMetadata, overridePaths = {}) {
+	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
+	const chain = getThemeChain(projectRoot, themeMetadata);
+	const paths = (resourceType) =>
+		buildPaths(projectRoot, themeMetadata.name, resolved, resourceType);
+
+	const layoutPaths = paths('layouts');
+	const partialDirs = {
+		userDir: path.join(layoutPaths.userDir, 'partials'),
+		themes: layoutPaths.themes.map((theme) => ({
+			name: theme.name,
+			dir: path.join(theme.dir, 'partials'),
+		})),
+	};
+
+	return {
+		theme: themeMetadata.name,
+		chain: chain.map((theme) => theme.name),
+		overridePaths: resolved,
+		resources: {
+			layouts: reportFiles(layoutPaths, (dir) => listFiles(dir)),
+			partials: reportFiles(partialDirs, (dir) => listFiles(dir)),
+			features: reportFeatures(projectRoot, resolved, chain),
+			data: reportData(paths('data')),
+			assets: reportFiles(paths('public'), (dir) => scanDirectoryRecursive(dir)),
+		},
+	};
+}
+
+/**
+ * Format a cascade report as a human-readable table
+ *
+ * @param {Object} report - Result of getCascadeReport()
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.projectRoot] - Show paths relative to this directory
+ * @returns {string} Table text
+ */
+export function formatCascadeReport(report, options = {}) {
+	const { projectRoot } = options;
+	const display = (filePath) =>
+		projectRoot ? path.relative(projectRoot, filePath) : filePath;
+
+	const lines = [
+		`🔍 Cascade report for ${report.theme}`,
+		`   Chain: user → ${report.chain.join(' → ')}`,
+		'',
+	];
+
+	Object.entries(report.resources).forEach(([group, entries]) => {
+		lines.push(`${group[0].toUpperCase()}${group.slice(1)} (${entries.length})`);
+
+		if (entries.length === 0) {
+			lines.push('   (none)', '');
+			return;
+		}
+
+		const width = Math.max(...entries.map((entry) => entry.name.length));
+		entries.forEach((entry) => {
+			const winner = entry.theme ? `${entry.source}:${entry.theme}` : entry.source;
+			lines.push(`   ${entry.name.padEnd(width)}  ${winner}`);
+
+			entry.candidates.forEach((candidate) => {
+				const mark = candidate.path === entry.path ? '→' : candidate.exists ? '·' : '✗';
+				lines.push(`   ${''.padEnd(width)}    ${mark} ${display(candidate.path)}`);
+			});
+		});
+		lines.push('');
+	});
+
+	lines.push('   → wins   · shadowed   ✗ not found');
+	return lines.join('\n');
+}
+
+/**
+ * Helper: Report file-based resources (layouts, partials, assets)
+ *
+ * @param {Object} dirs - { userDir, themes: [{ name, dir }] }
+ * @param {Function} list - (dir) => relative file names
+ * @returns {Array<Object>} Report entries sorted by name
+ * @private
+ */
+function reportFiles(dirs, list) {
+	const names = new Set([
+		...list(dirs.userDir),
+		...dirs.themes.flatMap((theme) => list(theme.dir)),
+	]);
+
+	return [...names].sort().map((name) =>
+		reportEntry(name, [
+			{ path: path.join(dirs.userDir, name), source: 'user' },
+			...dirs.themes.map((theme) => ({
+				path: path.join(theme.dir, name),
+				source: 'theme',
+				theme: theme.name,
+			})),
+		]),
+	);
+}
+
+/**
+ * Helper: Report data files by data name
+ *
+ * site.json in the user directory shadows site.js in the theme, so every
+ * supported extension is a candidate at each level.
+ *
+ * @private
+ */
+function reportData(dirs) {
+	const isDataFile = (file) => DATA_FILE_EXTENSIONS.includes(path.extname(file));
+	const dataName = (file) => path.basename(file, path.extname(file));
+	const names = new Set(
+		[dirs.userDir, ...dirs.themes.map((theme) => theme.dir)].flatMap((dir) =>
+			scanDirectory(dir, isDataFile).map(dataName),
+		),
+	);
+
+	const levels = [
+		{ dir: dirs.userDir, source: 'user' },
+		...dirs.themes.map((theme) => ({ dir: theme.dir, source: 'theme', theme: theme.name })),
+	];
+
+	return [...names].sort().map((name) =>
+		reportEntry(
+			name,
+			levels.flatMap(({ dir, ...level }) =>
+				DATA_FILE_EXTENSIONS.map((extension) => ({
+					path: path.join(dir, `${name}${extension}`),
+					...level,
+				})),
+			),
+		),
+	);
+}
+
+/**
+ * Helper: Report features (user directories, theme.json themeFeatures)
+ *
+ * @private
+ */
+function reportFeatures(projectRoot, resolved, chain) {
+	const userDir = path.join(projectRoot, resolved.features);
+	const names = new Set(
+		fs.existsSync(userDir)
+			? fs
+					.readdirSync(userDir, { withFileTypes: true })
+					.filter((dirent) => dirent.isDirectory())
+					.map((dirent) => dirent.name)
+			: [],
+	);
+
+	chain.forEach((theme) => {
+		(theme.metadata?.themeFeatures || []).forEach((feature) => names.add(feature.name));
+	});
+
+	return [...names].sort().map((name) => {
+		const themeCandidates = chain.flatMap((theme) => {
+			const feature = (theme.metadata?.themeFeatures || []).find((f) => f.name === name);
+			return feature
+				? [{ path: getThemeFeaturePaths(theme.root, feature).path, source: 'theme', theme: theme.name }]
+				: [];
+		});
+
+		return reportEntry(name, [
+			{ path: getFeatureEntryPath(path.join(userDir, name)), source: 'user' },
+			...themeCandidates,
+		]);
+	});
+}
+
+/**
+ * Helper: Mark existing candidates and pick the winner
+ *
+ * @private
+ */
+function reportEntry(name, candidates) {
+	const checked = candidates.map((candidate) => ({
+		...candidate,
+		exists: fs.existsSync(candidate.path),
+	}));
+	const winner = checked.find((candidate) => candidate.exists);
+
+	return {
+		name,
+		source: winner?.source || null,
+		...(winner?.theme ? { theme: winner.theme } : {}),
+		path: winner?.path || null,
+		candidates: checked,
+	};
+}
+
+/**
+ * Helper: List plain files in a directory (no subdirectories)
+ *
+ * @private
+ */
+function listFiles(dir) {
+	return scanDirectory(dir, (file) => fs.statSync(path.join(dir, file)).isFile());
+}
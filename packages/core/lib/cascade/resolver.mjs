@@ -20,6 +20,89 @@ export function getThemeRoot(projectRoot, themeName) {
 	return path.join(projectRoot, 'node_modules', themeName);
 }
 
+/**
+ * Read theme.json from an installed theme package
+ *
+ * @param {string} themeRoot - Path to theme package
+ * @returns {Object|null} Parsed theme metadata or null if not present
+ */
+export function readThemeMetadata(themeRoot) {
+	const metadataPath = path.join(themeRoot, 'theme.json');
+	if (!fs.existsSync(metadataPath)) {
+		return null;
+	}
+
+	return JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+}
+
+/**
+ * Get theme inheritance chain (child theme first, root ancestor last)
+ *
+ * Themes declare a parent via the `extends` key in theme.json. Every cascade
+ * lookup walks this chain after checking user overrides:
+ *   user → child theme → parent theme → grandparent theme
+ *
+ * @param {string} projectRoot - Content repo root
+ * @param {string|Object} theme - Theme package name or theme metadata object
+ * @returns {Array<{ name: string, root: string, metadata: Object|null }>}
+ * @throws {Error} If a parent theme is not installed or the chain is circular
+ *
+ * @example
+ * const chain = getThemeChain(__dirname, '@acme/company-theme');
+ * // [{ name: '@acme/company-theme', ... }, { name: '@eleventy-themes/base-blog', ... }]
+ */
+export function getThemeChain(projectRoot, theme) {
+	const chain = [];
+	const seen = new Set();
+
+	let name = typeof theme === 'string' ? theme : theme?.name;
+	let metadata = typeof theme === 'string' ? undefined : theme;
+	let child = null;
+
+	while (name) {
+		if (seen.has(name)) {
+			throw new Error(
+				`Circular theme inheritance detected: ` +
+					`${[...seen, name].join(' → ')}`,
+			);
+		}
+		seen.add(name);
+
+		const root = getThemeRoot(projectRoot, name);
+
+		if (child && !fs.existsSync(root)) {
+			throw new Error(
+				`Parent theme "${name}" not found at: ${root}\n` +
+					`  Required by "${child}" (theme.json "extends").\n` +
+					`  Did you run 'npm install ${name}'?`,
+			);
+		}
+
+		if (metadata === undefined) {
+			metadata = readThemeMetadata(root);
+		}
+
+		chain.push({ name, root, metadata });
+
+		child = name;
+		name = metadata?.extends;
+		metadata = undefined;
+	}
+
+	return chain;
+}
+
+/**
+ * Get root directories for every theme in the inheritance chain
+ *
+ * @param {string} projectRoot - Content repo root
+ * @param {string|Object} theme - Theme package name or theme metadata object
+ * @returns {string[]} Theme package paths, child theme first
+ */
+export function getThemeRoots(projectRoot, theme) {
+	return getThemeChain(projectRoot, theme).map((entry) => entry.root);
+}
+
 /**
  * Default theme resource paths (conventions)
  * These are where resources live in the theme package
@@ -47,12 +130,16 @@ export function getOverridePath(resolvedOverridePaths, key) {
 /**
  * Build full paths for user and theme resources
  *
+ * `theme`/`themeDir` point at the child theme. `themes` lists every theme in
+ * the inheritance chain in cascade order (child first).
+ *
  * @param {string} projectRoot - Content repo root
  * @param {string} themeName - Theme package name
  * @param {Object} resolvedOverridePaths - Resolved override paths
  * @param {string} resourceType - Type: 'data', 'features', 'layouts', 'public'
  * @param {string} filename - Optional filename to append
- * @returns {Object} Paths object { user, theme, userDir, themeDir }
+ * @returns {Object} Paths object { user, theme, userDir, themeDir, themes }
+ *   Each `themes` entry contains: { name, path, dir }
  */
 export function buildPaths(
 	projectRoot,
@@ -63,18 +150,24 @@ export function buildPaths(
 ) {
 	const userDir = getOverridePath(resolvedOverridePaths, resourceType);
 	const themeDir = THEME_RESOURCE_PATHS[resourceType] || resourceType;
-	const themeRoot = getThemeRoot(projectRoot, themeName);
+
+	const themes = getThemeChain(projectRoot, themeName).map((entry) => ({
+		name: entry.name,
+		path: path.join(entry.root, themeDir, filename),
+		dir: path.join(entry.root, themeDir),
+	}));
 
 	return {
 		user: path.join(projectRoot, userDir, filename),
-		theme: path.join(themeRoot, themeDir, filename),
+		theme: themes[0].path,
 		userDir: path.join(projectRoot, userDir),
-		themeDir: path.join(themeRoot, themeDir),
+		themeDir: themes[0].dir,
+		themes,
 	};
 }
 
 /**
- * Resolve a single resource with cascade priority (user > theme)
+ * Resolve a single resource with cascade priority (user > child theme > parent theme)
  *
  * @param {Object} options
  * @param {string} options.projectRoot - Content repo root
@@ -84,7 +177,7 @@ export function buildPaths(
  * @param {string} options.filename - File to resolve
  * @param {boolean} options.throwOnMissing - Throw error if not found
  * @param {string} options.errorMessage - Custom error message
- * @returns {{ path: string, source: 'user'|'theme' }|null}
+ * @returns {{ path: string, source: 'user'|'theme', theme?: string }|null}
  *
  * @example
  * const result = resolveResource({
@@ -118,17 +211,20 @@ export function resolveResource({
 		return { path: paths.user, source: 'user' };
 	}
 
-	// Fall back to theme
-	if (fs.existsSync(paths.theme)) {
-		return { path: paths.theme, source: 'theme' };
+	// Fall back through the theme chain (child → parent → grandparent)
+	for (const theme of paths.themes) {
+		if (fs.existsSync(theme.path)) {
+			return { path: theme.path, source: 'theme', theme: theme.name };
+		}
 	}
 
 	// Not found
 	if (throwOnMissing) {
+		const checked = [paths.user, ...paths.themes.map((t) => t.path)];
 		throw new Error(
 			errorMessage ||
 				`Resource "${filename}" not found in ${resourceType}\n` +
-					`Checked:\n  - ${paths.user}\n  - ${paths.theme}`,
+					`Checked:\n${checked.map((p) => `  - ${p}`).join('\n')}`,
 		);
 	}
 
@@ -159,7 +255,7 @@ export function scanDirectory(dirPath, filter = () => true) {
  * Scan both user and theme directories, track sources
  *
  * Returns a Map where:
- * - 'theme': File only exists in theme
+ * - 'theme': File only exists in theme (nearest theme in the chain wins)
  * - 'user': File only exists in user directory
  * - 'override': File exists in both (user wins)
  *
@@ -169,7 +265,9 @@ export function scanDirectory(dirPath, filter = () => true) {
  * @param {Object} options.resolvedOverridePaths - Resolved override paths
  * @param {string} options.resourceType - 'data', 'features', 'public'
  * @param {Function} options.filter - File filter function
- * @returns {Map<string, { name, source, path }>}
+ * @param {boolean} [options.recursive] - Include subdirectories, with names
+ *   relative to the resource directory (e.g. 'partials/postslist.njk')
+ * @returns {Map<string, { name, source, path, theme? }>}
  *
  * @example
  * const items = scanWithCascade({
@@ -186,8 +284,11 @@ export function scanWithCascade({
 	resolvedOverridePaths = {},
 	resourceType,
 	filter = () => true,
+	recursive = false,
 }) {
 	const items = new Map();
+	const scan = (dir) =>
+		recursive ? scanDirectoryRecursive(dir).filter(filter) : scanDirectory(dir, filter);
 	const paths = buildPaths(
 		projectRoot,
 		themeName,
@@ -195,17 +296,21 @@ export function scanWithCascade({
 		resourceType,
 	);
 
-	// Scan theme directory first
-	scanDirectory(paths.themeDir, filter).forEach((file) => {
-		items.set(file, {
-			name: file,
-			source: 'theme',
-			path: path.join(paths.themeDir, file),
+	// Scan theme directories from root ancestor to child theme,
+	// so each child theme replaces files from its parents
+	[...paths.themes].reverse().forEach((theme) => {
+		scan(theme.dir).forEach((file) => {
+			items.set(file, {
+				name: file,
+				source: 'theme',
+				path: path.join(theme.dir, file),
+				theme: theme.name,
+			});
 		});
 	});
 
 	// Scan user directory (overrides or additions)
-	scanDirectory(paths.userDir, filter).forEach((file) => {
+	scan(paths.userDir).forEach((file) => {
 		const isOverride = items.has(file);
 		items.set(file, {
 			name: file,
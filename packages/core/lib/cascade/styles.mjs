@@ -0,0 +1,173 @@
+/**
+ * Stylesheet cascade
+ *
+ * Resolves Sass partials user-first, so `overrides/styles/_posts.scss`
+ * replaces the theme's `_posts.scss` while the theme's `main.scss` keeps
+ * loading everything else. `@theme/styles/posts` always loads the theme
+ * version, so an override can extend the partial it replaces.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { resolveOverridePaths } from '../defaults.mjs';
+import { buildPaths, getThemeRoots } from './resolver.mjs';
+
+/**
+ * Stylesheet extensions, in Sass lookup order
+ */
+export const STYLE_EXTENSIONS = ['.scss', '.sass', '.css'];
+
+const THEME_PATTERN = /(?:^|\/)@theme\/(.+)$/;
+
+/**
+ * Resolve a stylesheet the way Sass does, across several directories
+ *
+ * Tries `_name.scss`, `name.scss` (and .sass, .css), then `name/_index.scss`
+ * and `name/index.scss` in each directory in turn.
+ *
+ * @param {string} subpath - Stylesheet path as written in @use (e.g. 'posts', 'components/card')
+ * @param {string[]} dirs - Directories to search, highest priority first
+ * @param {Object} [options] - Options
+ * @param {string} [options.exclude] - File to skip (the stylesheet doing the import)
+ * @returns {string|null} Absolute path of the first match
+ *
+ * @example
+ * resolveStylesheet('posts', ['/site/overrides/styles', '/theme/styles']);
+ * // '/site/overrides/styles/_posts.scss' if it exists, else '/theme/styles/_posts.scss'
+ */
+export function resolveStylesheet(subpath, dirs, options = {}) {
+	const { exclude } = options;
+	const candidates = getStylesheetCandidates(subpath);
+
+	for (const dir of dirs) {
+		for (const candidate of candidates) {
+			const filePath = path.join(dir, candidate);
+			if (filePath !== exclude && fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+				return filePath;
+			}
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Create a Sass importer (modern API) for the stylesheet cascade
+ *
+ * - Loads between stylesheets in the user styles directory and theme
+ *   `styles/` directories resolve user first, then child theme, then parents.
+ *   A file that loads its own name gets the next one down the cascade.
+ * - `@theme/<path>` resolves in the theme chain only (`@theme/styles/posts`).
+ * - Other loads return null and fall through to the next importer.
+ *
+ * Use it as the importer of the entry stylesheet, so relative loads from a
+ * theme's main.scss reach it before Sass looks next to the file, and in
+ * `importers` for entry stylesheets outside the cascade.
+ *
+ * Relative `url()`s in an overriding partial are not rebased; use root-relative URLs.
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Object} themeMetadata - Theme metadata object
+ * @param {Object} [overridePaths] - Override paths configuration
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.loadPaths] - Extra directories searched after the theme chain
+ *   (e.g. compiled design tokens)
+ * @returns {{ canonicalize: Function, load: Function }} Sass importer
+ *
+ * @example
+ * import * as sass from 'sass';
+ *
+ * const importer = createStylesImporter(__dirname, themeMetadata);
+ * sass.compile(entry, { importer, importers: [importer] });
+ */
+export function createStylesImporter(projectRoot, themeMetadata, overridePaths = {}, options = {}) {
+	const { loadPaths = [] } = options;
+	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
+	const paths = buildPaths(projectRoot, themeMetadata.name, resolved, 'styles');
+
+	// Bundlers report real paths, theme packages are often symlinked
+	const themeRoots = getThemeRoots(projectRoot, themeMetadata).map(toRealPath);
+	const cascadeDirs = [paths.userDir, ...paths.themes.map((theme) => theme.dir), ...loadPaths].map(
+		toRealPath,
+	);
+
+	const toPath = (url) => (url?.protocol === 'file:' ? toRealPath(fileURLToPath(url)) : null);
+	const findRoot = (filePath) =>
+		cascadeDirs.find((dir) => filePath.startsWith(dir + path.sep) || filePath === dir);
+
+	return {
+		canonicalize(url, context = {}) {
+			const containingPath = toPath(context.containingUrl);
+
+			// @theme/... as written, or resolved against the importing file by Sass
+			const themeMatch = url.match(THEME_PATTERN);
+			if (themeMatch) {
+				const filePath = resolveStylesheet(themeMatch[1], themeRoots, { exclude: containingPath });
+				return filePath ? pathToFileURL(filePath) : null;
+			}
+
+			// Loads resolved against a stylesheet in the cascade
+			const requestedPath = url.startsWith('file:')
+				? toRealPath(fileURLToPath(url))
+				: containingPath && !path.isAbsolute(url) && !/^[a-z]+:/i.test(url)
+					? path.resolve(path.dirname(containingPath), url)
+					: null;
+			const root = requestedPath && findRoot(requestedPath);
+			if (!root) {
+				return null;
+			}
+
+			const subpath = path.relative(root, requestedPath);
+			const filePath = resolveStylesheet(subpath, cascadeDirs, { exclude: containingPath });
+			return filePath ? pathToFileURL(filePath) : null;
+		},
+
+		load(canonicalUrl) {
+			const filePath = fileURLToPath(canonicalUrl);
+			const extension = path.extname(filePath);
+
+			return {
+				contents: fs.readFileSync(filePath, 'utf-8'),
+				syntax: extension === '.sass' ? 'indented' : extension === '.css' ? 'css' : 'scss',
+				sourceMapUrl: canonicalUrl,
+			};
+		},
+	};
+}
+
+/**
+ * Helper: Resolve symlinks in a path whose last segment may not exist
+ *
+ * @private
+ */
+function toRealPath(filePath) {
+	if (fs.existsSync(filePath)) {
+		return fs.realpathSync(filePath);
+	}
+
+	const dir = path.dirname(filePath);
+	return dir === filePath ? filePath : path.join(toRealPath(dir), path.basename(filePath));
+}
+
+/**
+ * Helper: File names Sass tries for a load
+ *
+ * @private
+ */
+function getStylesheetCandidates(subpath) {
+	const dir = path.dirname(subpath);
+	const base = path.basename(subpath);
+
+	if (STYLE_EXTENSIONS.includes(path.extname(subpath))) {
+		return [path.join(dir, `_${base}`), subpath];
+	}
+
+	return [
+		...STYLE_EXTENSIONS.flatMap((ext) => [path.join(dir, `_${base}${ext}`), path.join(dir, `${base}${ext}`)]),
+		...STYLE_EXTENSIONS.flatMap((ext) => [
+			path.join(subpath, `_index${ext}`),
+			path.join(subpath, `index${ext}`),
+		]),
+	];
+}
@@ -0,0 +1,337 @@
+/**
+ * themer command line
+ *
+ * Scaffold, inspect and eject theme resources:
+ *   themer init                      Create override directories and main.js
+ *   themer list [--json]             Show resources and where they come from
+ *   themer eject <type> <name>       Copy a theme resource into overrides
+ *   themer doctor                    Validate the theme installation
+ *   themer drift                     Show upstream changes to ejected files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { resolveOverridePaths } from './defaults.mjs';
+import { readThemeMetadata, getThemeRoot, scanWithCascade } from './cascade/resolver.mjs';
+import { getAvailableFeatures } from './cascade/features.mjs';
+import { getAvailableAssets } from './cascade/assets.mjs';
+import { getAvailableDataFiles } from './cascade/data.mjs';
+import { validateTheme, logValidation } from './validate.mjs';
+import { ejectResource, EJECTABLE_TYPES } from './eject.mjs';
+import { checkOverrideDrift } from './provenance.mjs';
+
+const USAGE = `Usage: themer <command> [options]
+
+Commands:
+  init                          Create override directories and main.js
+  list                          Show each resource and whether user or theme provides it
+  eject <type> <name>           Copy a theme resource into its override path
+                                (type: ${Object.keys(EJECTABLE_TYPES).join(', ')})
+  doctor                        Validate theme installation and metadata
+  drift                         Show theme changes to ejected files since eject
+
+Options:
+  --theme <package>             Theme package (default: detected from package.json)
+  --root <dir>                  Project root (default: current directory)
+  --force                       eject: overwrite existing files
+  --json                        list: print JSON
+  -h, --help                    Show this help
+`;
+
+const MAIN_JS_TEMPLATE = `// Site entry point
+// Theme styles and scripts are imported automatically by the build.
+
+// Add site-specific JavaScript here.
+`;
+
+/**
+ * Run the themer CLI
+ *
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd] - Working directory (default: process.cwd())
+ * @returns {Promise<number>} Exit code
+ *
+ * @example
+ * // bin/themer.mjs
+ * process.exitCode = await runCli(process.argv.slice(2));
+ */
+export async function runCli(argv, options = {}) {
+	const { cwd = process.cwd() } = options;
+
+	let parsed;
+	try {
+		parsed = parseArgs({
+			args: argv,
+			allowPositionals: true,
+			options: {
+				theme: { type: 'string' },
+				root: { type: 'string' },
+				force: { type: 'boolean', default: false },
+				json: { type: 'boolean', default: false },
+				help: { type: 'boolean', short: 'h', default: false },
+			},
+		});
+	} catch (error) {
+		console.error(`❌ ${error.message}\n`);
+		console.error(USAGE);
+		return 1;
+	}
+
+	const { values, positionals } = parsed;
+	const [command, ...args] = positionals;
+
+	if (values.help || !command) {
+		console.log(USAGE);
+		return values.help ? 0 : 1;
+	}
+
+	const commands = { init, list, eject, doctor, drift };
+	if (!commands[command]) {
+		console.error(`❌ Unknown command "${command}"\n`);
+		console.error(USAGE);
+		return 1;
+	}
+
+	try {
+		const projectRoot = path.resolve(cwd, values.root || '.');
+		const themeMetadata = findThemeMetadata(projectRoot, values.theme);
+		return (await commands[command]({ projectRoot, themeMetadata, args, values })) ?? 0;
+	} catch (error) {
+		console.error(`❌ ${error.message}`);
+		return 1;
+	}
+}
+
+/**
+ * Find installed theme metadata
+ *
+ * Uses --theme when given. Otherwise checks the project's dependencies for
+ * packages shipping a theme.json, preferring a child theme over its parents.
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {string} [themeName] - Explicit theme package name
+ * @returns {Object} Theme metadata
+ * @throws {Error} If no theme is found
+ */
+export function findThemeMetadata(projectRoot, themeName) {
+	if (themeName) {
+		const metadata = readThemeMetadata(getThemeRoot(projectRoot, themeName));
+		if (!metadata) {
+			throw new Error(
+				`No theme.json found for "${themeName}".\n` +
+					`  Did you run 'npm install ${themeName}'?`,
+			);
+		}
+		return metadata;
+	}
+
+	const pkgPath = path.join(projectRoot, 'package.json');
+	const pkg = fs.existsSync(pkgPath) ? JSON.parse(fs.readFileSync(pkgPath, 'utf-8')) : {};
+	const dependencies = Object.keys({ ...pkg.dependencies, ...pkg.devDependencies });
+
+	const themes = dependencies
+		.map((name) => readThemeMetadata(getThemeRoot(projectRoot, name)))
+		.filter(Boolean);
+
+	// A theme another installed theme extends is a parent, not the site theme
+	const parents = new Set(themes.map((theme) => theme.extends).filter(Boolean));
+	const candidates = themes.filter((theme) => !parents.has(theme.name));
+
+	if (candidates.length === 0) {
+		throw new Error(
+			`No theme found in ${pkgPath} dependencies.\n` +
+				`  Pass one explicitly: themer <command> --theme <package>`,
+		);
+	}
+
+	if (candidates.length > 1) {
+		throw new Error(
+			`Multiple themes found: ${candidates.map((t) => t.name).join(', ')}\n` +
+				`  Pick one with --theme <package>`,
+		);
+	}
+
+	return candidates[0];
+}
+
+/**
+ * themer init
+ * @private
+ */
+function init({ projectRoot, themeMetadata }) {
+	const resolved = resolveOverridePaths(themeMetadata);
+
+	Object.entries(resolved).forEach(([key, dir]) => {
+		const fullPath = path.join(projectRoot, dir);
+		if (fs.existsSync(fullPath)) {
+			console.log(`   ${dir}/ (exists)`);
+			return;
+		}
+
+		fs.mkdirSync(fullPath, { recursive: true });
+		console.log(`✓ ${dir}/ (${key})`);
+	});
+
+	const mainEntry = path.join(projectRoot, resolved.scripts, 'main.js');
+	if (fs.existsSync(mainEntry)) {
+		console.log(`   ${resolved.scripts}/main.js (exists)`);
+	} else {
+		fs.writeFileSync(mainEntry, MAIN_JS_TEMPLATE);
+		console.log(`✓ ${resolved.scripts}/main.js`);
+	}
+
+	console.log(`\n✅ Ready to override ${themeMetadata.name}`);
+	console.log(`   Copy theme files with: themer eject <type> <name>\n`);
+}
+
+/**
+ * themer list
+ * @private
+ */
+function list({ projectRoot, themeMetadata, values }) {
+	const resolved = resolveOverridePaths(themeMetadata);
+	const groups = {
+		layouts: scanTemplates(projectRoot, themeMetadata.name, resolved),
+		features: getAvailableFeatures(projectRoot, themeMetadata),
+		data: getAvailableDataFiles(projectRoot, themeMetadata),
+		assets: getAvailableAssets(projectRoot, themeMetadata),
+	};
+
+	if (values.json) {
+		const output = Object.fromEntries(
+			Object.entries(groups).map(([group, items]) => [group, [...items.values()]]),
+		);
+		console.log(JSON.stringify(output, null, 2));
+		return;
+	}
+
+	console.log(`\n🎨 ${themeMetadata.name}\n`);
+
+	Object.entries(groups).forEach(([group, items]) => {
+		console.log(`${group[0].toUpperCase()}${group.slice(1)} (${items.size})`);
+
+		if (items.size === 0) {
+			console.log('   (none)\n');
+			return;
+		}
+
+		const width = Math.max(...[...items.keys()].map((name) => name.length));
+		items.forEach((info, name) => {
+			const source = info.source === 'override' ? 'user (overrides theme)' : info.source;
+			console.log(
+				`   ${name.padEnd(width)}  ${source.padEnd(22)}  ${path.relative(projectRoot, info.path)}`,
+			);
+		});
+		console.log('');
+	});
+}
+
+/**
+ * Helper: Layouts (with partials), includes and macros for themer list
+ *
+ * Layouts are named relative to the layouts directory, as `themer eject
+ * layout` takes them; includes and macros keep their directory.
+ *
+ * @private
+ */
+function scanTemplates(projectRoot, themeName, resolved) {
+	// The template loader looks for includes and macros here
+	const templateDirs = {
+		layouts: '',
+		includes: 'includes/',
+		macros: 'macros/',
+	};
+	const overridePaths = {
+		...resolved,
+		includes: 'overrides/includes',
+		macros: 'overrides/macros',
+	};
+
+	const templates = new Map();
+	Object.entries(templateDirs).forEach(([resourceType, prefix]) => {
+		scanWithCascade({
+			projectRoot,
+			themeName,
+			resolvedOverridePaths: overridePaths,
+			resourceType,
+			filter: (file) => path.extname(file) !== '',
+			recursive: true,
+		}).forEach((info, name) => {
+			const templateName = `${prefix}${name.split(path.sep).join('/')}`;
+			templates.set(templateName, { ...info, name: templateName });
+		});
+	});
+
+	return templates;
+}
+
+/**
+ * themer eject <type> <name>
+ * @private
+ */
+function eject({ projectRoot, themeMetadata, args, values }) {
+	const [type, name] = args;
+
+	if (!type || !name) {
+		console.error('❌ Usage: themer eject <type> <name>');
+		console.error(`   Types: ${Object.keys(EJECTABLE_TYPES).join(', ')}`);
+		return 1;
+	}
+
+	const result = ejectResource(type, name, projectRoot, themeMetadata, {}, {
+		force: values.force,
+	});
+
+	console.log(
+		`✓ ${path.relative(projectRoot, result.source)} → ${path.relative(projectRoot, result.destination)}`,
+	);
+	console.log(`   (Customize by editing ${path.relative(projectRoot, result.destination)})`);
+}
+
+/**
+ * themer doctor
+ * @private
+ */
+function doctor({ projectRoot, themeMetadata }) {
+	const validation = validateTheme(projectRoot, themeMetadata);
+	logValidation(validation);
+	return validation.isValid ? 0 : 1;
+}
+
+/**
+ * themer drift
+ * @private
+ */
+function drift({ projectRoot }) {
+	const reports = checkOverrideDrift(projectRoot);
+
+	if (reports.length === 0) {
+		console.log('No ejected overrides recorded. Eject files with: themer eject <type> <name>');
+		return 0;
+	}
+
+	reports.forEach((report) => {
+		const icon = { current: '✓', stale: '⚠️ ', removed: '❌' }[report.status];
+		console.log(
+			`${icon} ${report.file} (${report.status}, ejected from ${report.theme}@${report.ejectedVersion})`,
+		);
+
+		if (report.diff) {
+			console.log(`\n${report.diff}`);
+		}
+	});
+
+	const outdated = reports.filter((report) => report.status !== 'current');
+	if (outdated.length > 0) {
+		console.log(
+			`\n💡 ${outdated.length} override(s) out of date. Merge the changes above into your copy,\n` +
+				`   or re-eject with --force to start from the new theme version.\n`,
+		);
+		return 1;
+	}
+
+	console.log('\n✅ All ejected overrides match the installed theme');
+	return 0;
+}
@@ -0,0 +1,183 @@
+/**
+ * Line-based unified diff
+ *
+ * Small LCS diff used to show upstream theme changes for ejected files.
+ */
+
+/**
+ * Files beyond this many line pairs are shown as a full replacement
+ * instead of running the quadratic LCS table
+ */
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Create a unified diff between two texts
+ *
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.oldLabel] - Label for the --- header (default: 'a')
+ * @param {string} [options.newLabel] - Label for the +++ header (default: 'b')
+ * @param {number} [options.context] - Context lines around changes (default: 3)
+ * @returns {string} Unified diff, or '' when texts are equal
+ *
+ * @example
+ * createUnifiedDiff(original, current, {
+ *   oldLabel: 'layouts/post.njk (2.0.0)',
+ *   newLabel: 'layouts/post.njk (2.1.0)',
+ * });
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+	const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+
+	if (oldText === newText) {
+		return '';
+	}
+
+	const oldLines = splitLines(oldText);
+	const newLines = splitLines(newText);
+	const ops = diffLines(oldLines, newLines);
+	const hunks = buildHunks(ops, context);
+
+	return [
+		`--- ${oldLabel}`,
+		`+++ ${newLabel}`,
+		...hunks.flatMap((hunk) => [hunk.header, ...hunk.lines]),
+	].join('\n') + '\n';
+}
+
+/**
+ * @private
+ */
+function splitLines(text) {
+	const lines = text.split('\n');
+	if (lines[lines.length - 1] === '') lines.pop();
+	return lines;
+}
+
+/**
+ * Compute edit script as [{ type: ' '|'-'|'+', line }]
+ *
+ * @private
+ */
+function diffLines(a, b) {
+	// Trim common prefix and suffix to keep the table small
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+	let endA = a.length;
+	let endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+
+	const ops = a.slice(0, start).map((line) => ({ type: ' ', line }));
+	const midA = a.slice(start, endA);
+	const midB = b.slice(start, endB);
+
+	if (midA.length * midB.length > MAX_LCS_CELLS) {
+		ops.push(...midA.map((line) => ({ type: '-', line })));
+		ops.push(...midB.map((line) => ({ type: '+', line })));
+	} else {
+		ops.push(...lcsOps(midA, midB));
+	}
+
+	ops.push(...a.slice(endA).map((line) => ({ type: ' ', line })));
+	return ops;
+}
+
+/**
+ * @private
+ */
+function lcsOps(a, b) {
+	const n = a.length;
+	const m = b.length;
+	const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+	for (let i = n - 1; i >= 0; i--) {
+		for (let j = m - 1; j >= 0; j--) {
+			table[i][j] =
+				a[i] === b[j]
+					? table[i + 1][j + 1] + 1
+					: Math.max(table[i + 1][j], table[i][j + 1]);
+		}
+	}
+
+	const ops = [];
+	let i = 0;
+	let j = 0;
+	while (i < n && j < m) {
+		if (a[i] === b[j]) {
+			ops.push({ type: ' ', line: a[i] });
+			i++;
+			j++;
+		} else if (table[i + 1][j] >= table[i][j + 1]) {
+			ops.push({ type: '-', line: a[i++] });
+		} else {
+			ops.push({ type: '+', line: b[j++] });
+		}
+	}
+	while (i < n) ops.push({ type: '-', line: a[i++] });
+	while (j < m) ops.push({ type: '+', line: b[j++] });
+
+	return ops;
+}
+
+/**
+ * Group edit script into hunks with context
+ *
+ * @private
+ */
+function buildHunks(ops, context) {
+	const hunks = [];
+	let oldLine = 1;
+	let newLine = 1;
+	let current = null;
+	let trailing = 0;
+
+	ops.forEach((op, index) => {
+		if (op.type !== ' ') {
+			if (!current) {
+				// Start hunk with up to `context` preceding lines
+				const lead = ops.slice(Math.max(0, index - context), index);
+				current = {
+					oldStart: oldLine - lead.length,
+					newStart: newLine - lead.length,
+					lines: lead.map((l) => ` ${l.line}`),
+				};
+			}
+			current.lines.push(`${op.type}${op.line}`);
+			trailing = 0;
+		} else if (current) {
+			if (trailing < context) {
+				current.lines.push(` ${op.line}`);
+				trailing++;
+			} else {
+				// Close hunk unless another change follows within context range
+				const next = ops.slice(index, index + context + 1);
+				if (next.some((o) => o.type !== ' ')) {
+					current.lines.push(` ${op.line}`);
+				} else {
+					hunks.push(current);
+					current = null;
+					trailing = 0;
+				}
+			}
+		}
+
+		if (op.type !== '+') oldLine++;
+		if (op.type !== '-') newLine++;
+	});
+
+	if (current) hunks.push(current);
+
+	return hunks.map((hunk) => {
+		const oldCount = hunk.lines.filter((l) => l[0] !== '+').length;
+		const newCount = hunk.lines.filter((l) => l[0] !== '-').length;
+		return {
+			header: `@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@`,
+			lines: hunk.lines,
+		};
+	});
+}
@@ -0,0 +1,172 @@
+/**
+ * Eject theme resources into user override paths
+ *
+ * Copies a theme file (or feature directory) to the matching override
+ * location, so users can customise it without digging through node_modules.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveOverridePaths } from './defaults.mjs';
+import { buildPaths, getThemeChain } from './cascade/resolver.mjs';
+import { getThemeFeaturePaths } from './cascade/features.mjs';
+import { recordProvenance } from './provenance.mjs';
+
+/**
+ * Resource types that can be ejected, mapped to override path keys
+ */
+export const EJECTABLE_TYPES = {
+	layout: 'layouts',
+	feature: 'features',
+	data: 'data',
+	asset: 'public',
+};
+
+/**
+ * Copy a theme resource into the user's override path
+ *
+ * Records provenance (theme, version, content hash) in .themer/ so
+ * checkOverrideDrift() can report when the theme changes underneath.
+ *
+ * @param {string} type - Resource type: 'layout', 'feature', 'data' or 'asset'
+ * @param {string} name - Resource name (e.g., 'post', 'code-highlighting', 'site.js', 'favicon.svg')
+ * @param {string} projectRoot - Project root path
+ * @param {Object} themeMetadata - Theme metadata from theme.json
+ * @param {Object} [overridePaths] - Override paths configuration
+ * @param {Object} [options] - Eject options
+ * @param {boolean} [options.force] - Overwrite existing user files
+ * @returns {{ source: string, destination: string, theme: string, provenance: Object[] }}
+ *   Copied paths and recorded provenance entries
+ * @throws {Error} If the type is unknown, the resource is missing,
+ *   or the destination exists (without force)
+ *
+ * @example
+ * ejectResource('layout', 'post', __dirname, metadata);
+ * // { source: '.../node_modules/theme/layouts/post.njk',
+ * //   destination: '.../overrides/layouts/post.njk', theme: 'theme' }
+ */
+export function ejectResource(
+	type,
+	name,
+	projectRoot,
+	themeMetadata,
+	overridePaths = {},
+	options = {},
+) {
+	const { force = false } = options;
+	const resourceType = EJECTABLE_TYPES[type];
+
+	if (!resourceType) {
+		throw new Error(
+			`Unknown resource type "${type}"\n` +
+				`  Valid types: ${Object.keys(EJECTABLE_TYPES).join(', ')}`,
+		);
+	}
+
+	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
+	const found =
+		type === 'feature'
+			? findThemeFeature(name, projectRoot, themeMetadata)
+			: findThemeFile(resourceType, name, projectRoot, themeMetadata, resolved);
+
+	if (!found) {
+		throw new Error(
+			`No theme ${type} named "${name}" found.\n` +
+				`  Run 'themer list' to see available resources.`,
+		);
+	}
+
+	const destination = path.join(projectRoot, resolved[resourceType], found.relativePath);
+
+	if (fs.existsSync(destination) && !force) {
+		throw new Error(
+			`${path.relative(projectRoot, destination)} already exists.\n` +
+				`  Use --force to overwrite it with the theme version.`,
+		);
+	}
+
+	fs.mkdirSync(path.dirname(destination), { recursive: true });
+	fs.cpSync(found.path, destination, { recursive: true });
+
+	const ejection = { source: found.path, destination, theme: found.theme };
+	return { ...ejection, provenance: recordProvenance(projectRoot, ejection) };
+}
+
+/**
+ * Helper: Find a feature directory in the theme chain
+ *
+ * @private
+ */
+function findThemeFeature(name, projectRoot, themeMetadata) {
+	for (const theme of getThemeChain(projectRoot, themeMetadata)) {
+		const feature = (theme.metadata?.themeFeatures || []).find((f) => f.name === name);
+
+		if (feature) {
+			return {
+				path: getThemeFeaturePaths(theme.root, feature).dir,
+				relativePath: name,
+				theme: theme.name,
+			};
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Helper: Find a layout, data file or public asset in the theme chain
+ *
+ * Layouts may be given by name ('post'), data files without extension ('site').
+ *
+ * @private
+ */
+function findThemeFile(resourceType, name, projectRoot, themeMetadata, resolved) {
+	const candidates = [name];
+
+	if (resourceType === 'layouts' && !path.extname(name)) {
+		candidates.push(`${name}.njk`);
+	}
+	if (resourceType === 'data' && !path.extname(name)) {
+		candidates.push(`${name}.js`, `${name}.mjs`, `${name}.json`);
+	}
+
+	for (const candidate of candidates) {
+		const paths = buildPaths(
+			projectRoot,
+			themeMetadata.name,
+			resolved,
+			resourceType,
+			candidate,
+		);
+		const match = paths.themes.find((theme) => isFile(theme.path));
+
+		if (match) {
+			return { path: match.path, relativePath: candidate, theme: match.name };
+		}
+	}
+
+	// Layouts declared in theme.json may live outside layouts/
+	if (resourceType === 'layouts') {
+		for (const theme of getThemeChain(projectRoot, themeMetadata)) {
+			const layout = (theme.metadata?.layouts || []).find((l) => l.name === name);
+			const layoutPath = layout && path.join(theme.root, layout.path);
+
+			if (layoutPath && isFile(layoutPath)) {
+				return {
+					path: layoutPath,
+					relativePath: path.basename(layout.path),
+					theme: theme.name,
+				};
+			}
+		}
+	}
+
+	return null;
+}
+
+/**
+ * @private
+ */
+function isFile(filePath) {
+	return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+}
@@ -0,0 +1,144 @@
+/**
+ * Feature entries
+ *
+ * Bundlers load each feature from a single entry file (`/code-highlighting.js`).
+ * Features whose feature.json declares `autoInit` or `styles` get a generated
+ * entry that imports the stylesheets and calls the feature's `init()` with
+ * the manifest config, merged with the page's config:
+ *
+ *   <script type="application/json" data-feature-config="code-highlighting">
+ *     {"lineNumbers":true}
+ *   </script>
+ *
+ * Other features use their entry file as is.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PROVENANCE_DIR, ensureGeneratedDir } from './provenance.mjs';
+
+/**
+ * Directory for generated feature entries, relative to the project root
+ */
+export const FEATURE_ENTRIES_DIR = path.join(PROVENANCE_DIR, 'features');
+
+/**
+ * Attribute of the JSON script tag carrying a page's feature config
+ */
+export const FEATURE_CONFIG_ATTRIBUTE = 'data-feature-config';
+
+/**
+ * Create the source of a generated feature entry
+ *
+ * @param {Object} feature - Feature info from getAvailableFeatures()
+ * @param {string} outputDir - Directory the entry is written to (imports are relative to it)
+ * @param {Object} [options] - Options
+ * @param {Function} [options.resolve] - Map a file path to an import specifier
+ *   (default: relative to outputDir)
+ * @param {boolean} [options.linkStyles] - Add stylesheets as `<link>` tags
+ *   (resolved URLs of compiled CSS) instead of importing them
+ * @returns {string|null} ES module source, or null when the entry file can be used as is
+ *
+ * @example
+ * createFeatureEntry(features.get('code-highlighting'), '/site/.themer/features');
+ * // import '../../node_modules/.../styles.scss';
+ * // import { init } from '../../node_modules/.../index.js';
+ * // ...
+ */
+export function createFeatureEntry(feature, outputDir, options = {}) {
+	const { linkStyles = false } = options;
+
+	if (!feature.autoInit && feature.styles.length === 0) {
+		return null;
+	}
+
+	const resolve =
+		options.resolve ||
+		((filePath) => {
+			const relative = path.relative(outputDir, filePath).split(path.sep).join('/');
+			return relative.startsWith('.') ? relative : `./${relative}`;
+		});
+	const specifier = (filePath) => JSON.stringify(resolve(filePath));
+
+	const header = [
+		`// Generated for the "${feature.name}" feature - edit its feature.json instead`,
+		'',
+		...(linkStyles ? [] : feature.styles.map((style) => `import ${specifier(style)};`)),
+	];
+
+	const links =
+		linkStyles && feature.styles.length > 0
+			? [
+					'',
+					`${JSON.stringify(feature.styles.map(resolve))}.forEach((href) => {`,
+					"\tconst link = document.createElement('link');",
+					"\tlink.rel = 'stylesheet';",
+					'\tlink.href = href;',
+					'\tdocument.head.append(link);',
+					'});',
+				]
+			: [];
+
+	if (!feature.autoInit) {
+		return [...header, `import ${specifier(feature.path)};`, ...links, ''].join('\n');
+	}
+
+	return [
+		...header,
+		`import { init } from ${specifier(feature.path)};`,
+		...links,
+		'',
+		`const config = ${JSON.stringify(feature.config, null, '\t')};`,
+		`const element = document.querySelector('script[${FEATURE_CONFIG_ATTRIBUTE}="${feature.name}"]');`,
+		'',
+		'init({ ...config, ...(element ? JSON.parse(element.textContent) : {}) });',
+		'',
+	].join('\n');
+}
+
+/**
+ * Write generated feature entries to the project
+ *
+ * Writes `<name>.js` to FEATURE_ENTRIES_DIR for features that need one.
+ * Unchanged files are left alone so watchers are not triggered.
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Map<string, Object>} features - Result of getAvailableFeatures()
+ * @returns {Map<string, string>} Entry file by feature name (generated or the feature's own),
+ *   in feature order
+ *
+ * @example
+ * const entries = writeFeatureEntries(__dirname, getAvailableFeatures(__dirname, metadata));
+ * entries.get('code-highlighting'); // '/site/.themer/features/code-highlighting.js'
+ */
+export function writeFeatureEntries(projectRoot, features) {
+	const outputDir = path.join(projectRoot, FEATURE_ENTRIES_DIR);
+	const entries = new Map();
+
+	features.forEach((feature, name) => {
+		const source = createFeatureEntry(feature, outputDir);
+		if (source === null) {
+			entries.set(name, feature.path);
+			return;
+		}
+
+		const filePath = path.join(ensureGeneratedDir(outputDir), `${name}.js`);
+		writeIfChanged(filePath, source);
+		entries.set(name, filePath);
+	});
+
+	return entries;
+}
+
+/**
+ * Helper: Write a file unless it already has the content
+ *
+ * @private
+ */
+function writeIfChanged(filePath, content) {
+	if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === content) {
+		return;
+	}
+
+	fs.writeFileSync(filePath, content);
+}
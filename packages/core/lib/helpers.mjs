@@ -0,0 +1,323 @@
+/**
+ * Theme helper registration
+ *
+ * Themes hand createThemePlugin() a `helpers` object describing everything
+ * they add to Eleventy: filters, shortcodes, collections, global data,
+ * plugins and virtual templates. This module registers each kind with the
+ * matching eleventyConfig API.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_FILE_EXTENSIONS } from './cascade/data.mjs';
+import { didYouMean } from './suggest.mjs';
+import { getScopedLayoutName, scopeHelper } from './scope.mjs';
+
+/**
+ * Name-keyed helper types and the eleventyConfig method that registers them
+ */
+export const HELPER_METHODS = {
+	filters: 'addFilter',
+	asyncFilters: 'addAsyncFilter',
+	shortcodes: 'addShortcode',
+	pairedShortcodes: 'addPairedShortcode',
+	transforms: 'addTransform',
+	collections: 'addCollection',
+};
+
+/**
+ * All supported helper types
+ */
+export const HELPER_TYPES = [...Object.keys(HELPER_METHODS), 'globalData', 'plugins', 'templates'];
+
+/**
+ * Helpers Eleventy registers itself (defaultConfig.js)
+ */
+export const ELEVENTY_BUILT_INS = {
+	filters: [
+		'slug',
+		'slugify',
+		'url',
+		'log',
+		'getCollectionItemIndex',
+		'getCollectionItem',
+		'getPreviousCollectionItem',
+		'getNextCollectionItem',
+		'renderTransforms',
+	],
+	transforms: ['@11ty/eleventy/html-transformer'],
+};
+
+/**
+ * Singular labels for messages
+ * @private
+ */
+const HELPER_LABELS = {
+	filters: 'filter',
+	asyncFilters: 'async filter',
+	shortcodes: 'shortcode',
+	pairedShortcodes: 'paired shortcode',
+	transforms: 'transform',
+	collections: 'collection',
+};
+
+/**
+ * Look up what Eleventy currently has registered under a name
+ * @private
+ */
+const REGISTRY_LOOKUPS = {
+	filters: (config, name) => config.getFilter?.(name),
+	asyncFilters: (config, name) => config.getFilter?.(name),
+	shortcodes: (config, name) => config.getShortcode?.(name),
+	pairedShortcodes: (config, name) => config.getPairedShortcode?.(name),
+	transforms: (config, name) => config.transforms?.[name],
+	collections: (config, name) => config.getCollections?.()[name],
+};
+
+/**
+ * Register theme helpers with Eleventy
+ *
+ * @param {Object} eleventyConfig - Eleventy configuration object
+ * @param {Object} helpers - Theme helpers
+ * @param {Object} [helpers.filters] - Filters by name
+ * @param {Object} [helpers.asyncFilters] - Async filters by name
+ * @param {Object} [helpers.shortcodes] - Shortcodes by name
+ * @param {Object} [helpers.pairedShortcodes] - Paired shortcodes by name
+ * @param {Object} [helpers.transforms] - Transforms by name
+ * @param {Object} [helpers.collections] - Collection callbacks by name
+ * @param {Object} [helpers.globalData] - Global data values (or functions) by name.
+ *   Skipped when the user has a data file with the same name.
+ * @param {Array<Function|Object>} [helpers.plugins] - Eleventy plugins, either
+ *   the plugin function or { plugin, options }
+ * @param {Object} [helpers.templates] - Virtual templates by input path.
+ *   Value is the template content, or { content, data }.
+ * @param {Object} context - Registration context
+ * @param {string} context.projectRoot - Project root path
+ * @param {Object} context.overridePaths - Resolved override paths
+ * @param {Object} [context.overrides] - User overrides for name-keyed helpers
+ *   (see applyHelperOverrides)
+ * @param {Object} [context.scope] - Theme scope (see normalizeScope). Filters,
+ *   shortcodes and transforms of a scoped theme only apply to its pages.
+ *   Its virtual templates move into the scope.
+ * @param {Object} [context.scopes] - Theme scope registry (see getThemeScopes)
+ * @param {string[]} [context.layoutNames] - Theme layout names, for scoped
+ *   virtual templates that use a theme layout
+ * @throws {Error} If helpers or overrides contain an unknown type
+ *
+ * @example
+ * registerHelpers(eleventyConfig, {
+ *   collections: {
+ *     posts: (collectionApi) => collectionApi.getFilteredByGlob('content/posts/*.md'),
+ *   },
+ *   plugins: [{ plugin: navigationPlugin }],
+ *   templates: {
+ *     'tags.njk': '---\npermalink: /tags/\n---\n...',
+ *   },
+ * }, { projectRoot, overridePaths });
+ */
+export function registerHelpers(eleventyConfig, helpers, context) {
+	const unknown = Object.keys(helpers).filter((type) => !HELPER_TYPES.includes(type));
+	if (unknown.length > 0) {
+		throw new Error(
+			`Unknown theme helper type(s): ${unknown.join(', ')}\n` +
+				`  Supported types: ${HELPER_TYPES.join(', ')}`,
+		);
+	}
+
+	(helpers.plugins || []).forEach((entry) => {
+		const { plugin, options = {} } = typeof entry === 'function' ? { plugin: entry } : entry;
+		eleventyConfig.addPlugin(plugin, options);
+	});
+
+	const effective = applyHelperOverrides(helpers, context.overrides);
+	const registered = [];
+
+	Object.entries(HELPER_METHODS).forEach(([type, method]) => {
+		const userChosen = Object.keys(context.overrides?.[type] || {});
+
+		Object.entries(effective[type] || {}).forEach(([name, helper]) => {
+			const existing = REGISTRY_LOOKUPS[type](eleventyConfig, name);
+
+			// Collections are site-wide; everything else can be limited to a theme's pages
+			const otherTheme = Boolean(context.scopes?.isThemeEntry(existing));
+			const scoped = type !== 'collections' && (Boolean(context.scope) || otherTheme);
+
+			const collision =
+				!userChosen.includes(name) &&
+				!(scoped && otherTheme) &&
+				describeCollision(eleventyConfig, type, name, otherTheme);
+
+			// Eleventy refuses duplicate collections, so the existing one stays
+			if (collision && type === 'collections') {
+				console.warn(`⚠️  Theme ${collision}; keeping the existing collection`);
+				return;
+			}
+			if (collision) {
+				console.warn(
+					`⚠️  Theme ${collision}; the theme version replaces it` +
+						(scoped ? ` on ${context.scope ? `"${context.scope.name}"` : 'unscoped'} pages` : '') +
+						`.\n   Use the theme plugin's helpers option to replace, wrap or disable "${name}".`,
+				);
+			}
+
+			eleventyConfig[method](
+				name,
+				scoped ? scopeHelper(context.scopes, context.scope?.name ?? null, helper, existing) : helper,
+			);
+
+			const entry = REGISTRY_LOOKUPS[type](eleventyConfig, name);
+			context.scopes?.markThemeEntry(entry);
+			registered.push({ type, name, entry });
+		});
+	});
+
+	// Plugins added after the theme can replace its helpers in turn (checked on first build)
+	eleventyConfig.on?.('eleventy.before', () => {
+		registered
+			.splice(0)
+			.filter(({ type, name, entry }) => {
+				// Another theme's scoped helper falls back to this one
+				const current = REGISTRY_LOOKUPS[type](eleventyConfig, name);
+				return current !== entry && !context.scopes?.isThemeEntry(current);
+			})
+			.forEach(({ type, name }) => {
+				console.warn(
+					`⚠️  Theme ${HELPER_LABELS[type]} "${name}" was replaced by a later plugin or config call`,
+				);
+			});
+	});
+
+	// User data files win over theme-provided global data
+	Object.entries(helpers.globalData || {}).forEach(([name, value]) => {
+		if (!hasUserDataFile(name, context)) {
+			eleventyConfig.addGlobalData(name, value);
+		}
+	});
+
+	Object.entries(helpers.templates || {}).forEach(([inputPath, template]) => {
+		const { content, data } = typeof template === 'string' ? { content: template } : template;
+
+		if (!context.scope) {
+			eleventyConfig.addTemplate(inputPath, content, data);
+			return;
+		}
+
+		// Scoped: inside the scope's directory, or tagged with its front-matter value
+		const { dir, key, value, name } = context.scope;
+		const layout = getScopedLayoutName(content, context.scope, context.layoutNames || []);
+		eleventyConfig.addTemplate(path.posix.join(dir || name, inputPath), content, {
+			...data,
+			...(layout ? { layout } : {}),
+			...(key ? { [key]: value } : {}),
+		});
+	});
+}
+
+/**
+ * Apply user overrides to theme helpers
+ *
+ * For each name-keyed helper type, a user override can:
+ * - replace the theme helper: a function
+ * - wrap the theme helper: { wrap: (themeHelper) => helper }
+ * - disable the theme helper: false
+ *
+ * Overrides for names the theme does not define are added as new helpers
+ * (replace) or reported as warnings (wrap, disable).
+ *
+ * @param {Object} helpers - Theme helpers
+ * @param {Object} [overrides] - User overrides keyed by helper type, then name
+ * @returns {Object} Helpers with overrides applied
+ * @throws {Error} If overrides contain an unknown type or an invalid value
+ *
+ * @example
+ * applyHelperOverrides(themeHelpers, {
+ *   filters: {
+ *     dateToFormat: (date, format) => myFormat(date, format),
+ *     obfuscate: false,
+ *     head: { wrap: (head) => (array, n) => head(array, n ?? 5) },
+ *   },
+ * });
+ */
+export function applyHelperOverrides(helpers, overrides = {}) {
+	const unknown = Object.keys(overrides).filter((type) => !HELPER_METHODS[type]);
+	if (unknown.length > 0) {
+		throw new Error(
+			`Cannot override theme helper type(s): ${unknown.join(', ')}\n` +
+				`  Overridable types: ${Object.keys(HELPER_METHODS).join(', ')}`,
+		);
+	}
+
+	const result = { ...helpers };
+
+	Object.entries(overrides).forEach(([type, typeOverrides]) => {
+		const themeHelpers = helpers[type] || {};
+		const effective = { ...themeHelpers };
+
+		Object.entries(typeOverrides || {}).forEach(([name, override]) => {
+			const themeHelper = themeHelpers[name];
+
+			if (typeof override === 'function') {
+				effective[name] = override;
+				return;
+			}
+
+			if (override !== false && typeof override?.wrap !== 'function') {
+				throw new Error(
+					`Invalid override for theme ${HELPER_LABELS[type]} "${name}"\n` +
+						`  Use a function (replace), { wrap: (themeHelper) => helper } (wrap) or false (disable).`,
+				);
+			}
+
+			if (!themeHelper) {
+				const suggestion = didYouMean(name, Object.keys(themeHelpers));
+				console.warn(
+					`⚠️  Theme has no ${HELPER_LABELS[type]} "${name}" to ${override === false ? 'disable' : 'wrap'}` +
+						(suggestion ? `. Did you mean "${suggestion}"?` : ''),
+				);
+				return;
+			}
+
+			if (override === false) {
+				delete effective[name];
+			} else {
+				effective[name] = override.wrap(themeHelper);
+			}
+		});
+
+		result[type] = effective;
+	});
+
+	return result;
+}
+
+/**
+ * Helper: Describe an existing registration under the same name
+ *
+ * @returns {string|null} Collision description, or null when the name is free
+ * @private
+ */
+function describeCollision(eleventyConfig, type, name, otherTheme = false) {
+	if (!REGISTRY_LOOKUPS[type](eleventyConfig, name)) {
+		return null;
+	}
+
+	const builtIns = ELEVENTY_BUILT_INS[type === 'asyncFilters' ? 'filters' : type] || [];
+	const owner = otherTheme
+		? 'another theme'
+		: builtIns.includes(name)
+			? 'an Eleventy built-in'
+			: 'another plugin or config call';
+	return `${HELPER_LABELS[type]} "${name}" collides with ${owner}`;
+}
+
+/**
+ * Helper: Check for a user data file with the given data name
+ *
+ * @private
+ */
+function hasUserDataFile(dataName, { projectRoot, overridePaths }) {
+	const dataDir = path.join(projectRoot, overridePaths.data);
+	return DATA_FILE_EXTENSIONS.some((extension) =>
+		fs.existsSync(path.join(dataDir, `${dataName}${extension}`)),
+	);
+}
@@ -10,18 +10,134 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 
 // Import for local use
-import { configureTemplateEngine as _configureTemplateEngine } from './template-loader.mjs';
+import {
+	configureTemplateEngine as _configureTemplateEngine,
+	getTemplateExtensions,
+} from './template-loader.mjs';
 import { resolveOverridePaths as _resolveOverridePaths } from './defaults.mjs';
-import { getThemeRoot } from './cascade/resolver.mjs';
+import { getThemeRoot, getThemeChain } from './cascade/resolver.mjs';
+import { configureFeatureBundles } from './cascade/bundles.mjs';
+import { normalizeBundleOptions } from './cascade/index.mjs';
+import { getCascadeReport, formatCascadeReport } from './cascade/report.mjs';
+import { registerHelpers } from './helpers.mjs';
+import { watchOverrides } from './watch.mjs';
+import { configurePageFeatures } from './page-features.mjs';
+import { configureAssetHelpers } from './asset-manifest.mjs';
+import { getSettingsSchema, resolveThemeSettings } from './settings.mjs';
+import {
+	getThemeScopes,
+	getScopedLayoutName,
+	normalizeScope,
+	SCOPED_LAYOUTS_DIR,
+} from './scope.mjs';
 
 // Re-export cascade utilities
 export * from './cascade/index.mjs';
 
 // Re-export template loader
-export { configureTemplateEngine, ThemeAwareLoader } from './template-loader.mjs';
+export {
+	configureTemplateEngine,
+	ThemeAwareLoader,
+	createThemeAwareLiquidFs,
+	resolveWebcComponents,
+	getTemplateExtensions,
+	TEMPLATE_EXTENSIONS,
+} from './template-loader.mjs';
+
+// Re-export helper registration
+export {
+	registerHelpers,
+	applyHelperOverrides,
+	HELPER_TYPES,
+	HELPER_METHODS,
+	ELEVENTY_BUILT_INS,
+} from './helpers.mjs';
 
 // Re-export validation
-export { validateTheme, logValidation, validateComponent } from './validate.mjs';
+export {
+	validateTheme,
+	validateThemeMetadata,
+	logValidation,
+	validateComponent,
+} from './validate.mjs';
+export { checkSchema, themeSchema, featureSchema } from './schema.mjs';
+export { didYouMean } from './suggest.mjs';
+
+// Re-export eject utilities
+export { ejectResource, EJECTABLE_TYPES } from './eject.mjs';
+
+// Re-export override drift detection
+export {
+	recordProvenance,
+	checkOverrideDrift,
+	readProvenance,
+	PROVENANCE_DIR,
+	ensureGeneratedDir,
+} from './provenance.mjs';
+export { createUnifiedDiff } from './diff.mjs';
+
+// Re-export theme settings
+export {
+	getSettingsSchema,
+	resolveThemeSettings,
+	checkSettingValue,
+	settingsToScss,
+	SETTING_TYPES,
+} from './settings.mjs';
+
+// Re-export design tokens
+export {
+	loadThemeTokens,
+	compileTokens,
+	writeThemeTokens,
+	TOKENS_FILE,
+	TOKENS_OUTPUT_DIR,
+	COLOR_SCHEMES,
+} from './tokens.mjs';
+
+// Re-export theme scopes
+export {
+	normalizeScope,
+	getThemeScopes,
+	scopeHelper,
+	getScopedLayoutName,
+	SCOPED_LAYOUTS_DIR,
+} from './scope.mjs';
+export { ScopedThemeLoader } from './template-loader.mjs';
+
+// Re-export page feature detection
+export {
+	configurePageFeatures,
+	getFeatureDetectors,
+	checkFeatureSelector,
+	detectPageFeatures,
+	resolvePageFeatures,
+	getFeaturePageConfig,
+	injectFeatureScripts,
+} from './page-features.mjs';
+export {
+	createFeatureEntry,
+	writeFeatureEntries,
+	FEATURE_ENTRIES_DIR,
+	FEATURE_CONFIG_ATTRIBUTE,
+} from './feature-entries.mjs';
+
+// Re-export asset manifest
+export {
+	configureAssetHelpers,
+	readAssetManifest,
+	writeAssetManifest,
+	resolveAsset,
+	renderAssetTags,
+	applyAssetManifest,
+	getDevAssetUrl,
+	ASSET_MANIFEST_FILE,
+	MAIN_SCRIPT,
+	MAIN_SCRIPT_URL,
+} from './asset-manifest.mjs';
+
+// Re-export watch support
+export { watchOverrides, WATCH_STATE_FILE } from './watch.mjs';
 
 // Re-export framework defaults
 export { DEFAULT_OVERRIDE_PATHS, DEFAULT_ASSET_ENTRIES, resolveOverridePaths } from './defaults.mjs';
@@ -85,7 +201,17 @@ export function generateDirConfig(themeMetadata, options = {}) {
  *
  * @param {Object} themeMetadata - Theme metadata from theme.json
  * @param {Object} options - Plugin options
- * @returns {Function} Eleventy plugin function
+ * @param {Object|Function} [options.helpers] - Theme helpers: filters, asyncFilters, shortcodes,
+ *   pairedShortcodes, transforms, collections, globalData, plugins, templates
+ *   (see registerHelpers). A function receives { settings } and returns the helpers.
+ * @param {boolean|string} [options.debug] - Log a cascade report at build start:
+ *   true or 'table' for a table, 'json' for JSON (users can also pass debug to addPlugin)
+ * @returns {Function} Eleventy plugin function. Users can pass `settings` to
+ *   addPlugin to set the options declared in theme.json (available to templates
+ *   as `theme.settings`), and `scope` to limit the theme to an input subdirectory
+ *   or front-matter value, so several themes can share a site (see normalizeScope).
+ *   `detectFeatures: false` turns off feature detection from rendered HTML.
+ *   `bundleFeatures` serves feature scripts without Vite (see configureFeatureBundles).
  */
 export function createThemePlugin(themeMetadata, options = {}) {
 	const {
@@ -96,60 +222,204 @@ export function createThemePlugin(themeMetadata, options = {}) {
 		const {
 			projectRoot = process.cwd(),
 			overridePaths,
+			helpers: helperOverrides,
+			debug = options.debug,
+			detectFeatures = true,
+			bundleFeatures = false,
 		} = userOptions;
+		const scope = normalizeScope(userOptions.scope);
 
 		// Resolve override paths using utility
 		const resolvedOverridePaths = _resolveOverridePaths(themeMetadata, overridePaths);
 
+		// Template languages declared in theme.json (njk always, plus liquid/webc)
+		const themeChain = getThemeChain(projectRoot, themeMetadata);
+		const templateExtensions = getTemplateExtensions(themeChain);
+
+		// Validate user settings against theme.json declarations
+		const settings = resolveThemeSettings(getSettingsSchema(themeChain), userOptions.settings, {
+			themeName: themeMetadata.name,
+		});
+
 		// Configure template loader
 		_configureTemplateEngine(eleventyConfig, {
 			projectRoot,
 			themeName: themeMetadata.name,
 			overridePaths: resolvedOverridePaths,
+			templateExtensions,
+			settings,
+			scope,
 		});
 
 		// Register layout aliases for theme layouts with cascade support
 		// This allows Eleventy to find theme layouts without hardcoding paths in user config
-		// User overrides take precedence over theme layouts
-		if (themeMetadata.layouts && Array.isArray(themeMetadata.layouts)) {
-			const themePackagePath = getThemeRoot(projectRoot, themeMetadata.name);
+		// User overrides take precedence over theme layouts, child themes over parents
+		const layouts = collectThemeLayouts(themeChain, templateExtensions);
+
+		if (layouts.size > 0) {
 			const userLayoutsPath = resolvedOverridePaths.layouts;
 
-			themeMetadata.layouts.forEach(layout => {
+			// Eleventy resolves aliases relative to the layouts (or includes) directory,
+			// which is final by the time plugins run
+			const directories = eleventyConfig.directories || {};
+			const layoutsDir = path.resolve(directories.layouts || directories.includes || '.');
+
+			layouts.forEach((layout) => {
 				const layoutFilename = path.basename(layout.path);
 
 				// Check for user override first (cascade: user-first)
 				const userOverridePath = path.join(projectRoot, userLayoutsPath, layoutFilename);
-				const themeLayoutPath = path.join(themePackagePath, layout.path);
 
-				// Use override if it exists, otherwise use theme layout
+				// Otherwise use the nearest theme in the chain that ships the file
+				const themeLayoutPath = themeChain
+					.map((theme) => path.join(theme.root, layout.path))
+					.find((candidate) => fs.existsSync(candidate));
+
 				const layoutPath = fs.existsSync(userOverridePath) ? userOverridePath : themeLayoutPath;
 
 				// Map layout name (e.g., "home") to the resolved path
-				eleventyConfig.addLayoutAlias(layout.name, layoutPath);
+				if (!layoutPath) return;
+
+				if (scope) {
+					registerScopedLayout(eleventyConfig, {
+						scope,
+						layout,
+						layoutPath,
+						layoutsDir,
+						layoutNames: [...layouts.keys()],
+					});
+				} else {
+					eleventyConfig.addLayoutAlias(layout.name, path.relative(layoutsDir, layoutPath));
+				}
 			});
 		}
 
 		// Configure cascade systems (passthrough copy, etc.)
 		// Note: The actual cascade resolution happens at runtime via the loader
 
-		// Register theme helpers (filters, shortcodes, transforms)
-		if (helpers.filters) {
-			Object.keys(helpers.filters).forEach(name => {
-				eleventyConfig.addFilter(name, helpers.filters[name]);
-			});
-		}
+		// asset/assetScript/featureScript helpers, hashed URLs from the build's asset manifest
+		const assets = configureAssetHelpers(eleventyConfig, projectRoot);
 
-		if (helpers.shortcodes) {
-			Object.keys(helpers.shortcodes).forEach(name => {
-				eleventyConfig.addShortcode(name, helpers.shortcodes[name]);
-			});
+		// Feature scripts for pages that use them (detected or set in front matter)
+		configurePageFeatures(eleventyConfig, {
+			projectRoot,
+			themeMetadata,
+			overridePaths: resolvedOverridePaths,
+			detect: detectFeatures,
+			scope,
+			assets,
+		});
+
+		// Serve /<feature>.js without Vite (esbuild or passthrough)
+		if (bundleFeatures) {
+			configureFeatureBundles(
+				eleventyConfig,
+				projectRoot,
+				themeMetadata,
+				resolvedOverridePaths,
+				{ settings, ...normalizeBundleOptions(bundleFeatures) },
+			);
 		}
 
-		if (helpers.transforms) {
-			Object.keys(helpers.transforms).forEach(name => {
-				eleventyConfig.addTransform(name, helpers.transforms[name]);
+		// Re-run the config when override files are added or removed (--watch/--serve)
+		watchOverrides(eleventyConfig, {
+			projectRoot,
+			overridePaths: resolvedOverridePaths,
+		});
+
+		// Explain cascade resolution at build start
+		if (debug) {
+			eleventyConfig.on('eleventy.before', () => {
+				const report = getCascadeReport(projectRoot, themeMetadata, overridePaths);
+				console.log(
+					debug === 'json'
+						? JSON.stringify(report, null, 2)
+						: formatCascadeReport(report, { projectRoot }),
+				);
 			});
 		}
+
+		// Register theme helpers (filters, collections, plugins, virtual templates, etc.)
+		// User options can replace, wrap or disable individual theme helpers
+		registerHelpers(eleventyConfig, typeof helpers === 'function' ? helpers({ settings }) : helpers, {
+			projectRoot,
+			overridePaths: resolvedOverridePaths,
+			overrides: helperOverrides,
+			scope,
+			scopes: getThemeScopes(eleventyConfig),
+			layoutNames: [...layouts.keys()],
+		});
 	};
 }
+
+/**
+ * Register a layout of a scoped theme
+ *
+ * Layout aliases are site-wide, so scoped themes get prefixed aliases
+ * ("docs/post"). The layout is registered as a virtual template in
+ * SCOPED_LAYOUTS_DIR so its own layout can point to the prefixed alias too.
+ *
+ * @private
+ */
+function registerScopedLayout(eleventyConfig, { scope, layout, layoutPath, layoutsDir, layoutNames }) {
+	const content = fs.readFileSync(layoutPath, 'utf-8');
+	const virtualPath = path.join(layoutsDir, SCOPED_LAYOUTS_DIR, scope.name, path.basename(layoutPath));
+
+	const chained = getScopedLayoutName(content, scope, layoutNames);
+	const data = chained ? { layout: chained } : undefined;
+
+	// Eleventy looks virtual layouts up relative to the input directory when
+	// they are inside it, and relative to the project otherwise
+	const toProjectPath = (filePath) => `./${path.relative('.', filePath).split(path.sep).join('/')}`;
+	const inputPrefix = `${toProjectPath(path.resolve(eleventyConfig.directories?.input || '.'))}/`;
+	const layoutKey = toProjectPath(virtualPath);
+
+	eleventyConfig.addTemplate(
+		layoutKey.startsWith(inputPrefix) ? layoutKey.slice(inputPrefix.length) : layoutKey,
+		content,
+		data,
+	);
+	eleventyConfig.addLayoutAlias(`${scope.name}/${layout.name}`, path.relative(layoutsDir, virtualPath));
+}
+
+/**
+ * Collect layout declarations across the theme inheritance chain
+ *
+ * Files in each theme's layouts/ directory with a declared template
+ * extension become layouts named after the file (post.liquid → "post").
+ * Layouts listed in theme.json win over discovered ones, and child themes
+ * replace parent layouts with the same name.
+ *
+ * @param {Array} themeChain - Result of getThemeChain() (child first)
+ * @param {string[]} templateExtensions - Template extensions to discover
+ * @returns {Map<string, Object>} Map of layout name to layout entry
+ * @private
+ */
+function collectThemeLayouts(themeChain, templateExtensions) {
+	const layouts = new Map();
+
+	[...themeChain].reverse().forEach((theme) => {
+		const layoutsDir = path.join(theme.root, 'layouts');
+		const files = fs.existsSync(layoutsDir) ? fs.readdirSync(layoutsDir) : [];
+
+		// Earlier extensions win a name clash (post.njk over post.liquid)
+		const discovered = new Map();
+		templateExtensions.forEach((extension) => {
+			files
+				.filter((file) => path.extname(file) === `.${extension}`)
+				.forEach((file) => {
+					const name = path.basename(file, path.extname(file));
+					if (!discovered.has(name)) {
+						discovered.set(name, { name, path: path.join('layouts', file) });
+					}
+				});
+		});
+		discovered.forEach((layout, name) => layouts.set(name, layout));
+
+		(theme.metadata?.layouts || []).forEach((layout) => {
+			layouts.set(layout.name, layout);
+		});
+	});
+
+	return layouts;
+}
@@ -0,0 +1,294 @@
+/**
+ * Page features
+ *
+ * Adds feature script tags (`<script type="module" src="/code-highlighting.js">`)
+ * to rendered pages that need them:
+ *
+ * - Detected: features declare a CSS selector in feature.json or theme.json
+ *   (`"detect": "pre[class*=\"language-\"]"`) and pages with a match get the feature.
+ * - Forced on: `pageFeature: gallery` or `pageFeatures: [gallery]` in front matter.
+ * - Forced off: `pageFeatures: { code-highlighting: false }` in front matter.
+ *
+ * Features listed in a feature's `dependsOn` are added before it. Front matter
+ * keys a feature's manifest maps to config (`"frontMatter": { "lineNumbers":
+ * "lineNumbers" }`) are passed to its `init()` in a JSON script tag.
+ */
+
+import path from 'path';
+import { parse } from 'node-html-parser';
+import {
+	getAvailableFeatures,
+	checkFeatureDependencies,
+	resolveFeatureDependencies,
+} from './cascade/features.mjs';
+import { FEATURE_CONFIG_ATTRIBUTE } from './feature-entries.mjs';
+import { getDevAssetUrl, resolveAsset, renderAssetTags } from './asset-manifest.mjs';
+import { getThemeScopes } from './scope.mjs';
+import { didYouMean } from './suggest.mjs';
+
+/**
+ * Collect feature detection selectors
+ *
+ * @param {Map<string, Object>} features - Result of getAvailableFeatures()
+ * @returns {Map<string, string>} Selector by feature name, for features that declare one
+ */
+export function getFeatureDetectors(features) {
+	const detectors = new Map();
+
+	features.forEach((feature, name) => {
+		if (feature.detect) {
+			detectors.set(name, feature.detect);
+		}
+	});
+
+	return detectors;
+}
+
+/**
+ * Check that a detection selector can be used
+ *
+ * @param {string} selector - CSS selector
+ * @returns {string|null} Problem description, or null when the selector is valid
+ */
+export function checkFeatureSelector(selector) {
+	try {
+		parse('').querySelector(selector);
+		return null;
+	} catch (error) {
+		return `Invalid selector "${selector}": ${error.message}`;
+	}
+}
+
+/**
+ * Find features whose detection selector matches an HTML document
+ *
+ * @param {string} html - Rendered HTML
+ * @param {Map<string, string>} detectors - Result of getFeatureDetectors()
+ * @returns {string[]} Matching feature names
+ *
+ * @example
+ * detectPageFeatures('<pre class="language-js">...</pre>', detectors);
+ * // ['code-highlighting']
+ */
+export function detectPageFeatures(html, detectors) {
+	if (detectors.size === 0) {
+		return [];
+	}
+
+	const root = parse(html);
+	return [...detectors]
+		.filter(([, selector]) => root.querySelector(selector))
+		.map(([name]) => name);
+}
+
+/**
+ * Combine detected features with front matter
+ *
+ * @param {Object} data - Page data (pageFeature, pageFeatures)
+ * @param {string[]} [detected] - Detected feature names
+ * @returns {string[]} Feature names for the page, forced features first
+ *
+ * @example
+ * resolvePageFeatures({ pageFeatures: { 'code-highlighting': false, gallery: true } }, ['code-highlighting']);
+ * // ['gallery']
+ */
+export function resolvePageFeatures(data = {}, detected = []) {
+	const { pageFeature, pageFeatures } = data;
+	const forced = {};
+
+	[pageFeature, pageFeatures].forEach((value) => {
+		if (typeof value === 'string') {
+			forced[value] = true;
+		} else if (Array.isArray(value)) {
+			value.forEach((name) => (forced[name] = true));
+		} else if (value && typeof value === 'object') {
+			Object.assign(forced, value);
+		}
+	});
+
+	const enabled = Object.keys(forced).filter((name) => forced[name]);
+	const features = [...enabled, ...detected.filter((name) => forced[name] !== false)];
+
+	return [...new Set(features)];
+}
+
+/**
+ * Get a feature's config for a page from front matter
+ *
+ * @param {Object} feature - Feature info from getAvailableFeatures()
+ * @param {Object} [data] - Page data
+ * @returns {Object} Config values set by the page (empty when none)
+ *
+ * @example
+ * // feature.json: { "frontMatter": { "lineNumbers": "lineNumbers" } }
+ * getFeaturePageConfig(feature, { lineNumbers: true });
+ * // { lineNumbers: true }
+ */
+export function getFeaturePageConfig(feature, data = {}) {
+	return Object.fromEntries(
+		Object.entries(feature.frontMatter || {})
+			.filter(([key]) => data[key] !== undefined)
+			.map(([key, configKey]) => [configKey, data[key]]),
+	);
+}
+
+/**
+ * Add feature script tags to an HTML document
+ *
+ * Features that already have a script tag are skipped. Tags go before
+ * `</body>` (or at the end). Page config goes in a JSON script tag before
+ * the feature's script. With an asset manifest, scripts point at the hashed
+ * files, with their stylesheets and modulepreload links.
+ *
+ * @param {string} html - Rendered HTML
+ * @param {string[]} features - Feature names
+ * @param {Object} [configs] - Page config by feature name
+ * @param {Object|null} [manifest] - Asset manifest (see readAssetManifest)
+ * @returns {string} HTML with script tags
+ */
+export function injectFeatureScripts(html, features, configs = {}, manifest = null) {
+	const tags = features
+		.filter((name) => {
+			const sources = [getDevAssetUrl(`${name}.js`), resolveAsset(`${name}.js`, manifest).file];
+			return !sources.some((src) => html.includes(`src="${src}"`));
+		})
+		.flatMap((name) => {
+			const config = configs[name];
+			const script = renderAssetTags(`${name}.js`, manifest).split('\n');
+			if (!config || Object.keys(config).length === 0) {
+				return script;
+			}
+
+			// Keep "</script>" in string values from closing the tag
+			const json = JSON.stringify(config).replace(/</g, '\\u003c');
+			return [`<script type="application/json" ${FEATURE_CONFIG_ATTRIBUTE}="${name}">${json}</script>`, ...script];
+		})
+		// Chunks and stylesheets shared with other scripts are linked once
+		.filter((tag, index, all) => {
+			const href = tag.startsWith('<link') && tag.match(/href="([^"]+)"/)?.[1];
+			return !href || (all.indexOf(tag) === index && !html.includes(`href="${href}"`));
+		});
+
+	if (tags.length === 0) {
+		return html;
+	}
+
+	const bodyEnd = html.lastIndexOf('</body>');
+	const insert = tags.join('\n') + '\n';
+
+	return bodyEnd === -1 ? html + insert : html.slice(0, bodyEnd) + insert + html.slice(bodyEnd);
+}
+
+/**
+ * Add feature script tags to rendered pages
+ *
+ * Called by createThemePlugin. Registers a preprocessor that records each
+ * page's front matter and a transform that adds the page's feature scripts,
+ * dependencies first, with their page config. Feature assets declared in
+ * feature.json are copied to `/features/<name>/`.
+ * With theme scopes, each theme handles its own pages.
+ *
+ * @param {Object} eleventyConfig - Eleventy configuration object
+ * @param {Object} options - Options
+ * @param {string} options.projectRoot - Project root path
+ * @param {Object} options.themeMetadata - Theme metadata object
+ * @param {Object} options.overridePaths - Resolved override paths
+ * @param {boolean} [options.detect] - Detect features from HTML (default: true)
+ * @param {Object|null} [options.scope] - Normalized theme scope
+ * @param {Object} [options.assets] - Asset manifest of the build (see configureAssetHelpers)
+ * @throws {Error} If feature dependencies are missing or circular
+ *
+ * @example
+ * configurePageFeatures(eleventyConfig, {
+ *   projectRoot: __dirname,
+ *   themeMetadata,
+ *   overridePaths: resolveOverridePaths(themeMetadata),
+ * });
+ */
+export function configurePageFeatures(eleventyConfig, options) {
+	const { projectRoot, themeMetadata, overridePaths, detect = true, scope = null, assets } = options;
+
+	const features = getAvailableFeatures(projectRoot, themeMetadata, overridePaths);
+	const detectors = detect ? getFeatureDetectors(features) : new Map();
+	const available = [...features.keys()];
+
+	// Front matter keys any feature reads config from
+	const configKeys = [...features.values()]
+		.filter((feature) => feature.autoInit)
+		.flatMap((feature) => Object.keys(feature.frontMatter));
+
+	const problems = checkFeatureDependencies(features);
+	if (problems.length > 0) {
+		throw new Error(
+			`Invalid feature dependencies:\n` +
+				problems.map((problem) => `  - ${problem.message}`).join('\n') +
+				`\n  Fix "dependsOn" in theme.json or in the feature's feature.json.`,
+		);
+	}
+
+	features.forEach((feature) => {
+		feature.assets.forEach((asset) => {
+			eleventyConfig.addPassthroughCopy({ [asset.path]: asset.output });
+		});
+	});
+
+	const scopes = getThemeScopes(eleventyConfig);
+	const name = scope ? `theme-page-features:${scope.name}` : 'theme-page-features';
+
+	// Transforms only see `page`, so keep the front matter they need
+	const pageData = new Map();
+	const warned = new Set();
+
+	eleventyConfig.addPreprocessor(name, '*', function (data) {
+		const recorded = Object.fromEntries(
+			['pageFeature', 'pageFeatures', ...configKeys]
+				.filter((key) => data[key] !== undefined)
+				.map((key) => [key, data[key]]),
+		);
+
+		if (Object.keys(recorded).length > 0) {
+			pageData.set(path.resolve(this.inputPath), recorded);
+		} else {
+			pageData.delete(path.resolve(this.inputPath));
+		}
+	});
+
+	eleventyConfig.addTransform(name, function (content) {
+		const { inputPath, outputPath } = this.page || {};
+		if (typeof outputPath !== 'string' || !outputPath.endsWith('.html')) {
+			return content;
+		}
+		if ((scopes.scopeFor(inputPath)?.name ?? null) !== (scope?.name ?? null)) {
+			return content;
+		}
+
+		const data = pageData.get(path.resolve(inputPath));
+		const pageFeatures = resolveFeatureDependencies(
+			resolvePageFeatures(data, detectPageFeatures(content, detectors)),
+			features,
+		);
+
+		pageFeatures
+			.filter((feature) => !available.includes(feature) && !warned.has(feature))
+			.forEach((feature) => {
+				warned.add(feature);
+				const suggestion = didYouMean(feature, available);
+				console.warn(
+					`⚠️  Feature "${feature}" (${inputPath}) not found` +
+						(suggestion ? `. Did you mean "${suggestion}"?` : '') +
+						`\n   Available features: ${available.join(', ') || 'none'}`,
+				);
+			});
+
+		// Unknown features have no script to load
+		const knownFeatures = pageFeatures.filter((feature) => features.has(feature));
+
+		const configs = Object.fromEntries(
+			knownFeatures
+				.filter((feature) => features.get(feature)?.autoInit)
+				.map((feature) => [feature, getFeaturePageConfig(features.get(feature), data)]),
+		);
+
+		return injectFeatureScripts(content, knownFeatures, configs, assets?.get() ?? null);
+	});
+}
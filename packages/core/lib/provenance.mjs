@@ -0,0 +1,220 @@
+/**
+ * Override provenance and drift detection
+ *
+ * Ejected files are recorded in .themer/provenance.json with the theme
+ * file they came from, the theme version and a content hash. A copy of the
+ * original is kept in .themer/originals/ so upstream changes can be shown
+ * as a unified diff after the theme is upgraded.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getThemeRoot, scanDirectoryRecursive } from './cascade/resolver.mjs';
+import { createUnifiedDiff } from './diff.mjs';
+
+/**
+ * Provenance directory, relative to the project root
+ */
+export const PROVENANCE_DIR = '.themer';
+
+/**
+ * Create a directory for generated files
+ *
+ * Adds a `.gitignore` ignoring everything in it, so generated files stay
+ * out of version control. An existing `.gitignore` is left alone.
+ *
+ * @param {string} dir - Absolute directory path
+ * @returns {string} The directory
+ *
+ * @example
+ * ensureGeneratedDir(path.join(projectRoot, PROVENANCE_DIR, 'tokens'));
+ */
+export function ensureGeneratedDir(dir) {
+	fs.mkdirSync(dir, { recursive: true });
+
+	const gitignore = path.join(dir, '.gitignore');
+	if (!fs.existsSync(gitignore)) {
+		fs.writeFileSync(gitignore, '*\n');
+	}
+
+	return dir;
+}
+
+const MANIFEST_FILE = 'provenance.json';
+const ORIGINALS_DIR = 'originals';
+
+/**
+ * Record provenance for an ejected file or directory
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Object} ejection - Ejected resource
+ * @param {string} ejection.source - Absolute theme path that was copied
+ * @param {string} ejection.destination - Absolute user path it was copied to
+ * @param {string} ejection.theme - Theme package name that provided the file
+ * @returns {Object[]} Recorded entries (one per file)
+ *
+ * @example
+ * recordProvenance(__dirname, ejectResource('layout', 'post', __dirname, metadata));
+ */
+export function recordProvenance(projectRoot, { source, destination, theme }) {
+	const themeRoot = getThemeRoot(projectRoot, theme);
+	const version = getThemeVersion(themeRoot);
+	const manifest = readProvenance(projectRoot);
+
+	const files = fs.statSync(source).isDirectory()
+		? scanDirectoryRecursive(source).map((relative) => ({
+				source: path.join(source, relative),
+				destination: path.join(destination, relative),
+			}))
+		: [{ source, destination }];
+
+	const entries = files.map((file) => {
+		const content = fs.readFileSync(file.source);
+		const key = toPosix(path.relative(projectRoot, file.destination));
+
+		const entry = {
+			source: toPosix(path.relative(themeRoot, file.source)),
+			theme,
+			version,
+			hash: hashContent(content),
+			ejectedAt: new Date().toISOString(),
+		};
+
+		// Keep the original so upstream changes can be diffed later
+		const originalPath = path.join(projectRoot, PROVENANCE_DIR, ORIGINALS_DIR, key);
+		fs.mkdirSync(path.dirname(originalPath), { recursive: true });
+		fs.writeFileSync(originalPath, content);
+
+		manifest[key] = entry;
+		return { file: key, ...entry };
+	});
+
+	writeProvenance(projectRoot, manifest);
+	return entries;
+}
+
+/**
+ * Compare ejected overrides with the installed theme
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.diff] - Include unified diffs for stale files (default: true)
+ * @returns {Array<Object>} One report per ejected file:
+ *   { file, source, theme, ejectedVersion, currentVersion, status, diff? }
+ *   Status is:
+ *   - 'current': theme file unchanged since eject
+ *   - 'stale': theme file changed since eject
+ *   - 'removed': theme no longer ships the file
+ *
+ * @example
+ * checkOverrideDrift(__dirname)
+ *   .filter((report) => report.status === 'stale')
+ *   .forEach((report) => console.log(report.diff));
+ */
+export function checkOverrideDrift(projectRoot, options = {}) {
+	const { diff = true } = options;
+	const manifest = readProvenance(projectRoot);
+
+	return Object.entries(manifest)
+		.filter(([file]) => fs.existsSync(path.join(projectRoot, file)))
+		.map(([file, entry]) => {
+			const themeRoot = getThemeRoot(projectRoot, entry.theme);
+			const sourcePath = path.join(themeRoot, entry.source);
+			const report = {
+				file,
+				source: entry.source,
+				theme: entry.theme,
+				ejectedVersion: entry.version,
+				currentVersion: getThemeVersion(themeRoot),
+			};
+
+			if (!fs.existsSync(sourcePath)) {
+				return { ...report, status: 'removed' };
+			}
+
+			const current = fs.readFileSync(sourcePath);
+			if (hashContent(current) === entry.hash) {
+				return { ...report, status: 'current' };
+			}
+
+			const stale = { ...report, status: 'stale' };
+			const originalPath = path.join(projectRoot, PROVENANCE_DIR, ORIGINALS_DIR, file);
+
+			if (diff && fs.existsSync(originalPath)) {
+				stale.diff = createUnifiedDiff(
+					fs.readFileSync(originalPath, 'utf-8'),
+					current.toString('utf-8'),
+					{
+						oldLabel: `${entry.source} (${entry.version}, ejected)`,
+						newLabel: `${entry.source} (${report.currentVersion}, installed)`,
+					},
+				);
+			}
+
+			return stale;
+		});
+}
+
+/**
+ * Read the provenance manifest
+ *
+ * @param {string} projectRoot - Project root path
+ * @returns {Object} Map of project-relative file path to provenance entry
+ */
+export function readProvenance(projectRoot) {
+	const manifestPath = path.join(projectRoot, PROVENANCE_DIR, MANIFEST_FILE);
+	if (!fs.existsSync(manifestPath)) {
+		return {};
+	}
+
+	return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
+
+/**
+ * Helper: Write the provenance manifest (sorted for stable diffs)
+ *
+ * @private
+ */
+function writeProvenance(projectRoot, manifest) {
+	const manifestPath = path.join(projectRoot, PROVENANCE_DIR, MANIFEST_FILE);
+	const sorted = Object.fromEntries(
+		Object.keys(manifest)
+			.sort()
+			.map((key) => [key, manifest[key]]),
+	);
+
+	fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+	fs.writeFileSync(manifestPath, JSON.stringify(sorted, null, '\t') + '\n');
+}
+
+/**
+ * Helper: Installed theme version (package.json, then theme.json)
+ *
+ * @private
+ */
+function getThemeVersion(themeRoot) {
+	for (const file of ['package.json', 'theme.json']) {
+		const filePath = path.join(themeRoot, file);
+		if (fs.existsSync(filePath)) {
+			const { version } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+			if (version) return version;
+		}
+	}
+
+	return 'unknown';
+}
+
+/**
+ * @private
+ */
+function hashContent(content) {
+	return `sha256-${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * @private
+ */
+function toPosix(filePath) {
+	return filePath.split(path.sep).join('/');
+}
@@ -0,0 +1,197 @@
+/**
+ * Minimal JSON Schema checker for theme.json and feature.json
+ *
+ * Supports the draft-07 keywords used by the bundled schemas:
+ * type, required, properties, additionalProperties, items, uniqueItems,
+ * enum, pattern, minLength and anyOf. Keeps core free of dependencies.
+ */
+
+import themeSchema from '../schema/theme.json' with { type: 'json' };
+import featureSchema from '../schema/feature.json' with { type: 'json' };
+import { didYouMean } from './suggest.mjs';
+
+export { themeSchema, featureSchema };
+
+/**
+ * Check a value against a JSON Schema
+ *
+ * @param {*} value - Value to check
+ * @param {Object} [schema] - JSON Schema (default: bundled theme.json schema)
+ * @param {string} [pointer] - JSON pointer of value (internal)
+ * @returns {Array<{ pointer: string, message: string, suggestion?: string }>}
+ *   Empty array when value matches
+ *
+ * @example
+ * const issues = checkSchema(themeMetadata);
+ * // [{ pointer: '/themeFeature', message: 'Unknown property "themeFeature"',
+ * //    suggestion: 'themeFeatures' }]
+ */
+export function checkSchema(value, schema = themeSchema, pointer = '') {
+	if (schema.anyOf) {
+		return checkAnyOf(value, schema.anyOf, pointer);
+	}
+
+	if (schema.type && !matchesType(value, schema.type)) {
+		return [
+			{
+				pointer,
+				message: `Expected ${schema.type}, got ${describeType(value)}`,
+			},
+		];
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		return [
+			{
+				pointer,
+				message:
+					`Invalid value ${JSON.stringify(value)}, ` +
+					`expected one of: ${schema.enum.join(', ')}`,
+				suggestion: didYouMean(value, schema.enum) || undefined,
+			},
+		];
+	}
+
+	const issues = [];
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			issues.push({ pointer, message: 'Must not be empty' });
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			issues.push({
+				pointer,
+				message: `Value "${value}" does not match pattern ${schema.pattern}`,
+			});
+		}
+	}
+
+	if (Array.isArray(value) && schema.uniqueItems) {
+		// Items are compared by their JSON
+		const seen = new Set();
+		value.forEach((item, index) => {
+			const json = JSON.stringify(item);
+			if (seen.has(json)) {
+				issues.push({
+					pointer: `${pointer}/${index}`,
+					message: `Duplicate item ${json}`,
+				});
+			}
+			seen.add(json);
+		});
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		value.forEach((item, index) => {
+			issues.push(...checkSchema(item, schema.items, `${pointer}/${index}`));
+		});
+	}
+
+	if (isObject(value)) {
+		issues.push(...checkObject(value, schema, pointer));
+	}
+
+	return issues;
+}
+
+/**
+ * Format a JSON pointer segment (RFC 6901 escaping)
+ *
+ * @param {string} segment - Property name
+ * @returns {string} Escaped segment
+ */
+export function escapePointer(segment) {
+	return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * @private
+ */
+function checkObject(value, schema, pointer) {
+	const issues = [];
+	const properties = schema.properties || {};
+	const knownKeys = Object.keys(properties);
+
+	(schema.required || []).forEach((key) => {
+		if (value[key] === undefined) {
+			issues.push({
+				pointer: `${pointer}/${escapePointer(key)}`,
+				message: `Missing required property "${key}"`,
+			});
+		}
+	});
+
+	Object.keys(value).forEach((key) => {
+		const childPointer = `${pointer}/${escapePointer(key)}`;
+
+		if (properties[key]) {
+			issues.push(...checkSchema(value[key], properties[key], childPointer));
+		} else if (schema.additionalProperties === false) {
+			issues.push({
+				pointer: childPointer,
+				message: `Unknown property "${key}"`,
+				suggestion: didYouMean(key, knownKeys) || undefined,
+			});
+		} else if (isObject(schema.additionalProperties)) {
+			issues.push(
+				...checkSchema(value[key], schema.additionalProperties, childPointer),
+			);
+		}
+	});
+
+	return issues;
+}
+
+/**
+ * Report the issues of the closest matching branch
+ *
+ * @private
+ */
+function checkAnyOf(value, branches, pointer) {
+	const results = branches.map((branch) => checkSchema(value, branch, pointer));
+
+	if (results.some((issues) => issues.length === 0)) {
+		return [];
+	}
+
+	// Prefer a branch whose type matched - its issues are the most specific
+	const typed = branches.findIndex(
+		(branch) => branch.type && matchesType(value, branch.type),
+	);
+
+	return typed >= 0 ? results[typed] : results[0];
+}
+
+/**
+ * @private
+ */
+function matchesType(value, type) {
+	switch (type) {
+		case 'object':
+			return isObject(value);
+		case 'array':
+			return Array.isArray(value);
+		case 'integer':
+			return Number.isInteger(value);
+		case 'null':
+			return value === null;
+		default:
+			return typeof value === type;
+	}
+}
+
+/**
+ * @private
+ */
+function describeType(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	return typeof value;
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
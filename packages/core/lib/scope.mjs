@@ -0,0 +1,228 @@
+/**
+ * Theme scopes
+ *
+ * Several theme plugins can share one site, each scoped to an input
+ * subdirectory or a front-matter value. Eleventy has one Nunjucks library,
+ * one set of layout aliases and one filter namespace, so the theme plugins
+ * of a site share a scope registry that decides which theme a template or
+ * page belongs to.
+ */
+
+import path from 'path';
+
+/**
+ * Directory (inside the layouts directory) for virtual copies of scoped theme layouts
+ */
+export const SCOPED_LAYOUTS_DIR = '.theme-scopes';
+
+const registries = new WeakMap();
+
+/**
+ * Normalize a theme scope option
+ *
+ * @param {string|Object} [scope] - Input subdirectory, { dir }, or { key, value }
+ *   for pages whose front matter sets `key: value`. `name` (default: dir or
+ *   value) prefixes the theme's layout aliases.
+ * @returns {Object|null} { name, dir } or { name, key, value }, null when unscoped
+ * @throws {Error} If the scope option is invalid
+ *
+ * @example
+ * normalizeScope('docs');                          // { name: 'docs', dir: 'docs' }
+ * normalizeScope({ key: 'theme', value: 'docs' }); // { name: 'docs', key: 'theme', value: 'docs' }
+ */
+export function normalizeScope(scope) {
+	if (scope === undefined || scope === null) {
+		return null;
+	}
+
+	const { name, dir, key, value } = typeof scope === 'string' ? { dir: scope } : scope;
+
+	if (dir && !key) {
+		const normalizedDir = dir.replace(/^\.\//, '').replace(/\/+$/, '');
+		return { name: name || normalizedDir, dir: normalizedDir };
+	}
+	if (key && value !== undefined && !dir) {
+		return { name: name || String(value), key, value };
+	}
+
+	throw new Error(
+		`Invalid theme scope: ${JSON.stringify(scope)}\n` +
+			`  Use an input subdirectory ('docs' or { dir: 'docs' }) or a front-matter value ({ key: 'theme', value: 'docs' }).`,
+	);
+}
+
+/**
+ * Get the theme scope registry for an Eleventy config
+ *
+ * Created on first use. Each theme plugin adds an entry:
+ * { name, themeName, scope, loader, roots } where name is null for an unscoped theme and
+ * roots are the directories whose templates belong to the theme.
+ *
+ * @param {Object} eleventyConfig - Eleventy configuration object
+ * @returns {Object} Registry with add(), entries, environment, scopeFor(),
+ *   loaderFor(), hasScopes(), markThemeEntry() and isThemeEntry()
+ */
+export function getThemeScopes(eleventyConfig) {
+	if (!registries.has(eleventyConfig)) {
+		registries.set(eleventyConfig, createScopeRegistry(eleventyConfig));
+	}
+
+	return registries.get(eleventyConfig);
+}
+
+/**
+ * Wrap a theme helper so it only applies to pages in its scope
+ *
+ * Pages outside the scope get the helper registered before it (another
+ * theme's, or the user's), or this one when there is nothing else.
+ *
+ * @param {Object} scopes - Result of getThemeScopes()
+ * @param {string|null} scopeName - Scope the helper belongs to (null: unscoped theme)
+ * @param {Function} helper - Theme helper
+ * @param {Function} [fallback] - Helper registered before this one
+ * @returns {Function} Scoped helper (async when the theme helper is)
+ */
+export function scopeHelper(scopes, scopeName, helper, fallback) {
+	const pick = (page) =>
+		(scopes.scopeFor(page?.inputPath)?.name ?? null) === scopeName ? helper : fallback || helper;
+
+	// Eleventy checks for async functions to pick the async filter API
+	return helper.constructor.name === 'AsyncFunction'
+		? async function (...args) {
+				return pick(this?.page).apply(this, args);
+			}
+		: function (...args) {
+				return pick(this?.page).apply(this, args);
+			};
+}
+
+/**
+ * Prefixed alias for the theme layout a template chains to
+ *
+ * Theme templates name their layout by file or alias (`layout: base.njk`),
+ * which Eleventy resolves in the site's one layouts directory. Scoped themes
+ * register their layouts under prefixed aliases instead.
+ *
+ * @param {string} content - Template source with front matter
+ * @param {Object} scope - Normalized scope
+ * @param {string[]} layoutNames - Layout names of the theme
+ * @returns {string|null} e.g. 'docs/base', or null when the layout is not the theme's
+ */
+export function getScopedLayoutName(content, scope, layoutNames) {
+	const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---/)?.[1] || '';
+	const layout = frontMatter.match(/^layout:\s*["']?([^"'\r\n]+?)["']?\s*$/m)?.[1];
+	const name = layout && path.basename(layout, path.extname(layout));
+
+	return layoutNames.includes(name) ? `${scope.name}/${name}` : null;
+}
+
+/**
+ * Helper: Create the registry for one Eleventy config
+ *
+ * @private
+ */
+function createScopeRegistry(eleventyConfig) {
+	const entries = [];
+	const pageScopes = new Map();
+	const themeEntries = new WeakSet();
+	let preprocessing = false;
+
+	const isInside = (filePath, dir) => filePath === dir || filePath.startsWith(dir + path.sep);
+
+	const registry = {
+		entries,
+
+		/**
+		 * Shared Nunjucks environment (set by configureTemplateEngine)
+		 */
+		environment: null,
+
+		/**
+		 * Add a theme: { name, themeName, scope, loader, roots }
+		 */
+		add(entry) {
+			const existing = entries.find((other) => other.name === entry.name);
+			if (existing) {
+				throw new Error(
+					entry.name
+						? `Theme scope "${entry.name}" is used by ${existing.themeName} and ${entry.themeName}\n` +
+								`  Give each theme plugin its own scope (and scope.name).`
+						: `Only one theme plugin can be unscoped (${existing.themeName} and ${entry.themeName})\n` +
+								`  Pass a scope option to the other theme plugins.`,
+				);
+			}
+
+			entries.push({ ...entry, roots: entry.roots.map((root) => path.resolve(root)) });
+
+			if (entry.scope && !preprocessing) {
+				preprocessing = true;
+				eleventyConfig.addPreprocessor('theme-scopes', '*', function (data) {
+					// Eleventy lists virtual layouts outside the input directory as pages too
+					if (this.inputPath.split('/').includes(SCOPED_LAYOUTS_DIR)) {
+						return false;
+					}
+
+					// Front-matter scopes are known once Eleventy has the page data
+					const scoped = entries.find(
+						(candidate) => candidate.scope?.key && data[candidate.scope.key] === candidate.scope.value,
+					);
+					if (scoped) {
+						pageScopes.set(path.resolve(this.inputPath), scoped);
+					}
+				});
+			}
+		},
+
+		/**
+		 * Theme entry a page or template belongs to (null: none)
+		 */
+		scopeFor(filePath) {
+			if (!filePath) return null;
+
+			const absolute = path.resolve(filePath);
+			if (pageScopes.has(absolute)) {
+				return pageScopes.get(absolute);
+			}
+
+			// Most specific root wins (docs/ over the input directory)
+			let match = null;
+			let matchLength = -1;
+			entries.forEach((entry) => {
+				entry.roots
+					.filter((root) => isInside(absolute, root) && root.length > matchLength)
+					.forEach((root) => {
+						match = entry;
+						matchLength = root.length;
+					});
+			});
+
+			return match;
+		},
+
+		/**
+		 * Template loader for lookups made by a template (unscoped theme by default)
+		 */
+		loaderFor(filePath) {
+			const entry =
+				registry.scopeFor(filePath) || entries.find((candidate) => !candidate.name) || entries[0];
+			return entry?.loader;
+		},
+
+		hasScopes() {
+			return entries.some((entry) => entry.name);
+		},
+
+		/**
+		 * Remember helpers registered by theme plugins (by Eleventy registry entry)
+		 */
+		markThemeEntry(entry) {
+			if (entry) themeEntries.add(entry);
+		},
+
+		isThemeEntry(entry) {
+			return Boolean(entry) && themeEntries.has(entry);
+		},
+	};
+
+	return registry;
+}
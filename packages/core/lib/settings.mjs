@@ -0,0 +1,179 @@
+/**
+ * Theme settings
+ *
+ * Themes declare configurable options in theme.json `settings`:
+ *
+ *   "settings": {
+ *     "dateFormat": { "type": "string", "default": "LLLL yyyy", "description": "..." }
+ *   }
+ *
+ * Users pass values when adding the theme plugin. Values are validated
+ * against the declarations and merged over the defaults.
+ */
+
+import { didYouMean } from './suggest.mjs';
+
+/**
+ * Supported setting types
+ */
+export const SETTING_TYPES = ['string', 'number', 'boolean', 'color', 'array'];
+
+/**
+ * Hex colours, CSS colour functions and named colours
+ * @private
+ */
+const COLOR_PATTERN =
+	/^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgb|rgba|hsl|hsla|hwb|lab|lch|oklab|oklch|color)\(.+\)|[a-z]+)$/i;
+
+/**
+ * Collect setting declarations across the theme inheritance chain
+ *
+ * Child themes add settings and can redeclare a parent setting (for example
+ * to change its default).
+ *
+ * @param {Array} themeChain - Result of getThemeChain() (child first)
+ * @returns {Object} Setting declarations by name
+ */
+export function getSettingsSchema(themeChain) {
+	return [...themeChain].reverse().reduce(
+		(schema, theme) => ({ ...schema, ...(theme.metadata?.settings || {}) }),
+		{},
+	);
+}
+
+/**
+ * Check a value against a setting declaration
+ *
+ * @param {Object} declaration - Setting declaration ({ type, enum })
+ * @param {*} value - Value to check
+ * @returns {string|null} Problem description, or null when the value is valid
+ */
+export function checkSettingValue(declaration, value) {
+	const { type, enum: allowed } = declaration;
+
+	const matches = {
+		string: typeof value === 'string',
+		number: typeof value === 'number' && Number.isFinite(value),
+		boolean: typeof value === 'boolean',
+		color: typeof value === 'string' && COLOR_PATTERN.test(value.trim()),
+		array: Array.isArray(value),
+	}[type];
+
+	if (!matches) {
+		return `Expected ${type}, got ${JSON.stringify(value)}`;
+	}
+
+	if (Array.isArray(allowed) && !allowed.includes(value)) {
+		return `Invalid value ${JSON.stringify(value)}, expected one of: ${allowed.join(', ')}`;
+	}
+
+	return null;
+}
+
+/**
+ * Validate user values and merge them over setting defaults
+ *
+ * @param {Object} schema - Setting declarations (see getSettingsSchema)
+ * @param {Object} [values] - User values by setting name
+ * @param {Object} [options] - Options
+ * @param {string} [options.themeName] - Theme name for error messages
+ * @returns {Object} Frozen settings object with every declared setting
+ * @throws {Error} If a value is unknown or does not match its declaration
+ *
+ * @example
+ * const settings = resolveThemeSettings(getSettingsSchema(themeChain), {
+ *   dateFormat: 'dd LLL yyyy',
+ * });
+ * settings.dateFormat; // 'dd LLL yyyy'
+ * settings.showNavigation; // true (theme default)
+ */
+export function resolveThemeSettings(schema, values = {}, options = {}) {
+	const { themeName = 'theme' } = options;
+	const names = Object.keys(schema);
+	const problems = [];
+
+	Object.entries(values).forEach(([name, value]) => {
+		if (!schema[name]) {
+			const suggestion = didYouMean(name, names);
+			problems.push(
+				`${name}: Unknown setting` + (suggestion ? `. Did you mean "${suggestion}"?` : ''),
+			);
+			return;
+		}
+
+		const problem = value === undefined ? null : checkSettingValue(schema[name], value);
+		if (problem) {
+			problems.push(`${name}: ${problem}`);
+		}
+	});
+
+	if (problems.length > 0) {
+		throw new Error(
+			`Invalid settings for ${themeName}:\n` +
+				problems.map((problem) => `  - ${problem}`).join('\n') +
+				(names.length > 0 ? `\n  Available settings: ${names.join(', ')}` : ''),
+		);
+	}
+
+	const settings = {};
+	names.forEach((name) => {
+		settings[name] = values[name] !== undefined ? values[name] : schema[name].default;
+	});
+
+	return Object.freeze(settings);
+}
+
+/**
+ * Format settings as SCSS variables
+ *
+ * Each setting becomes `$setting-<kebab-name>`, and `$theme-settings` holds
+ * all of them as a map. Settings without a value are skipped.
+ *
+ * @param {Object} settings - Resolved settings (see resolveThemeSettings)
+ * @param {Object} schema - Setting declarations (see getSettingsSchema)
+ * @returns {string} SCSS source
+ *
+ * @example
+ * settingsToScss({ linkColor: '#082840' }, { linkColor: { type: 'color' } });
+ * // $setting-link-color: #082840;
+ * // $theme-settings: ('link-color': #082840);
+ */
+export function settingsToScss(settings, schema) {
+	const entries = Object.entries(settings)
+		.filter(([, value]) => value !== undefined && value !== null)
+		.map(([name, value]) => [toKebabCase(name), toScssValue(value, schema[name]?.type)]);
+
+	if (entries.length === 0) {
+		return '';
+	}
+
+	return (
+		entries.map(([name, value]) => `$setting-${name}: ${value};\n`).join('') +
+		`$theme-settings: (${entries.map(([name, value]) => `'${name}': ${value}`).join(', ')});\n`
+	);
+}
+
+/**
+ * Helper: camelCase setting name to kebab-case variable name
+ *
+ * @private
+ */
+function toKebabCase(name) {
+	return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[_\s]+/g, '-').toLowerCase();
+}
+
+/**
+ * Helper: Format a setting value as an SCSS expression
+ *
+ * @private
+ */
+function toScssValue(value, type) {
+	if (Array.isArray(value)) {
+		return `(${value.map((item) => toScssValue(item)).join(', ')}${value.length === 1 ? ',' : ''})`;
+	}
+	if (type === 'color' || typeof value === 'number' || typeof value === 'boolean') {
+		return String(value);
+	}
+
+	return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
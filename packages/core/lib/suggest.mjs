@@ -0,0 +1,69 @@
+/**
+ * "Did you mean" suggestions for validation messages
+ */
+
+/**
+ * Find the closest candidate to a mistyped value
+ *
+ * @param {string} input - Value that failed to match
+ * @param {Iterable<string>} candidates - Valid values
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxDistance] - Maximum edit distance
+ *   (default: a third of the input length, at least 2)
+ * @returns {string|null} Closest candidate or null if none is close enough
+ *
+ * @example
+ * didYouMean('themeFeature', ['themeFeatures', 'layouts']);
+ * // 'themeFeatures'
+ */
+export function didYouMean(input, candidates, options = {}) {
+	const {
+		maxDistance = Math.max(2, Math.floor(String(input).length / 3)),
+	} = options;
+
+	let best = null;
+	let bestDistance = Infinity;
+
+	for (const candidate of candidates) {
+		const distance = levenshtein(
+			String(input).toLowerCase(),
+			String(candidate).toLowerCase(),
+		);
+
+		if (distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	}
+
+	return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * Edit distance between two strings
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ * @private
+ */
+function levenshtein(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + cost,
+			);
+		}
+
+		previous = current;
+	}
+
+	return previous[b.length];
+}
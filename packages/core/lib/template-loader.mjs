@@ -1,51 +1,268 @@
 import Nunjucks from 'nunjucks';
+import fs from 'fs';
 import path from 'path';
-import { getThemeRoot } from './cascade/resolver.mjs';
+import { createRequire } from 'module';
+import { getThemeRoots } from './cascade/resolver.mjs';
+import { getThemeScopes, normalizeScope, SCOPED_LAYOUTS_DIR } from './scope.mjs';
+
+const THEME_PREFIX = '@theme/';
+const PARENT_PREFIX = '@parent/';
+
+/**
+ * Template languages with cascade support
+ */
+export const TEMPLATE_EXTENSIONS = ['njk', 'liquid', 'webc'];
 
 /**
- * Custom Nunjucks loader that supports @theme/ prefix
+ * Custom Nunjucks loader that supports @theme/ and @parent/ prefixes
  * and implements cascade resolution for layouts, partials, and includes.
  *
  * Resolution order:
- * 1. @theme/ prefix → theme package directory (explicit)
- * 2. User overrides directory (checked first for non-prefixed)
- * 3. Theme directory (fallback for non-prefixed)
+ * 1. @theme/ prefix → theme chain (child theme, then its parents)
+ * 2. @parent/ prefix → theme chain below the template doing the lookup
+ * 3. User overrides directory (checked first for non-prefixed)
+ * 4. Theme directories (fallback for non-prefixed, child theme first)
  */
 export class ThemeAwareLoader extends Nunjucks.FileSystemLoader {
-	constructor(searchPaths, opts, themeBasePath) {
+	constructor(searchPaths, opts, themeBasePaths) {
 		super(searchPaths, opts);
-		this.themeBasePath = themeBasePath;
+		this.themeBasePaths = Array.isArray(themeBasePaths)
+			? themeBasePaths
+			: [themeBasePaths];
+		this.themeBasePath = this.themeBasePaths[0];
+	}
+
+	/**
+	 * Treat @parent/ as relative so Nunjucks passes the calling template
+	 * to resolve()
+	 */
+	isRelative(filename) {
+		return filename.startsWith(PARENT_PREFIX) || super.isRelative(filename);
+	}
+
+	resolve(from, to) {
+		if (!to.startsWith(PARENT_PREFIX)) {
+			return super.resolve(from, to);
+		}
+
+		// Only search themes below the one that owns the calling template.
+		// Templates outside the chain (user overrides) start at the child theme.
+		const fromPath = path.resolve(from);
+		const ownerIndex = this.themeBasePaths.findIndex((root) =>
+			fromPath.startsWith(path.resolve(root) + path.sep),
+		);
+
+		return (
+			this.findInThemes(to.slice(PARENT_PREFIX.length), ownerIndex + 1) || to
+		);
 	}
 
 	getSource(name) {
 		// Handle @theme/ prefix - explicit theme reference
-		if (name.startsWith('@theme/')) {
-			const themePath = name.replace('@theme/', '');
-			const fullPath = path.join(this.themeBasePath, themePath);
-			return super.getSource(fullPath);
+		if (name.startsWith(THEME_PREFIX)) {
+			const fullPath = this.findInThemes(name.slice(THEME_PREFIX.length));
+			return fullPath ? super.getSource(fullPath) : null;
+		}
+
+		// Unresolved @parent/ (no calling template) - skip the child theme
+		if (name.startsWith(PARENT_PREFIX)) {
+			const fullPath = this.findInThemes(name.slice(PARENT_PREFIX.length), 1);
+			return fullPath ? super.getSource(fullPath) : null;
 		}
 
 		// Default behavior: cascade through search paths
-		// (user overrides checked first, then theme)
+		// (user overrides checked first, then themes)
 		return super.getSource(name);
 	}
+
+	/**
+	 * Find the file a template name refers to
+	 *
+	 * @param {string} name - Template name, @theme/ or @parent/ path, or absolute path
+	 * @returns {string|null} Absolute path of first match
+	 */
+	findTemplate(name) {
+		if (name.startsWith(THEME_PREFIX)) {
+			return this.findInThemes(name.slice(THEME_PREFIX.length));
+		}
+		if (name.startsWith(PARENT_PREFIX)) {
+			return this.findInThemes(name.slice(PARENT_PREFIX.length), 1);
+		}
+		if (path.isAbsolute(name)) {
+			return fs.existsSync(name) ? name : null;
+		}
+
+		for (const searchPath of this.searchPaths) {
+			const basePath = path.resolve(searchPath);
+			const fullPath = path.resolve(searchPath, name);
+			if (fullPath.startsWith(basePath + path.sep) && fs.existsSync(fullPath)) {
+				return fullPath;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Find a theme-relative file in the theme chain
+	 *
+	 * @param {string} relativePath - Path relative to a theme root
+	 * @param {number} [startIndex] - First chain position to check
+	 * @returns {string|null} Absolute path of first match
+	 * @private
+	 */
+	findInThemes(relativePath, startIndex = 0) {
+		return findInThemes(this.themeBasePaths, relativePath, startIndex);
+	}
+}
+
+/**
+ * Nunjucks loader shared by the theme plugins of a site
+ *
+ * Eleventy has a single Nunjucks library, so every lookup is resolved
+ * against the calling template: pages and layouts of a scoped theme use that
+ * theme's ThemeAwareLoader, everything else the unscoped theme's.
+ */
+export class ScopedThemeLoader extends Nunjucks.FileSystemLoader {
+	constructor(scopes, opts = {}) {
+		super([], opts);
+		this.scopes = scopes;
+	}
+
+	/**
+	 * Treat every name as relative so Nunjucks passes the calling template
+	 * to resolve()
+	 */
+	isRelative() {
+		return true;
+	}
+
+	resolve(from, to) {
+		const loader = this.scopes.loaderFor(from);
+		if (!loader) return to;
+
+		const name = loader.isRelative(to) ? loader.resolve(from, to) : to;
+		return loader.findTemplate(name) || name;
+	}
+
+	getSource(name) {
+		// Lookups without a calling template
+		if (!path.isAbsolute(name)) {
+			const fullPath = this.scopes.loaderFor(null)?.findTemplate(name);
+			return fullPath ? this.getSource(fullPath) : null;
+		}
+
+		if (!fs.existsSync(name)) {
+			return null;
+		}
+
+		// Eleventy clears changed templates from the cache by path
+		this.pathsToNames[name] = name;
+		return { src: fs.readFileSync(name, 'utf-8'), path: name, noCache: this.noCache };
+	}
+}
+
+/**
+ * Create a liquidjs file system with @theme/ prefix support
+ *
+ * Non-prefixed lookups go through the Liquid `partials` and `layouts`
+ * search paths (user first). `@theme/` lookups fall back to the theme chain:
+ * {% render "@theme/layouts/partials/card" %}
+ *
+ * @param {string[]} themeBasePaths - Theme roots, child theme first
+ * @returns {Object} liquidjs `fs` option
+ */
+export function createThemeAwareLiquidFs(themeBasePaths) {
+	return {
+		sep: path.sep,
+		dirname: (filePath) => path.dirname(filePath),
+		exists: async (filePath) => fs.existsSync(filePath),
+		existsSync: (filePath) => fs.existsSync(filePath),
+		readFile: (filePath) => fs.promises.readFile(filePath, 'utf-8'),
+		readFileSync: (filePath) => fs.readFileSync(filePath, 'utf-8'),
+		resolve: (dir, file, extname) =>
+			path.resolve(dir, path.extname(file) ? file : `${file}${extname}`),
+		contains: (dir, filePath) => {
+			const root = path.resolve(dir);
+			return filePath === root || filePath.startsWith(root + path.sep);
+		},
+		fallback: (file) => {
+			if (!file.startsWith(THEME_PREFIX)) return undefined;
+
+			const relativePath = file.slice(THEME_PREFIX.length);
+			const withExtension = path.extname(relativePath) ? relativePath : `${relativePath}.liquid`;
+			return findInThemes(themeBasePaths, withExtension) || undefined;
+		},
+	};
+}
+
+/**
+ * Resolve WebC components across the cascade
+ *
+ * WebC registers components by file name, so a user component with the same
+ * name as a theme component replaces it.
+ *
+ * @param {string[]} searchPaths - Search paths, highest priority first
+ * @param {string} projectRoot - Project root (component paths are relative to it)
+ * @returns {string[]} Component files, one per component name
+ */
+export function resolveWebcComponents(searchPaths, projectRoot) {
+	const components = new Map();
+
+	searchPaths.forEach((dir) => {
+		if (!fs.existsSync(dir)) return;
+
+		fs.readdirSync(dir)
+			.filter((file) => path.extname(file) === '.webc')
+			.forEach((file) => {
+				if (!components.has(file)) {
+					components.set(file, `./${path.relative(projectRoot, path.join(dir, file))}`);
+				}
+			});
+	});
+
+	return [...components.values()];
+}
+
+/**
+ * Template extensions declared across the theme chain
+ *
+ * Nunjucks is always included; the cascade is built around it.
+ *
+ * @param {Array} themeChain - Result of getThemeChain()
+ * @returns {string[]} Extensions, e.g. ['njk', 'liquid']
+ */
+export function getTemplateExtensions(themeChain) {
+	const extensions = new Set(['njk']);
+	themeChain.forEach((theme) => {
+		(theme.metadata?.templateExtensions || []).forEach((extension) => extensions.add(extension));
+	});
+
+	return [...extensions];
 }
 
 /**
  * Configure template engine with theme support
  *
- * Generic API for template engine configuration. Currently implements Nunjucks,
- * but naming is intentionally technology-agnostic for future extensibility.
+ * Generic API for template engine configuration. Nunjucks is always set up;
+ * Liquid and WebC are configured when listed in `templateExtensions`.
  *
  * Resolution order for layouts, partials, and includes:
- * 1. @theme/ prefix → theme package directory (explicit)
- * 2. User overrides directory (checked first for non-prefixed)
- * 3. Theme directory (fallback for non-prefixed)
+ * 1. @theme/ prefix → theme package directories (explicit)
+ * 2. @parent/ prefix → parent theme of the calling template's theme
+ * 3. User overrides directory (checked first for non-prefixed)
+ * 4. Theme directories (fallback for non-prefixed, child theme first)
  *
  * This cascade applies to:
  * - {% extends "base.njk" %} → finds user override or theme layout
  * - {% include "partials/header.njk" %} → finds user override or theme partial
  * - {% from "macros/buttons.njk" import btn %} → finds user override or theme macro
+ * - {% extends "@parent/layouts/post.njk" %} → child theme extends the layout it replaces
+ * - {% render "partials/card" %} (Liquid) → user override or theme partial
+ * - <site-header> (WebC) → user component or theme component of the same name
+ *
+ * `@theme/` works in all three languages (WebC: in `webc:import` of page
+ * templates). `@parent/` is Nunjucks only.
  *
  * @param {Object} eleventyConfig - Eleventy configuration object
  * @param {Object} options - Configuration options
@@ -53,6 +270,13 @@ export class ThemeAwareLoader extends Nunjucks.FileSystemLoader {
  * @param {string} options.themeName - Theme package name
  * @param {Object} options.overridePaths - Content repo override paths
  * @param {string[]} options.additionalPaths - Extra paths for layout resolution
+ * @param {string[]} [options.templateExtensions] - Template languages to configure
+ *   (default: ['njk']; see getTemplateExtensions)
+ * @param {Object} [options.settings] - Resolved theme settings, exposed as
+ *   `theme.settings` (see resolveThemeSettings)
+ * @param {string|Object} [options.scope] - Limit the theme to an input subdirectory
+ *   or front-matter value (see normalizeScope). Theme plugins of one site share
+ *   a Nunjucks environment; each template resolves against its own theme.
  * @returns {Object} Template environment (Nunjucks environment for current implementation)
  */
 export function configureTemplateEngine(eleventyConfig, options = {}) {
@@ -61,9 +285,21 @@ export function configureTemplateEngine(eleventyConfig, options = {}) {
 		themeName,
 		overridePaths = {},
 		additionalPaths = [],
+		templateExtensions = ['njk'],
+		settings = {},
 	} = options;
+	const scope = normalizeScope(options.scope);
+
+	const unsupported = templateExtensions.filter((ext) => !TEMPLATE_EXTENSIONS.includes(ext));
+	if (unsupported.length > 0) {
+		throw new Error(
+			`Unsupported template extension(s): ${unsupported.join(', ')}\n` +
+				`  Supported: ${TEMPLATE_EXTENSIONS.join(', ')}`,
+		);
+	}
 
-	const themeBasePath = getThemeRoot(projectRoot, themeName);
+	// Child theme first, then its parents (from theme.json "extends")
+	const themeBasePaths = getThemeRoots(projectRoot, themeName);
 
 	// Build search paths in priority order (first match wins)
 	// User paths come first, theme paths are fallback
@@ -81,29 +317,151 @@ export function configureTemplateEngine(eleventyConfig, options = {}) {
 		// Additional user-specified paths
 		...additionalPaths.map((p) => path.join(projectRoot, p)),
 
-		// Theme fallbacks (lowest priority)
-		path.join(themeBasePath, 'layouts'),
-		path.join(themeBasePath, 'layouts/partials'),
-		path.join(themeBasePath, 'includes'),
-		path.join(themeBasePath, 'macros'),
+		// Theme fallbacks (lowest priority), child theme before parents
+		...themeBasePaths.flatMap((themeBasePath) => [
+			path.join(themeBasePath, 'layouts'),
+			path.join(themeBasePath, 'layouts/partials'),
+			path.join(themeBasePath, 'includes'),
+			path.join(themeBasePath, 'macros'),
+		]),
 	];
 
 	const loader = new ThemeAwareLoader(
 		searchPaths,
 		{ noCache: process.env.NODE_ENV !== 'production' },
-		themeBasePath,
+		themeBasePaths,
 	);
 
-	const nunjucksEnv = new Nunjucks.Environment(loader);
+	// One Nunjucks environment per site, shared by all theme plugins
+	const scopes = getThemeScopes(eleventyConfig);
+	if (!scopes.environment) {
+		scopes.environment = new Nunjucks.Environment(
+			new ScopedThemeLoader(scopes, { noCache: process.env.NODE_ENV !== 'production' }),
+		);
+		eleventyConfig.setLibrary('njk', scopes.environment);
+	}
+	const nunjucksEnv = scopes.environment;
 
-	// Add theme-aware globals
-	nunjucksEnv.addGlobal('theme', {
-		name: themeName,
-		// Helper to construct theme paths in templates
-		path: (relativePath) => `@theme/${relativePath}`,
+	scopes.add({
+		name: scope?.name || null,
+		themeName,
+		scope,
+		loader,
+		roots: [
+			...searchPaths,
+			...themeBasePaths,
+			...(scope ? getScopeRoots(eleventyConfig, scope) : []),
+		],
 	});
 
-	eleventyConfig.setLibrary('njk', nunjucksEnv);
+	// Add theme-aware globals (the unscoped theme's, or the first theme's)
+	if (!scope || !nunjucksEnv.globals.theme) {
+		nunjucksEnv.addGlobal('theme', {
+			name: themeName,
+			settings,
+			// Helper to construct theme paths in templates
+			path: (relativePath) => `@theme/${relativePath}`,
+		});
+	}
+
+	// Liquid options and WebC components are site-wide
+	if (scope && templateExtensions.some((extension) => extension !== 'njk')) {
+		console.warn(
+			`⚠️  Theme ${themeName} is scoped to "${scope.name}", but Liquid and WebC cascades are site-wide.\n` +
+				`   Its ${templateExtensions.filter((extension) => extension !== 'njk').join(' and ')} templates resolve against the last theme that configures them.`,
+		);
+	}
+
+	if (templateExtensions.includes('liquid')) {
+		eleventyConfig.setLiquidOptions({
+			partials: searchPaths,
+			layouts: searchPaths,
+			fs: createThemeAwareLiquidFs(themeBasePaths),
+		});
+	}
+
+	if (templateExtensions.includes('webc')) {
+		// Layouts are not components
+		const layoutRoots = [
+			path.join(projectRoot, overridePaths.layouts || 'overrides/layouts'),
+			...themeBasePaths.map((themeBasePath) => path.join(themeBasePath, 'layouts')),
+		];
+		const componentPaths = searchPaths.filter((dir) => !layoutRoots.includes(dir));
+
+		configureWebc(eleventyConfig, { projectRoot, componentPaths, themeBasePaths });
+	}
 
 	return nunjucksEnv;
 }
+
+/**
+ * Helper: Register the WebC plugin with cascade-resolved components
+ *
+ * @private
+ */
+function configureWebc(eleventyConfig, { projectRoot, componentPaths, themeBasePaths }) {
+	// Rewrite webc:import="@theme/..." to WebC's npm: alias (themes are packages,
+	// and WebC only allows relative imports inside the importing file's directory)
+	const nodeModules = path.join(projectRoot, 'node_modules');
+	eleventyConfig.addPreprocessor('theme-webc-imports', 'webc', (data, content) =>
+		content.replace(/(webc:import=["'])@theme\/([^"']+)/g, (match, attribute, relativePath) => {
+			const fullPath = findInThemes(themeBasePaths, relativePath);
+			return fullPath
+				? `${attribute}npm:${path.relative(nodeModules, fullPath).split(path.sep).join('/')}`
+				: match;
+		}),
+	);
+
+	// The WebC plugin is CommonJS, so it can be loaded synchronously from the project
+	let webcPlugin;
+	try {
+		webcPlugin = createRequire(path.join(projectRoot, 'package.json'))('@11ty/eleventy-plugin-webc');
+	} catch (error) {
+		throw new Error(
+			`Theme declares "webc" templates but @11ty/eleventy-plugin-webc is not installed.\n` +
+				`  Run: npm install @11ty/eleventy-plugin-webc`,
+			{ cause: error },
+		);
+	}
+
+	eleventyConfig.addPlugin(webcPlugin, {
+		components: resolveWebcComponents(componentPaths, projectRoot),
+	});
+}
+
+/**
+ * Helper: Directories whose templates belong to a scoped theme
+ *
+ * The scope's input subdirectory and its virtual layouts (see SCOPED_LAYOUTS_DIR).
+ *
+ * @private
+ */
+function getScopeRoots(eleventyConfig, scope) {
+	const directories = eleventyConfig.directories || {};
+	const layoutsDir = path.resolve(directories.layouts || directories.includes || '.');
+
+	return [
+		path.join(layoutsDir, SCOPED_LAYOUTS_DIR, scope.name),
+		...(scope.dir ? [path.resolve(directories.input || '.', scope.dir)] : []),
+	];
+}
+
+/**
+ * Helper: Find a theme-relative file in the theme chain
+ *
+ * @param {string[]} themeBasePaths - Theme roots, child theme first
+ * @param {string} relativePath - Path relative to a theme root
+ * @param {number} [startIndex] - First chain position to check
+ * @returns {string|null} Absolute path of first match
+ * @private
+ */
+function findInThemes(themeBasePaths, relativePath, startIndex = 0) {
+	for (const root of themeBasePaths.slice(startIndex)) {
+		const fullPath = path.join(root, relativePath);
+		if (fs.existsSync(fullPath)) {
+			return fullPath;
+		}
+	}
+
+	return null;
+}
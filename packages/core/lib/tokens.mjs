@@ -0,0 +1,323 @@
+/**
+ * Design tokens
+ *
+ * Themes ship design tokens in `data/tokens.json`. Users override individual
+ * tokens with a `tokens.json` in their data directory, which is deep-merged
+ * over the theme's (and over parent themes' tokens).
+ *
+ *   {
+ *     "color": {
+ *       "gray-20": "#e0e0e0",
+ *       "gray-90": { "light": "#333", "dark": "#dad8d8" }
+ *     },
+ *     "text-color": {
+ *       "default": "{color.gray-90}",
+ *       "link": { "light": "{settings.linkColor}", "dark": "{settings.linkColorDark}" }
+ *     }
+ *   }
+ *
+ * - Token names are the key path joined with `-` (`--color-gray-20`). A
+ *   `default` key names the group itself (`--text-color`).
+ * - `{ light, dark }` values are colour schemes. Dark values apply under
+ *   `prefers-color-scheme: dark`.
+ * - `{color.gray-90}` references another token, `{settings.linkColor}` a
+ *   theme setting.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveOverridePaths } from './defaults.mjs';
+import { getThemeChain } from './cascade/resolver.mjs';
+import { mergeData } from './cascade/merge.mjs';
+import { DATA_FILE_EXTENSIONS } from './cascade/data.mjs';
+import { PROVENANCE_DIR, ensureGeneratedDir } from './provenance.mjs';
+import { didYouMean } from './suggest.mjs';
+
+/**
+ * Tokens file name, in theme and user data directories
+ */
+export const TOKENS_FILE = 'tokens.json';
+
+/**
+ * Directory for compiled tokens, relative to the project root
+ */
+export const TOKENS_OUTPUT_DIR = path.join(PROVENANCE_DIR, 'tokens');
+
+/**
+ * Supported colour schemes
+ */
+export const COLOR_SCHEMES = ['light', 'dark'];
+
+const REFERENCE_PATTERN = /\{([^{}\s]+)\}/g;
+
+/**
+ * Load design tokens through the cascade
+ *
+ * Merges tokens from the root parent theme down to the child theme, then
+ * the user's data directory. Objects merge key by key, so an override file
+ * only needs the tokens it changes.
+ *
+ * Only `tokens.json` is read: tokens are compiled before Eleventy runs, so
+ * `tokens.js` and `tokens.mjs` data files are not picked up (a warning
+ * says so).
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Object} themeMetadata - Theme metadata object
+ * @param {Object} [overridePaths] - Override paths configuration
+ * @returns {Object} Merged tokens ({} when no theme ships tokens)
+ *
+ * @example
+ * const tokens = loadThemeTokens(__dirname, themeMetadata);
+ * tokens.color['gray-20']; // '#e0e0e0'
+ */
+export function loadThemeTokens(projectRoot, themeMetadata, overridePaths = {}) {
+	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
+
+	DATA_FILE_EXTENSIONS.filter((extension) => extension !== '.json')
+		.map((extension) => path.join(resolved.data, `tokens${extension}`))
+		.filter((file) => fs.existsSync(path.join(projectRoot, file)))
+		.forEach((file) => {
+			console.warn(
+				`⚠️  ${file} is not compiled to design tokens\n` +
+					`   Move the overrides to ${path.join(resolved.data, TOKENS_FILE)}`,
+			);
+		});
+
+	const files = [
+		...[...getThemeChain(projectRoot, themeMetadata)]
+			.reverse()
+			.map((theme) => path.join(theme.root, 'data', TOKENS_FILE)),
+		path.join(projectRoot, resolved.data, TOKENS_FILE),
+	];
+
+	return files
+		.filter((file) => fs.existsSync(file))
+		.reduce((tokens, file) => mergeData(tokens, readTokensFile(file)), {});
+}
+
+/**
+ * Compile design tokens to CSS, SCSS and JavaScript
+ *
+ * @param {Object} tokens - Tokens (see loadThemeTokens)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.settings] - Resolved theme settings for `{settings.*}` references
+ * @returns {{ css: string, scss: string, js: string, values: { light: Object, dark: Object } }}
+ *   CSS custom properties, an SCSS module, an ES module, and resolved values
+ *   by token name for each colour scheme
+ * @throws {Error} If a reference is unknown or circular, or two tokens share a name
+ *
+ * @example
+ * const { css } = compileTokens({ color: { text: { light: '#333', dark: '#ddd' } } });
+ * // :root { --color-text: #333; }
+ * // @media (prefers-color-scheme: dark) { :root { --color-text: #ddd; } }
+ */
+export function compileTokens(tokens, options = {}) {
+	const { settings = {} } = options;
+	const flat = flattenTokens(tokens);
+	const names = [...flat.keys()];
+
+	const resolveReference = (reference, scheme, mode, seen) => {
+		const [root, ...rest] = reference.split('.');
+
+		if (root === 'settings' && rest.length > 0) {
+			const value = settings[rest.join('.')];
+			if (value === undefined) {
+				throw new Error(
+					`Unknown setting in token reference {${reference}}\n` +
+						`  Available settings: ${Object.keys(settings).join(', ') || 'none'}`,
+				);
+			}
+			return String(value);
+		}
+
+		const name = reference.split('.').join('-');
+		if (!flat.has(name)) {
+			const suggestion = didYouMean(name, names);
+			throw new Error(
+				`Unknown token reference {${reference}}` +
+					(suggestion ? `\n  Did you mean {${suggestion.replace(/-/g, '.')}}?` : ''),
+			);
+		}
+
+		return mode === 'css' ? `var(--${name})` : resolveToken(name, scheme, mode, seen);
+	};
+
+	const resolveToken = (name, scheme, mode, seen = []) => {
+		if (seen.includes(name)) {
+			throw new Error(`Circular token reference: ${[...seen, name].join(' → ')}`);
+		}
+
+		const token = flat.get(name);
+		const value = String(token[scheme] ?? token.light);
+		return value.replace(REFERENCE_PATTERN, (match, reference) =>
+			resolveReference(reference, scheme, mode, [...seen, name]),
+		);
+	};
+
+	const compile = (mode) =>
+		Object.fromEntries(
+			COLOR_SCHEMES.map((scheme) => [
+				scheme,
+				Object.fromEntries(names.map((name) => [name, resolveToken(name, scheme, mode)])),
+			]),
+		);
+
+	const css = compile('css');
+	const values = compile('value');
+
+	// Dark values only where they differ; references follow via var()
+	const darkNames = names.filter((name) => css.dark[name] !== css.light[name]);
+
+	return {
+		css: formatCss(names, css.light, darkNames, css.dark),
+		scss: formatScss(names, values, darkNames, css),
+		js: formatJs(values),
+		values,
+	};
+}
+
+/**
+ * Write compiled tokens to the project
+ *
+ * Writes `tokens.css`, `_tokens.scss` and `tokens.mjs` to TOKENS_OUTPUT_DIR.
+ * Unchanged files are left alone so watchers are not triggered.
+ *
+ * @param {string} projectRoot - Project root path
+ * @param {Object} compiled - Result of compileTokens()
+ * @returns {string} Absolute path of the output directory
+ */
+export function writeThemeTokens(projectRoot, compiled) {
+	const outputDir = path.join(projectRoot, TOKENS_OUTPUT_DIR);
+	ensureGeneratedDir(outputDir);
+
+	const files = {
+		'tokens.css': compiled.css,
+		'_tokens.scss': compiled.scss,
+		'tokens.mjs': compiled.js,
+	};
+
+	Object.entries(files).forEach(([filename, content]) => {
+		const filePath = path.join(outputDir, filename);
+		if (!fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf-8') !== content) {
+			fs.writeFileSync(filePath, content);
+		}
+	});
+
+	return outputDir;
+}
+
+/**
+ * Helper: Read a tokens file with the file name in parse errors
+ *
+ * @private
+ */
+function readTokensFile(filePath) {
+	try {
+		return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+	} catch (error) {
+		throw new Error(`Invalid tokens file ${filePath}\n  ${error.message}`);
+	}
+}
+
+/**
+ * Helper: Flatten nested tokens to a map of name → { light, dark }
+ *
+ * @private
+ */
+function flattenTokens(tokens, prefix = [], flat = new Map()) {
+	Object.entries(tokens).forEach(([key, value]) => {
+		const keyPath = key === 'default' ? prefix : [...prefix, key];
+
+		if (value !== null && typeof value === 'object' && !isSchemeValue(value)) {
+			flattenTokens(value, keyPath, flat);
+			return;
+		}
+
+		const name = keyPath.join('-');
+		if (flat.has(name)) {
+			throw new Error(
+				`Duplicate token name "${name}"\n` +
+					`  Token names join the key path with "-", so "a.b-c" and "a-b.c" clash.`,
+			);
+		}
+
+		flat.set(name, isSchemeValue(value) ? value : { light: value });
+	});
+
+	return flat;
+}
+
+/**
+ * Helper: { light, dark } colour scheme value
+ *
+ * @private
+ */
+function isSchemeValue(value) {
+	const keys = Object.keys(value);
+	return keys.includes('light') && keys.every((key) => COLOR_SCHEMES.includes(key));
+}
+
+/**
+ * Helper: CSS custom properties with a dark scheme block
+ *
+ * @private
+ */
+function formatCss(names, light, darkNames, dark, indent = '') {
+	const declarations = (list, values, depth) =>
+		list.map((name) => `${indent}${'\t'.repeat(depth)}--${name}: ${values[name]};\n`).join('');
+
+	let css = `${indent}:root {\n${declarations(names, light, 1)}${indent}}\n`;
+
+	if (darkNames.length > 0) {
+		css +=
+			`\n${indent}@media (prefers-color-scheme: dark) {\n` +
+			`${indent}\t:root {\n${declarations(darkNames, dark, 2)}${indent}\t}\n` +
+			`${indent}}\n`;
+	}
+
+	return css;
+}
+
+/**
+ * Helper: SCSS module with $tokens maps and the custom properties
+ *
+ * @private
+ */
+function formatScss(names, values, darkNames, css) {
+	const map = (variable, list, scheme) =>
+		`$${variable}: (\n` +
+		list.map((name) => `\t'${name}': ${toScssValue(values[scheme][name])},\n`).join('') +
+		');\n';
+
+	return (
+		'// Generated from design tokens - edit tokens.json instead\n\n' +
+		map('tokens', names, 'light') +
+		map('tokens-dark', darkNames, 'dark') +
+		'\n' +
+		formatCss(names, css.light, darkNames, css.dark)
+	);
+}
+
+/**
+ * Helper: ES module with resolved values for each colour scheme
+ *
+ * @private
+ */
+function formatJs(values) {
+	return (
+		'// Generated from design tokens - edit tokens.json instead\n\n' +
+		`export const tokens = ${JSON.stringify(values.light, null, '\t')};\n\n` +
+		`export const darkTokens = ${JSON.stringify(values.dark, null, '\t')};\n\n` +
+		`export function cssVar(name) {\n\treturn \`var(--\${name})\`;\n}\n\n` +
+		'export default tokens;\n'
+	);
+}
+
+/**
+ * Helper: Token value as an SCSS map value (lists in parentheses)
+ *
+ * @private
+ */
+function toScssValue(value) {
+	return value.includes(',') ? `(${value})` : value;
+}
@@ -1,15 +1,48 @@
 import fs from 'fs';
 import path from 'path';
 import { resolveOverridePaths } from './defaults.mjs';
-import { getThemeRoot } from './cascade/resolver.mjs';
+import {
+	getThemeRoot,
+	getThemeRoots,
+	resolveResource,
+	scanDirectoryRecursive,
+} from './cascade/resolver.mjs';
+import { checkSchema, escapePointer, featureSchema } from './schema.mjs';
+import { didYouMean } from './suggest.mjs';
+import { checkOverrideDrift } from './provenance.mjs';
+import { checkSettingValue } from './settings.mjs';
+import { checkFeatureSelector } from './page-features.mjs';
+import {
+	getAvailableFeatures,
+	checkFeatureDependencies,
+	getThemeFeaturePaths,
+	readFeatureManifest,
+} from './cascade/features.mjs';
+
+/**
+ * Theme resource directories for each override path key
+ * (mirrors the conventions in cascade/resolver.mjs)
+ */
+const THEME_RESOURCE_DIRS = {
+	layouts: 'layouts',
+	features: 'features',
+	styles: 'styles',
+	scripts: 'scripts',
+	data: 'data',
+	public: 'public',
+};
 
 /**
  * Validate theme installation and provide helpful errors
  *
  * Checks that the theme is properly installed and configured.
+ * Checks theme metadata against the bundled theme.json schema, and feature
+ * manifests (theme and user) against the feature.json schema.
+ * Warns when ejected overrides are stale (see checkOverrideDrift).
  * Provides warnings for common issues and deprecated patterns.
  *
  * @param {string} projectRoot - Project root path
+ * @param {Object} themeMetadata - Theme metadata from theme.json
  * @param {Object} overridePaths - Override paths configuration
  * @returns {Object} Validation result { errors, warnings, isValid }
  *   - errors: Array of error messages (critical issues)
@@ -48,12 +81,48 @@ export function validateTheme(projectRoot, themeMetadata, overridePaths = {}) {
 		return { errors, warnings, isValid: false };
 	}
 
+	// Resolve theme inheritance chain (child themes may omit directories
+	// their parents provide)
+	let themeRoots;
+	try {
+		themeRoots = getThemeRoots(projectRoot, themeMetadata);
+	} catch (error) {
+		errors.push(error.message);
+		return { errors, warnings, isValid: false };
+	}
+
+	// Check theme.json structure and referenced files
+	validateThemeMetadata(themeMetadata, themeRoots).forEach((issue) => {
+		const target = issue.severity === 'warning' ? warnings : errors;
+		target.push(formatMetadataIssue(issue));
+	});
+
+	// Check feature manifests and dependencies across theme and user features
+	try {
+		const features = getAvailableFeatures(projectRoot, themeMetadata, overridePaths);
+
+		features.forEach((feature) => {
+			if (feature.manifest) {
+				errors.push(...validateFeatureManifest(feature, projectRoot));
+			}
+		});
+
+		checkFeatureDependencies(features).forEach((problem) => {
+			errors.push(
+				`${problem.message}\n` +
+				`  Fix "dependsOn" in theme.json or in the feature's feature.json.`
+			);
+		});
+	} catch (error) {
+		errors.push(error.message);
+	}
+
 	requiredThemeDirs.forEach((dir) => {
-		const fullPath = path.join(themeRoot, dir);
-		if (!fs.existsSync(fullPath)) {
+		const candidates = themeRoots.map((root) => path.join(root, dir));
+		if (!candidates.some((fullPath) => fs.existsSync(fullPath))) {
 			errors.push(
 				`Missing required theme directory: ${dir}\n` +
-				`  Expected at: ${fullPath}\n` +
+				`  Expected at: ${candidates.join(' or ')}\n` +
 				`  This may indicate a corrupted theme installation.`
 			);
 		}
@@ -127,6 +196,26 @@ export function validateTheme(projectRoot, themeMetadata, overridePaths = {}) {
 		);
 	}
 
+	// Check ejected overrides against the installed theme
+	try {
+		checkOverrideDrift(projectRoot, { diff: false })
+			.filter((report) => report.status !== 'current')
+			.forEach((report) => {
+				const change =
+					report.status === 'removed'
+						? `${report.theme} no longer ships ${report.source}`
+						: `${report.theme} changed ${report.source} since it was ejected`;
+
+				warnings.push(
+					`Override ${report.file} is stale: ${change}\n` +
+					`  Ejected from ${report.ejectedVersion}, installed ${report.currentVersion}.\n` +
+					`  Run 'themer drift' to see the upstream changes.`
+				);
+			});
+	} catch (error) {
+		warnings.push(`Could not read override provenance: ${error.message}`);
+	}
+
 	// Validate Nunjucks dependency (peer dependency)
 	const nunjucksPath = path.join(projectRoot, 'node_modules', 'nunjucks');
 	if (!fs.existsSync(nunjucksPath)) {
@@ -143,6 +232,205 @@ export function validateTheme(projectRoot, themeMetadata, overridePaths = {}) {
 	};
 }
 
+/**
+ * Validate theme metadata against the bundled theme.json schema
+ *
+ * Checks structure first, then that every referenced file exists:
+ * - themeFeatures[].entry (relative to the theme root), or the entry in
+ *   features/<name>/feature.json
+ * - themeFeatures[].detect is a valid CSS selector
+ * - layouts[].path (relative to any theme in the inheritance chain)
+ * - assets.styles.entry / assets.scripts.entry
+ * - cascade.defaultOverridePaths keys (theme ships the matching directory)
+ *
+ * @param {Object} themeMetadata - Theme metadata from theme.json
+ * @param {string[]} themeRoots - Theme package paths, child theme first
+ *   (from getThemeRoots)
+ * @returns {Array<{ severity: 'error'|'warning', pointer: string, message: string, suggestion?: string }>}
+ *   Issues with JSON-pointer locations into theme.json
+ *
+ * @example
+ * const issues = validateThemeMetadata(metadata, getThemeRoots(__dirname, metadata));
+ * // [{ severity: 'error', pointer: '/themeFeatures/0/entry',
+ * //    message: 'File not found: features/code-higlighting/index.js',
+ * //    suggestion: 'features/code-highlighting/index.js' }]
+ */
+export function validateThemeMetadata(themeMetadata, themeRoots) {
+	const issues = checkSchema(themeMetadata).map((issue) => ({
+		severity: 'error',
+		...issue,
+	}));
+
+	// Skip file checks for structurally broken sections
+	const brokenPointers = issues.map((issue) => issue.pointer);
+	const isBroken = (pointer) =>
+		brokenPointers.some((broken) => broken === pointer || pointer.startsWith(`${broken}/`));
+
+	const [themeRoot] = themeRoots;
+	let themeFiles = null;
+	const checkFile = (pointer, relativePath, roots) => {
+		if (isBroken(pointer) || typeof relativePath !== 'string') return;
+		if (roots.some((root) => fs.existsSync(path.join(root, relativePath)))) return;
+
+		themeFiles = themeFiles || listThemeFiles(themeRoots);
+		issues.push({
+			severity: 'error',
+			pointer,
+			message: `File not found: ${relativePath}`,
+			suggestion: didYouMean(relativePath, themeFiles) || undefined,
+		});
+	};
+
+	(Array.isArray(themeMetadata.themeFeatures) ? themeMetadata.themeFeatures : []).forEach(
+		(feature, i) => {
+			if (feature?.entry !== undefined) {
+				checkFile(`/themeFeatures/${i}/entry`, feature.entry, [themeRoot]);
+			} else if (typeof feature?.name === 'string') {
+				// Entry from features/<name>/feature.json (or index.js)
+				try {
+					const entryPath = getThemeFeaturePaths(themeRoot, feature).path;
+					checkFile(`/themeFeatures/${i}`, path.relative(themeRoot, entryPath), [themeRoot]);
+				} catch (error) {
+					issues.push({ severity: 'error', pointer: `/themeFeatures/${i}`, message: error.message });
+				}
+			}
+
+			const detectPointer = `/themeFeatures/${i}/detect`;
+			if (!isBroken(detectPointer) && typeof feature?.detect === 'string') {
+				const problem = checkFeatureSelector(feature.detect);
+				if (problem) {
+					issues.push({ severity: 'error', pointer: detectPointer, message: problem });
+				}
+			}
+		},
+	);
+
+	(Array.isArray(themeMetadata.layouts) ? themeMetadata.layouts : []).forEach((layout, i) => {
+		checkFile(`/layouts/${i}/path`, layout?.path, themeRoots);
+	});
+
+	['styles', 'scripts'].forEach((type) => {
+		checkFile(`/assets/${type}/entry`, themeMetadata.assets?.[type]?.entry, [themeRoot]);
+	});
+
+	const settings = themeMetadata.settings;
+	if (settings && typeof settings === 'object') {
+		Object.entries(settings).forEach(([name, declaration]) => {
+			const pointer = `/settings/${escapePointer(name)}`;
+			if (isBroken(pointer) || declaration.default === undefined) return;
+
+			const problem = checkSettingValue(declaration, declaration.default);
+			if (problem) {
+				issues.push({ severity: 'error', pointer: `${pointer}/default`, message: problem });
+			}
+		});
+	}
+
+	const defaultOverridePaths = themeMetadata.cascade?.defaultOverridePaths;
+	if (defaultOverridePaths && typeof defaultOverridePaths === 'object') {
+		Object.keys(defaultOverridePaths).forEach((key) => {
+			const pointer = `/cascade/defaultOverridePaths/${escapePointer(key)}`;
+			const themeDir = THEME_RESOURCE_DIRS[key];
+			if (isBroken(pointer) || !themeDir) return;
+
+			if (!themeRoots.some((root) => fs.existsSync(path.join(root, themeDir)))) {
+				issues.push({
+					severity: 'warning',
+					pointer,
+					message:
+						`Override path "${key}" has nothing to override: ` +
+						`theme has no ${themeDir}/ directory`,
+				});
+			}
+		});
+	}
+
+	return issues;
+}
+
+/**
+ * Helper: Check a feature manifest against the feature.json schema and
+ * check the files it references
+ *
+ * @param {Object} feature - Feature info from getAvailableFeatures()
+ * @param {string} projectRoot - Project root path (for readable file names)
+ * @returns {string[]} Error messages
+ * @private
+ */
+function validateFeatureManifest(feature, projectRoot) {
+	const manifest = readFeatureManifest(feature.dir);
+	const file = path.relative(projectRoot, feature.manifest);
+	const issues = checkSchema(manifest, featureSchema);
+
+	if (issues.length === 0) {
+		[
+			...(manifest.styles || []).map((style, i) => [`/styles/${i}`, style]),
+			...(manifest.assets || []).map((asset, i) => [`/assets/${i}`, asset]),
+		]
+			.filter(([, relativePath]) => !fs.existsSync(path.join(feature.dir, relativePath)))
+			.forEach(([pointer, relativePath]) => {
+				issues.push({ pointer, message: `File not found: ${relativePath}` });
+			});
+
+		if (manifest.detect) {
+			const problem = checkFeatureSelector(manifest.detect);
+			if (problem) {
+				issues.push({ pointer: '/detect', message: problem });
+			}
+		}
+
+		if (manifest.frontMatter && !manifest.autoInit) {
+			issues.push({
+				pointer: '/frontMatter',
+				message: 'Front matter config is only passed to features with "autoInit": true',
+			});
+		}
+	}
+
+	return issues.map((issue) => formatMetadataIssue(issue, file));
+}
+
+/**
+ * Helper: Format a metadata issue for validateTheme() output
+ *
+ * @param {Object} issue - Issue from validateThemeMetadata()
+ * @param {string} [file] - File the pointer refers to
+ * @returns {string} Formatted message
+ * @private
+ */
+function formatMetadataIssue({ pointer, message, suggestion }, file = 'theme.json') {
+	let formatted = `${file}#${pointer || '/'}: ${message}`;
+	if (suggestion) {
+		formatted += `\n  Did you mean "${suggestion}"?`;
+	}
+	return formatted;
+}
+
+/**
+ * Helper: List files in theme packages (relative paths, for suggestions)
+ *
+ * @param {string[]} themeRoots - Theme package paths
+ * @returns {string[]} Relative file paths (posix separators)
+ * @private
+ */
+function listThemeFiles(themeRoots) {
+	const files = new Set();
+
+	themeRoots.forEach((root) => {
+		if (!fs.existsSync(root)) return;
+
+		fs.readdirSync(root, { withFileTypes: true })
+			.filter((dirent) => dirent.isDirectory() && dirent.name !== 'node_modules')
+			.forEach((dirent) => {
+				scanDirectoryRecursive(path.join(root, dirent.name), root).forEach((file) => {
+					files.add(file.split(path.sep).join('/'));
+				});
+			});
+	});
+
+	return [...files];
+}
+
 /**
  * Log validation results in a friendly format
  *
@@ -188,43 +476,26 @@ export function logValidation(validation, options = {}) {
  */
 export function validateComponent(type, name, projectRoot, themeMetadata, overridePaths = {}) {
 	const resolved = resolveOverridePaths(themeMetadata, overridePaths);
-	const layoutsPath = resolved.layouts;
-	const dataPath = resolved.data;
-
-	const themeRoot = getThemeRoot(projectRoot, themeMetadata.name);
-
-	switch (type) {
-		case 'layout': {
-			// Check user first
-			const userPath = path.join(projectRoot, layoutsPath, `${name}.njk`);
-			if (fs.existsSync(userPath)) {
-				return { exists: true, path: userPath, source: 'user' };
-			}
-
-			// Check theme
-			const themePath = path.join(themeRoot, 'layouts', `${name}.njk`);
-			if (fs.existsSync(themePath)) {
-				return { exists: true, path: themePath, source: 'theme' };
-			}
 
-			return { exists: false };
-		}
+	// Resolve through user overrides and the full theme chain
+	const resolveIn = (resourceType, filename) => {
+		const result = resolveResource({
+			projectRoot,
+			themeName: themeMetadata.name,
+			resolvedOverridePaths: resolved,
+			resourceType,
+			filename,
+		});
 
-		case 'data': {
-			// Check user first
-			const userPath = path.join(projectRoot, dataPath, name);
-			if (fs.existsSync(userPath)) {
-				return { exists: true, path: userPath, source: 'user' };
-			}
+		return result ? { exists: true, path: result.path, source: result.source } : { exists: false };
+	};
 
-			// Check theme
-			const themePath = path.join(themeRoot, 'data', name);
-			if (fs.existsSync(themePath)) {
-				return { exists: true, path: themePath, source: 'theme' };
-			}
+	switch (type) {
+		case 'layout':
+			return resolveIn('layouts', `${name}.njk`);
 
-			return { exists: false };
-		}
+		case 'data':
+			return resolveIn('data', name);
 
 		default:
 			return { exists: false };
@@ -0,0 +1,132 @@
+/**
+ * Watch override directories during `eleventy --watch` / `--serve`
+ *
+ * Layout aliases, passthrough copies, data registrations and feature entries
+ * are resolved when the config runs. Adding or removing an override file
+ * changes which file wins, so the config has to run again.
+ *
+ * - Changed files: override directories are plain Eleventy watch targets,
+ *   so edits rebuild as usual without re-running the config.
+ * - Added and removed files, new override directories: picked up with
+ *   fs.watch and signalled by writing a state file, the only `resetConfig`
+ *   watch target. Eleventy does not rebuild on delete and cannot watch
+ *   directories that do not exist yet.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PROVENANCE_DIR, ensureGeneratedDir } from './provenance.mjs';
+
+/**
+ * State file written when override files are removed or override directories
+ * appear, relative to the project root
+ */
+export const WATCH_STATE_FILE = path.join(PROVENANCE_DIR, 'watch', 'overrides.json');
+
+const WATCH_RUN_MODES = ['watch', 'serve'];
+
+/**
+ * Re-resolve the cascade when override files are added or removed
+ *
+ * Called by createThemePlugin. Call it yourself when configuring the cascade
+ * without the theme plugin.
+ *
+ * @param {Object} eleventyConfig - Eleventy configuration object
+ * @param {Object} options - Options
+ * @param {string} options.projectRoot - Project root path
+ * @param {Object} options.overridePaths - Resolved override paths
+ *
+ * @example
+ * watchOverrides(eleventyConfig, {
+ *   projectRoot: __dirname,
+ *   overridePaths: resolveOverridePaths(themeMetadata),
+ * });
+ */
+export function watchOverrides(eleventyConfig, { projectRoot, overridePaths }) {
+	const dirs = [...new Set(Object.values(overridePaths))].map((dir) => path.join(projectRoot, dir));
+	const statePath = path.join(projectRoot, WATCH_STATE_FILE);
+
+	dirs.forEach((dir) => {
+		eleventyConfig.addWatchTarget(`${toWatchPath(dir)}/**`);
+	});
+	eleventyConfig.addWatchTarget(toWatchPath(statePath), { resetConfig: true });
+
+	let watchers = [];
+
+	eleventyConfig.on('eleventy.after', ({ runMode } = {}) => {
+		if (watchers.length > 0 || !WATCH_RUN_MODES.includes(runMode)) return;
+
+		// Eleventy starts its file watcher after the first build, so the
+		// state file has to exist by then to be picked up
+		if (!fs.existsSync(statePath)) {
+			writeWatchState(statePath, { event: 'start' });
+		}
+
+		const signal = (event, filePath) =>
+			writeWatchState(statePath, { event, path: path.relative(projectRoot, filePath) });
+
+		watchers = dirs.map((dir) => {
+			if (fs.existsSync(dir)) {
+				return fs.watch(dir, { recursive: true }, (event, filename) => {
+					if (event !== 'rename') return;
+
+					// A rename is reported for both files appearing and disappearing
+					const filePath = path.join(dir, filename?.toString() || '');
+					signal(fs.existsSync(filePath) ? 'added' : 'removed', filePath);
+				});
+			}
+
+			// Eleventy cannot watch inside a directory that does not exist yet
+			const ancestor = findExistingAncestor(dir, projectRoot);
+			return fs.watch(ancestor, () => {
+				if (findExistingAncestor(dir, projectRoot) !== ancestor) {
+					signal('created', dir);
+				}
+			});
+		});
+		watchers.forEach((watcher) => watcher.unref());
+	});
+
+	// Eleventy is about to re-run the config, which starts fresh watchers
+	eleventyConfig.on('eleventy.reset', () => {
+		watchers.forEach((watcher) => watcher.close());
+		watchers = [];
+	});
+}
+
+/**
+ * Helper: Write the watch state file (any write triggers a config reset)
+ *
+ * @private
+ */
+function writeWatchState(statePath, state) {
+	ensureGeneratedDir(path.dirname(statePath));
+
+	fs.writeFileSync(
+		statePath,
+		JSON.stringify({ ...state, at: new Date().toISOString() }, null, '\t') + '\n',
+	);
+}
+
+/**
+ * Helper: Closest existing directory on the way up to the project root
+ *
+ * @private
+ */
+function findExistingAncestor(dir, projectRoot) {
+	let current = dir;
+	while (!fs.existsSync(current) && current !== projectRoot) {
+		current = path.dirname(current);
+	}
+	return current;
+}
+
+/**
+ * Helper: Eleventy watch targets are relative to the working directory
+ *
+ * @private
+ */
+function toWatchPath(absolutePath) {
+	const relative = path.relative(process.cwd(), absolutePath).split(path.sep).join('/');
+	return relative.startsWith('.') ? relative : `./${relative}`;
+}
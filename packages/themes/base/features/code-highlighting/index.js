@@ -2,7 +2,9 @@
  * Code Highlighting Bundle
  *
  * Adds copy button and optional line numbers to code blocks.
- * Requires explicit initialization - does not auto-run.
+ * Does not auto-run. Pages load it through the entry generated from
+ * feature.json, which imports styles.scss and calls init() with the
+ * manifest config and the page's front matter (`lineNumbers: true`).
  *
  * Usage:
  *   // Basic (use defaults)
@@ -20,9 +22,6 @@
  * See styles/features/code-highlighting.scss for full CSS custom properties list.
  */
 
-// Import feature styles
-import './styles.scss';
-
 /**
  * Default configuration
  */
@@ -0,0 +1,35 @@
+import filters from './filters.mjs';
+
+/**
+ * Create the theme collections
+ *
+ * @param {Object} [settings] - Theme settings
+ * @param {string[]} [settings.hiddenTags] - Tags left out of tagList
+ * @returns {Object} Collections by name
+ */
+export function createCollections({ hiddenTags } = {}) {
+	return {
+		// Posts are either tagged "posts" or live in a posts/ directory
+		posts: function (collectionApi) {
+			return collectionApi
+				.getAllSorted()
+				.filter(
+					(item) =>
+						(item.data.tags || []).includes('posts') ||
+						item.inputPath.split('/').includes('posts'),
+				);
+		},
+
+		// Tags used by content, excluding collection tags (all, posts, etc.)
+		tagList: function (collectionApi) {
+			const tags = new Set();
+			collectionApi.getAll().forEach((item) => {
+				filters.filterTagList(item.data.tags, hiddenTags).forEach((tag) => tags.add(tag));
+			});
+
+			return filters.sortAlphabetically([...tags]);
+		},
+	};
+}
+
+export default createCollections();
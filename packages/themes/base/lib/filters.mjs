@@ -16,10 +16,9 @@ export default {
 		});
 	},
 
-	filterTagList(tags) {
-		return (tags || []).filter(
-			(tag) => ['all', 'nav', 'post', 'posts'].indexOf(tag) === -1,
-		);
+	// Hidden tags come from the hiddenTags theme setting
+	filterTagList(tags, hiddenTags = ['all', 'nav', 'post', 'posts']) {
+		return (tags || []).filter((tag) => hiddenTags.indexOf(tag) === -1);
 	},
 
 	getKeys: function (target) {
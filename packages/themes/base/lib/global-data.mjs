@@ -0,0 +1,12 @@
+// Defaults for sites without their own site data file
+export default {
+	site: {
+		title: 'My Blog',
+		description: 'A blog built with Eleventy',
+		language: 'en',
+		url: 'https://example.com',
+		author: {
+			name: 'Your Name',
+		},
+	},
+};
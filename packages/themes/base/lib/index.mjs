@@ -9,14 +9,23 @@ import themeMetadata from '../theme.json' with { type: 'json' };
 import filters from './filters.mjs';
 import shortcodes from './shortcodes.mjs';
 import transforms from './transforms.mjs';
+import collections, { createCollections } from './collections.mjs';
+import globalData from './global-data.mjs';
+import plugins from './plugins.mjs';
+import templates from './templates.mjs';
 
 // Create theme plugin using core
+// Helpers are built from the user's theme settings
 export const plugin = createThemePlugin(themeMetadata, {
-	helpers: {
+	helpers: ({ settings }) => ({
 		filters,
 		shortcodes,
 		transforms,
-	},
+		collections: createCollections(settings),
+		globalData,
+		plugins,
+		templates,
+	}),
 });
 
 // Re-export metadata
@@ -29,4 +38,8 @@ export default {
 	filters,
 	shortcodes,
 	transforms,
+	collections,
+	globalData,
+	plugins,
+	templates,
 };
@@ -0,0 +1,10 @@
+import navigationPlugin from '@11ty/eleventy-navigation';
+import rssPlugin from '@11ty/eleventy-plugin-rss';
+
+export default [
+	// eleventyNavigation filter used by the base layout
+	{ plugin: navigationPlugin },
+
+	// Feed filters (absoluteUrl, dateToRfc3339, ...) used by the feed template
+	{ plugin: rssPlugin },
+];
@@ -0,0 +1,13 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const templatesDir = new URL('../templates/', import.meta.url);
+
+const read = (file) => fs.readFileSync(fileURLToPath(new URL(file, templatesDir)), 'utf-8');
+
+// Virtual templates, keyed by input path (relative to the site's input directory)
+export default {
+	'theme/tag.njk': read('tag.njk'),
+	'theme/tags.njk': read('tags.njk'),
+	'theme/feed.njk': read('feed.njk'),
+};